@@ -5,23 +5,44 @@
  * Usage:
  *   node add-metadata.js <output.json> <repoPath> --provider <openai|claude|gemini|custom> --api-key <key> [options]
  *
+ * Providers are defined in llm-providers.js; --api-key is optional for the custom provider.
+ *
  * Options:
  *   --mode <low|high>           Accuracy mode: low (JSON only) or high (with code) [default: low]
  *   --model <model-name>        Model to use
  *   --api-url <url>             Custom API endpoint URL
  *   --max-concurrent <n>        Max concurrent requests [default: 3]
  *   --node-types <types>        Comma-separated: file,class,function [default: all]
+ *   --max-retries <n>           Retries for rate limits, 5xx and network errors [default: 3]
+ *   --timeout <seconds>         Timeout per API request [default: 120]
+ *   --cache-dir <dir>           Response cache directory [default: .llm-cache next to output.json]
+ *   --no-cache                  Do not read or write the response cache
+ *   --dry-run                   Estimate requests, tokens and cost without calling the provider
+ *   --input-price <usd>         Input price per 1M tokens for --dry-run
+ *   --output-price <usd>        Output price per 1M tokens for --dry-run
  */
 
 const fs = require("fs");
 const path = require("path");
-const https = require("https");
-const http = require("http");
+const { createProvider, resolveProviderConfig, validateProviderConfig,
+  DEFAULT_MAX_RETRIES, DEFAULT_TIMEOUT_MS } = require("./llm-providers");
+const { createCache, hashContent } = require("./llm-cache");
+const { CostEstimator } = require("./llm-estimate");
+const { METADATA_SCHEMA, ANNOTATION_ROLES, getAllRoles } = require("./metadata-schema");
+const { addRole } = require("./route-metadata");
+
+// Bump when generatePrompt() changes so cached answers from the old prompt are not reused.
+// The schema hash is folded in so editing metadata-schema.js also invalidates the cache.
+const PROMPT_VERSION = `2:${hashContent(JSON.stringify(METADATA_SCHEMA)).slice(0, 12)}`;
+
+const MAX_OUTPUT_TOKENS = 4096;
+// Typical roles + metadata answer size, used by --dry-run
+const EXPECTED_OUTPUT_TOKENS = 150;
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 
-if (args.length < 4) {
+if (args.length < 2) {
   console.error("Usage: node add-metadata.js <output.json> <repoPath> --provider <provider> --api-key <key> [options]");
   process.exit(1);
 }
@@ -30,32 +51,32 @@ const outputPath = path.resolve(args[0]);
 const repoPath = path.resolve(args[1]);
 
 // Parse arguments
-const config = {
+let config = {
   provider: getArg("--provider", "openai"),
   apiKey: getArg("--api-key"),
   model: getArg("--model"),
   apiUrl: getArg("--api-url"),
   mode: getArg("--mode", "low"), // low or high accuracy
   maxConcurrent: parseInt(getArg("--max-concurrent", "3")),
-  nodeTypes: getArg("--node-types", "file,class,function").split(",")
+  nodeTypes: getArg("--node-types", "file,class,function").split(","),
+  maxRetries: parseInt(getArg("--max-retries", String(DEFAULT_MAX_RETRIES))),
+  timeoutMs: parseFloat(getArg("--timeout", String(DEFAULT_TIMEOUT_MS / 1000))) * 1000,
+  cacheDir: getArg("--cache-dir"),
+  cache: !args.includes("--no-cache"),
+  dryRun: args.includes("--dry-run"),
+  inputPrice: getArg("--input-price") !== null ? parseFloat(getArg("--input-price")) : undefined,
+  outputPrice: getArg("--output-price") !== null ? parseFloat(getArg("--output-price")) : undefined
 };
 
-// Set default models
-if (!config.model) {
-  const defaultModels = {
-    openai: "gpt-4o-mini",
-    claude: "claude-3-5-haiku-20241022",
-    gemini: "gemini-2.0-flash-exp",
-    custom: "llama3.2"
-  };
-  config.model = defaultModels[config.provider] || "gpt-4o-mini";
-}
-
-if (!config.apiKey && config.provider !== "custom") {
-  console.error("Error: --api-key is required");
+const configError = validateProviderConfig(config, { requireApiKey: !config.dryRun });
+if (configError) {
+  console.error(`Error: ${configError}`);
   process.exit(1);
 }
 
+// Fill in the provider's default model and endpoint
+config = resolveProviderConfig(config);
+
 function getArg(flag, defaultValue = null) {
   const index = args.indexOf(flag);
   if (index === -1) return defaultValue;
@@ -66,184 +87,13 @@ function getArg(flag, defaultValue = null) {
 console.log(`📂 Loading ${outputPath}...`);
 const data = JSON.parse(fs.readFileSync(outputPath, "utf8"));
 
-// Metadata schema definitions
-const METADATA_SCHEMA = {
-  backend: {
-    Service: ["domain", "responsibility", "usedBy", "stateless"],
-    Controller: ["framework", "basePath", "routes", "authRequired", "version"],
-    Repository: ["entity", "dbType", "operations", "transactional"],
-    DTO: ["fields", "usedIn", "validationRules"],
-    Entity: ["tableName", "fields", "primaryKey", "relations"],
-    API: ["httpMethod", "path", "requestDTO", "responseDTO", "statusCodes"]
-  },
-  frontend: {
-    Component: ["props", "stateUsed", "children", "hooksUsed"],
-    Page: ["route", "layout", "seo", "protected"],
-    Hook: ["returns", "sideEffects", "dependencies"],
-    Store: ["storeType", "stateShape", "actions", "persistence"],
-    EventEmitter: ["eventType", "target", "sideEffects"]
-  },
-  crossCutting: {
-    Utility: ["pure", "category", "reusedBy"],
-    Constants: ["values", "scope"],
-    Types: ["typeKind", "usedBy"],
-    Error: ["errorCode", "httpStatus", "recoverable"],
-    Test: ["testType", "covers", "mockedDependencies"]
-  }
-};
-
-// LLM API callers
-async function callLLM(prompt) {
-  switch (config.provider) {
-    case "openai":
-      return await callOpenAI(prompt);
-    case "claude":
-      return await callClaude(prompt);
-    case "gemini":
-      return await callGemini(prompt);
-    case "custom":
-      return await callCustom(prompt);
-    default:
-      throw new Error(`Unknown provider: ${config.provider}`);
-  }
-}
-
-async function callOpenAI(prompt) {
-  const body = JSON.stringify({
-    model: config.model,
-    messages: [{ role: "user", content: prompt }],
-    temperature: 0.1,
-    response_format: { type: "json_object" }
-  });
-
-  return await makeRequest({
-    hostname: "api.openai.com",
-    path: "/v1/chat/completions",
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "Authorization": `Bearer ${config.apiKey}`
-    }
-  }, body);
-}
-
-async function callClaude(prompt) {
-  const body = JSON.stringify({
-    model: config.model,
-    max_tokens: 4096,
-    messages: [{ role: "user", content: prompt }]
-  });
-
-  return await makeRequest({
-    hostname: "api.anthropic.com",
-    path: "/v1/messages",
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "x-api-key": config.apiKey,
-      "anthropic-version": "2023-06-01"
-    }
-  }, body);
-}
-
-async function callGemini(prompt) {
-  const body = JSON.stringify({
-    contents: [{
-      parts: [{ text: prompt }]
-    }],
-    generationConfig: {
-      temperature: 0.1,
-      responseMimeType: "application/json"
-    }
-  });
-
-  const url = new URL(`https://generativelanguage.googleapis.com/v1beta/models/${config.model}:generateContent`);
-  url.searchParams.append("key", config.apiKey);
-
-  return await makeRequest({
-    hostname: url.hostname,
-    path: url.pathname + url.search,
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json"
-    }
-  }, body);
-}
-
-async function callCustom(prompt) {
-  const url = new URL(config.apiUrl || "http://localhost:11434/v1/chat/completions");
-
-  const body = JSON.stringify({
-    model: config.model,
-    messages: [{ role: "user", content: prompt }],
-    temperature: 0.1,
-    format: "json"
-  });
-
-  return await makeRequest({
-    protocol: url.protocol,
-    hostname: url.hostname,
-    port: url.port,
-    path: url.pathname,
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      ...(config.apiKey ? { "Authorization": `Bearer ${config.apiKey}` } : {})
-    }
-  }, body);
-}
-
-function makeRequest(options, body) {
-  return new Promise((resolve, reject) => {
-    const protocol = options.protocol === "http:" ? http : https;
-
-    const req = protocol.request(options, (res) => {
-      let data = "";
-
-      res.on("data", (chunk) => {
-        data += chunk;
-      });
-
-      res.on("end", () => {
-        try {
-          const parsed = JSON.parse(data);
-
-          // Extract content based on provider
-          let content;
-          if (parsed.choices && parsed.choices[0]) {
-            // OpenAI/Custom format
-            content = parsed.choices[0].message.content;
-          } else if (parsed.content && parsed.content[0]) {
-            // Claude format
-            content = parsed.content[0].text;
-          } else if (parsed.candidates && parsed.candidates[0]) {
-            // Gemini format
-            content = parsed.candidates[0].content.parts[0].text;
-          } else {
-            reject(new Error("Unexpected response format"));
-            return;
-          }
-
-          resolve(content);
-        } catch (err) {
-          reject(new Error(`Failed to parse response: ${err.message}`));
-        }
-      });
-    });
-
-    req.on("error", reject);
-    req.write(body);
-    req.end();
-  });
-}
+const provider = createProvider(config);
+const cache = createCache(config, outputPath);
+const estimator = config.dryRun ? new CostEstimator(config) : null;
 
 // Generate metadata prompt
 function generatePrompt(node, nodeType, codeContent = null) {
-  const allRoles = [
-    ...Object.keys(METADATA_SCHEMA.backend),
-    ...Object.keys(METADATA_SCHEMA.frontend),
-    ...Object.keys(METADATA_SCHEMA.crossCutting)
-  ];
+  const allRoles = getAllRoles();
 
   let prompt = `Analyze this ${nodeType} and provide metadata in JSON format.
 
@@ -273,6 +123,7 @@ INSTRUCTIONS:
 3. Only include metadata that you can confidently determine
 4. Use null for unknown values
 5. For arrays, provide empty array [] if none found
+6. Roles and metadata already present in the ${nodeType.toUpperCase()} DATA were extracted from the code; keep them and fill in the remaining fields
 
 REQUIRED OUTPUT FORMAT (strict JSON):
 {
@@ -306,29 +157,115 @@ function readCode(filePath, startLine, endLine) {
   }
 }
 
-// Process a single node
-async function processNode(node, nodeType, filePath) {
+// Hash of the source file, used to key cached answers
+function readContentHash(filePath) {
   try {
-    let codeContent = null;
+    return hashContent(fs.readFileSync(path.join(repoPath, filePath)));
+  } catch (err) {
+    return null;
+  }
+}
+
+function nodeSpan(node, nodeType) {
+  if (nodeType === "file") return "file";
+  return `${nodeType}:${node.name}:${node.startLine}-${node.endLine}`;
+}
 
-    if (config.mode === "high" && node.startLine && node.endLine) {
-      codeContent = readCode(filePath, node.startLine, node.endLine);
+// Roles stated by framework annotations (@RestController, @Repository, @Entity, ...)
+// and C# attributes ([ApiController]) are facts, so they are added before the
+// LLM is asked and always kept
+function seedAnnotationRoles(node) {
+  const isCSharp = Array.isArray(node.attributes);
+  const annotations = node.annotations || node.attributes || [];
+  const find = (name) => annotations.find((a) => a.name === name);
+  const firstValue = (annotation, keys) => {
+    const key = annotation && keys.find((k) => annotation.arguments[k] !== undefined);
+    const value = key ? annotation.arguments[key] : null;
+    return Array.isArray(value) ? value[0] ?? null : value;
+  };
+
+  annotations.forEach((annotation) => {
+    const role = ANNOTATION_ROLES[annotation.name];
+    if (!role) return;
+
+    if (role === "Controller" && isCSharp) {
+      addRole(node, role, {
+        framework: "aspnetcore",
+        basePath: firstValue(find("Route"), ["value"]),
+        authRequired: Boolean(find("Authorize"))
+      });
+    } else if (role === "Controller") {
+      const mapping = find("RequestMapping") || find("Path");
+      addRole(node, role, {
+        framework: annotation.name === "Path" ? "jax-rs" : "spring",
+        basePath: firstValue(mapping, ["value", "path"])
+      });
+    } else if (role === "Entity") {
+      const properties = (node.properties || []).filter((p) => !p.isStatic);
+      const primaryKey = properties.find((p) => (p.annotations || []).some((a) => a.name === "Id" || a.name === "EmbeddedId"));
+      addRole(node, role, {
+        tableName: firstValue(find("Table"), ["name"]),
+        fields: properties.map((p) => p.name),
+        primaryKey: primaryKey ? primaryKey.name : null
+      });
+    } else {
+      addRole(node, role, {});
+    }
+  });
+}
+
+// Process a single node
+async function processNode(node, nodeType, filePath, contentHash) {
+  if (nodeType === "class") seedAnnotationRoles(node);
+
+  try {
+    const cacheKey = {
+      step: `metadata-${config.mode}`,
+      contentHash,
+      span: nodeSpan(node, nodeType),
+      promptVersion: PROMPT_VERSION,
+      provider: config.provider,
+      model: config.model
+    };
+
+    let metadata = cache.get(cacheKey);
+
+    if (metadata && estimator) {
+      estimator.recordCached();
+      return true;
     }
 
-    const prompt = generatePrompt(node, nodeType, codeContent);
-    const response = await callLLM(prompt);
+    if (!metadata) {
+      let codeContent = null;
 
-    const metadata = JSON.parse(response);
+      if (config.mode === "high" && node.startLine && node.endLine) {
+        codeContent = readCode(filePath, node.startLine, node.endLine);
+      }
 
-    // Add metadata to node
-    node.roles = metadata.roles || [];
-    node.metadata = metadata.metadata || {};
+      const prompt = generatePrompt(node, nodeType, codeContent);
+
+      if (estimator) {
+        estimator.record(prompt, EXPECTED_OUTPUT_TOKENS, MAX_OUTPUT_TOKENS);
+        return true;
+      }
+
+      metadata = await provider.completeJson(prompt, { temperature: 0.1, maxTokens: MAX_OUTPUT_TOKENS });
+      cache.set(cacheKey, metadata);
+    }
+
+    // Add metadata to node; roles the mappers found statically (e.g. routes) win over LLM guesses
+    const known = node.metadata || {};
+    node.roles = [...new Set([...(node.roles || []), ...(metadata.roles || [])])];
+    node.metadata = { ...(metadata.metadata || {}) };
+    for (const [role, fields] of Object.entries(known)) {
+      node.metadata[role] = { ...(node.metadata[role] || {}), ...fields };
+    }
 
     return true;
   } catch (err) {
     console.error(`Error processing ${nodeType}:`, err.message);
-    node.roles = [];
-    node.metadata = {};
+    node.roles = node.roles || [];
+    node.metadata = node.metadata || {};
     return false;
   }
 }
@@ -364,12 +301,14 @@ async function processData() {
     const fileEntry = data[i];
     const filePath = fileEntry.path;
 
+    const contentHash = readContentHash(filePath);
+
     console.log(`\n[${i + 1}/${data.length}] Processing: ${filePath}`);
 
     // Process file-level metadata
     if (config.nodeTypes.includes("file")) {
       console.log("  📄 Analyzing file...");
-      const success = await processNode(fileEntry, "file", filePath);
+      const success = await processNode(fileEntry, "file", filePath, contentHash);
       totalProcessed++;
       if (success) totalSuccess++;
     }
@@ -379,7 +318,7 @@ async function processData() {
       console.log(`  📦 Analyzing ${fileEntry.classes.length} classes...`);
 
       await processConcurrently(fileEntry.classes, async (classNode) => {
-        const success = await processNode(classNode, "class", filePath);
+        const success = await processNode(classNode, "class", filePath, contentHash);
         totalProcessed++;
         if (success) totalSuccess++;
       });
@@ -390,19 +329,24 @@ async function processData() {
       console.log(`  ⚡ Analyzing ${fileEntry.functions.length} functions...`);
 
       await processConcurrently(fileEntry.functions, async (funcNode) => {
-        const success = await processNode(funcNode, "function", filePath);
+        const success = await processNode(funcNode, "function", filePath, contentHash);
         totalProcessed++;
         if (success) totalSuccess++;
       });
     }
 
     // Save progress incrementally
-    if ((i + 1) % 10 === 0) {
+    if (!estimator && (i + 1) % 10 === 0) {
       fs.writeFileSync(outputPath, JSON.stringify(data, null, 2));
       console.log(`\n💾 Progress saved (${i + 1}/${data.length} files)`);
     }
   }
 
+  if (estimator) {
+    estimator.report("Metadata estimate");
+    return;
+  }
+
   // Final save
   fs.writeFileSync(outputPath, JSON.stringify(data, null, 2));
 
@@ -410,6 +354,9 @@ async function processData() {
   console.log(`   Total nodes processed: ${totalProcessed}`);
   console.log(`   Successful: ${totalSuccess}`);
   console.log(`   Failed: ${totalProcessed - totalSuccess}`);
+  if (cache.enabled) {
+    console.log(`   From cache: ${cache.hits}`);
+  }
   console.log(`\n📝 Updated file: ${outputPath}`);
 }
 
@@ -421,6 +368,8 @@ async function processData() {
   console.log(`   Mode: ${config.mode} accuracy`);
   console.log(`   Node types: ${config.nodeTypes.join(", ")}`);
   console.log(`   Max concurrent: ${config.maxConcurrent}`);
+  console.log(`   Cache: ${cache.enabled ? cache.cacheDir : "disabled"}`);
+  if (estimator) console.log("   Dry run: no API calls will be made and the JSON file is left unchanged");
 
   await processData();
 })();
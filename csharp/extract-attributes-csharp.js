@@ -0,0 +1,86 @@
+// -------------------------------------------------------------
+// C# attributes as structured data (same shape as Java annotations)
+// [HttpGet("{id}", Name = "GetUser")] -> { name: "HttpGet", arguments: { value: "{id}", Name: "GetUser" } }
+// [Authorize(Roles = "Admin")]        -> { name: "Authorize", arguments: { Roles: "Admin" } }
+// [ApiController]                     -> { name: "ApiController", arguments: {} }
+// Several positional arguments become an array under value; the
+// "Attribute" suffix is dropped ([RouteAttribute] -> Route). Constants and
+// nameof() keep their source text, or become null with literalsOnly.
+// -------------------------------------------------------------
+function getAttributes(node, source, { literalsOnly = false } = {}) {
+  return node.namedChildren
+    .filter((n) => n.type === "attribute_list")
+    .flatMap((list) => list.namedChildren.filter((n) => n.type === "attribute"))
+    .map((n) => parseAttribute(n, source, literalsOnly));
+}
+
+function parseAttribute(node, source, literalsOnly) {
+  const nameNode = node.childForFieldName("name");
+  const name = nameNode
+    ? source.slice(nameNode.startIndex, nameNode.endIndex).split(".").pop().replace(/(.)Attribute$/, "$1")
+    : null;
+  const args = {};
+  const positional = [];
+
+  const argsNode = node.namedChildren.find((n) => n.type === "attribute_argument_list");
+  if (argsNode) {
+    argsNode.namedChildren
+      .filter((n) => n.type === "attribute_argument")
+      .forEach((arg) => {
+        const expression = arg.namedChildren[arg.namedChildren.length - 1];
+        const nameColon = arg.namedChildren.find((n) => n.type === "name_colon");
+
+        if (expression && expression.type === "assignment_expression") {
+          // Roles = "Admin"
+          const left = expression.childForFieldName("left");
+          const right = expression.childForFieldName("right");
+          if (left && right) args[source.slice(left.startIndex, left.endIndex)] = attributeValue(right, source, literalsOnly);
+        } else if (nameColon && expression) {
+          // template: "{id}"
+          const key = source.slice(nameColon.startIndex, nameColon.endIndex).replace(/\s*:$/, "");
+          args[key] = attributeValue(expression, source, literalsOnly);
+        } else if (expression) {
+          positional.push(attributeValue(expression, source, literalsOnly));
+        }
+      });
+  }
+
+  if (positional.length === 1) args.value = positional[0];
+  if (positional.length > 1) args.value = positional;
+
+  return { name, arguments: args };
+}
+
+function attributeValue(node, source, literalsOnly = false) {
+  const text = source.slice(node.startIndex, node.endIndex);
+
+  if (node.type === "string_literal") {
+    return node.namedChildren
+      .filter((n) => n.type === "string_literal_content" || n.type === "escape_sequence")
+      .map((n) => source.slice(n.startIndex, n.endIndex))
+      .join("");
+  }
+  if (node.type === "verbatim_string_literal") return text.slice(2, -1).replace(/""/g, "\"");
+  if (node.type === "boolean_literal") return text === "true";
+  if (node.type === "integer_literal") return Number(text);
+  return literalsOnly ? null : text;
+}
+
+function findAttribute(attributes, names) {
+  return attributes.find((a) => names.includes(a.name)) || null;
+}
+
+// Positional arguments as a list: "a" -> ["a"], ("a", "b") -> ["a", "b"], none -> []
+function attributeList(attribute, keys = ["value"]) {
+  if (!attribute) return [];
+  const key = keys.find((k) => attribute.arguments[k] !== undefined);
+  if (!key) return [];
+  const value = attribute.arguments[key];
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+  getAttributes,
+  findAttribute,
+  attributeList
+};
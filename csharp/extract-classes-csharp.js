@@ -2,6 +2,7 @@ const Parser = require("tree-sitter");
 const CSharp = require("tree-sitter-c-sharp");
 const fs = require("fs");
 const path = require("path");
+const { getAttributes } = require("./extract-attributes-csharp");
 
 function extractClasses(filePath, repoPath = null) {
   const source = fs.readFileSync(filePath, "utf8");
@@ -62,6 +63,7 @@ function extractClassInfo(node, filePath, repoPath = null, source) {
     isSealed,
     isStatic,
     isPartial,
+    attributes: getAttributes(node, source),
     extends: superClass,
     implements: interfaces,
     constructorParams,
@@ -304,7 +306,8 @@ function extractPropertyInfo(node, source) {
     isStatic,
     isFinal: isReadonly,
     hasDefault,
-    isProperty: true
+    isProperty: true,
+    attributes: getAttributes(node, source)
   };
 }
 
@@ -371,7 +374,8 @@ function extractFieldInfo(node, source) {
             isStatic,
             isFinal: isReadonly || isConst,
             hasDefault,
-            isProperty: false
+            isProperty: false,
+            attributes: getAttributes(node, source)
           });
         }
       }
@@ -0,0 +1,67 @@
+const Parser = require("tree-sitter");
+const CSharp = require("tree-sitter-c-sharp");
+const fs = require("fs");
+
+// -------------------------------------------------------------
+// Entity Framework entity sets
+// Every DbSet<T> / IDbSet<T> property declares T as an entity of its
+// DbContext:  public DbSet<User> Users { get; set; }
+// -> { dbContext: "AppDbContext", property: "Users", entity: "User", line }
+// -------------------------------------------------------------
+function extractEntitySets(filePath) {
+  try {
+    const source = fs.readFileSync(filePath, "utf8");
+    const parser = new Parser();
+    parser.setLanguage(CSharp);
+    const tree = parser.parse(source);
+
+    const entitySets = [];
+
+    traverse(tree.rootNode, (node) => {
+      if (node.type !== "property_declaration") return;
+
+      const typeNode = node.childForFieldName("type");
+      const nameNode = node.childForFieldName("name");
+      if (!typeNode || !nameNode || typeNode.type !== "generic_name") return;
+
+      const genericName = typeNode.namedChildren.find((n) => n.type === "identifier");
+      const typeArgs = typeNode.namedChildren.find((n) => n.type === "type_argument_list");
+      if (!genericName || !typeArgs || typeArgs.namedChildren.length !== 1) return;
+      if (!["DbSet", "IDbSet"].includes(source.slice(genericName.startIndex, genericName.endIndex))) return;
+
+      const entityNode = typeArgs.namedChildren[0];
+      const classNode = enclosingClass(node);
+      const contextName = classNode && classNode.childForFieldName("name");
+
+      entitySets.push({
+        dbContext: contextName ? source.slice(contextName.startIndex, contextName.endIndex) : null,
+        property: source.slice(nameNode.startIndex, nameNode.endIndex),
+        // Models.User -> User
+        entity: source.slice(entityNode.startIndex, entityNode.endIndex).split(".").pop(),
+        line: node.startPosition.row + 1
+      });
+    });
+
+    return entitySets;
+  } catch (error) {
+    console.error(`Error extracting entity sets from ${filePath}:`, error);
+    return [];
+  }
+}
+
+function enclosingClass(node) {
+  let parent = node.parent;
+  while (parent && parent.type !== "class_declaration" && parent.type !== "record_declaration") {
+    parent = parent.parent;
+  }
+  return parent;
+}
+
+function traverse(node, cb) {
+  cb(node);
+  for (let i = 0; i < node.namedChildCount; i++) {
+    traverse(node.namedChild(i), cb);
+  }
+}
+
+module.exports = { extractEntitySets };
@@ -2,6 +2,8 @@ const Parser = require("tree-sitter");
 const CSharp = require("tree-sitter-c-sharp");
 const fs = require("fs");
 const path = require("path");
+const { getAttributes } = require("./extract-attributes-csharp");
+const { isMinimalApiHandler, lambdaHandlerName } = require("./extract-routes-csharp");
 
 function extractFunctionsWithCalls(filePath, repoPath = null) {
   const source = fs.readFileSync(filePath, "utf8");
@@ -17,7 +19,8 @@ function extractFunctionsWithCalls(filePath, repoPath = null) {
     if (
       node.type === "method_declaration" ||
       node.type === "constructor_declaration" ||
-      node.type === "local_function_statement"
+      node.type === "local_function_statement" ||
+      isMinimalApiHandler(node, source)
     ) {
       const funcInfo = extractFunctionInfo(node, filePath, repoPath, source);
       if (funcInfo.name) {
@@ -48,6 +51,8 @@ function extractFunctionInfo(node, filePath, repoPath = null, source) {
     isVirtual,
     isOverride,
     params,
+    returnType: getReturnType(node, source),
+    attributes: getAttributes(node, source),
     startLine,
     endLine,
     calls
@@ -60,6 +65,9 @@ function getFunctionType(node) {
       return "constructor";
     case "local_function_statement":
       return "local_function";
+    case "lambda_expression":
+    case "anonymous_method_expression":
+      return "lambda";
     default:
       return "method";
   }
@@ -125,15 +133,51 @@ function extractFunctionParams(node, source) {
         }
 
         const paramName = source.slice(nameNode.startIndex, nameNode.endIndex);
-        params.push(isParams ? "..." + paramName : paramName);
+        const typeNode = child.childForFieldName("type");
+        const defaultNode = getDefaultValue(child, nameNode);
+        const attributes = getAttributes(child, source);
+        params.push({
+          name: isParams ? "..." + paramName : paramName,
+          type: typeNode ? source.slice(typeNode.startIndex, typeNode.endIndex) : null,
+          optional: isParams || defaultNode !== null,
+          default: defaultNode ? source.slice(defaultNode.startIndex, defaultNode.endIndex) : null,
+          ...(attributes.length > 0 && { attributes })
+        });
       }
+    } else if (paramsNode.fieldNameForChild(i) === "name") {
+      // Newer grammars put `params string[] names` straight into the parameter list
+      const typeNode = i > 0 && paramsNode.fieldNameForChild(i - 1) === "type" ? paramsNode.child(i - 1) : null;
+      params.push({
+        name: "..." + source.slice(child.startIndex, child.endIndex),
+        type: typeNode ? source.slice(typeNode.startIndex, typeNode.endIndex) : null,
+        optional: true,
+        default: null
+      });
     }
   }
 
   return params;
 }
 
+// int limit = 10: the value follows the name, bare or wrapped in an equals_value_clause
+function getDefaultValue(paramNode, nameNode) {
+  const valueNode = paramNode.namedChildren.find((n) => n.startIndex >= nameNode.endIndex);
+  if (!valueNode) return null;
+  return valueNode.type === "equals_value_clause" ? valueNode.namedChild(0) : valueNode;
+}
+
+// Methods name it returns (type in older grammars), local functions type; constructors have none
+function getReturnType(node, source) {
+  if (node.type === "constructor_declaration") return null;
+  const typeNode = node.childForFieldName("returns") || node.childForFieldName("type");
+  return typeNode ? source.slice(typeNode.startIndex, typeNode.endIndex) : null;
+}
+
+// Minimal API lambdas get the name their route's handler refers to
 function getFunctionName(node, source) {
+  if (node.type === "lambda_expression" || node.type === "anonymous_method_expression") {
+    return lambdaHandlerName(node);
+  }
   const nameNode = node.childForFieldName("name");
   return nameNode ? source.slice(nameNode.startIndex, nameNode.endIndex) : null;
 }
@@ -0,0 +1,362 @@
+const Parser = require("tree-sitter");
+const CSharp = require("tree-sitter-c-sharp");
+const fs = require("fs");
+const { getAttributes, findAttribute, attributeList } = require("./extract-attributes-csharp");
+const { joinRoutePath, joinMountPath } = require("../route-metadata");
+
+const HTTP_ATTRIBUTES = {
+  HttpGet: "GET",
+  HttpPost: "POST",
+  HttpPut: "PUT",
+  HttpDelete: "DELETE",
+  HttpPatch: "PATCH",
+  HttpHead: "HEAD",
+  HttpOptions: "OPTIONS"
+};
+const MAP_METHODS = {
+  MapGet: "GET",
+  MapPost: "POST",
+  MapPut: "PUT",
+  MapDelete: "DELETE",
+  MapPatch: "PATCH",
+  Map: "ANY"
+};
+
+// -------------------------------------------------------------
+// Route extraction
+// ASP.NET Core attribute-routed controllers ([Route] on the class plus
+// [HttpGet("{id}")] / [Route] / [AcceptVerbs] on actions) and minimal
+// APIs (app.MapGet("/x", handler), MapGroup prefixes). Each route carries
+// its [Authorize] / RequireAuthorization() requirement; handlerClass names
+// the class of a Handlers.Method style handler for the mapper to resolve.
+// -------------------------------------------------------------
+function extractRoutes(filePath) {
+  try {
+    const source = fs.readFileSync(filePath, "utf8");
+    const parser = new Parser();
+    parser.setLanguage(CSharp);
+    const tree = parser.parse(source);
+
+    const routes = [];
+    const groups = collectRouteGroups(tree.rootNode, source);
+
+    traverse(tree.rootNode, (node) => {
+      if (node.type === "class_declaration") {
+        routes.push(...extractControllerRoutes(node, source));
+      }
+      if (node.type === "invocation_expression") {
+        routes.push(...extractMinimalApiRoutes(node, source, groups));
+      }
+    });
+
+    return routes;
+  } catch (error) {
+    console.error(`Error extracting routes from ${filePath}:`, error);
+    return [];
+  }
+}
+
+// -------------------------------------------------------------
+// Controllers
+// -------------------------------------------------------------
+function extractControllerRoutes(classNode, source) {
+  const nameNode = classNode.childForFieldName("name");
+  const body = classNode.childForFieldName("body");
+  if (!nameNode || !body) return [];
+
+  const className = source.slice(nameNode.startIndex, nameNode.endIndex);
+  const classAttributes = getAttributes(classNode, source, { literalsOnly: true });
+  const baseList = classNode.namedChildren.find((n) => n.type === "base_list");
+  const baseTypes = baseList ? baseList.namedChildren.map((n) => source.slice(n.startIndex, n.endIndex)) : [];
+  const isController =
+    className.endsWith("Controller") ||
+    findAttribute(classAttributes, ["ApiController", "Route"]) ||
+    baseTypes.some((b) => b === "Controller" || b === "ControllerBase");
+  if (!isController) return [];
+
+  const tokens = {
+    controller: className.replace(/Controller$/, ""),
+    area: attributeList(findAttribute(classAttributes, ["Area"]))[0] || ""
+  };
+  const classRoute = attributeList(findAttribute(classAttributes, ["Route"]));
+  const classTemplates = literalTemplates(classRoute);
+  if (classRoute.length > 0 && classTemplates.length === 0) return [];
+  const classAuth = authorization(classAttributes, null);
+  const routes = [];
+
+  body.namedChildren
+    .filter((n) => n.type === "method_declaration")
+    .forEach((method) => {
+      const attributes = getAttributes(method, source, { literalsOnly: true });
+      if (findAttribute(attributes, ["NonAction"])) return;
+
+      const methodName = method.childForFieldName("name");
+      const handler = methodName ? source.slice(methodName.startIndex, methodName.endIndex) : null;
+      const actionTokens = { ...tokens, action: handler };
+      const methodRoute = attributes.filter((a) => a.name === "Route").flatMap((a) => attributeList(a));
+      const methodTemplates = literalTemplates(methodRoute);
+      if (methodRoute.length > 0 && methodTemplates.length === 0) return;
+      const auth = authorization(attributes, classAuth);
+
+      // [HttpGet("{id}")] uses its own template; a bare [HttpGet] uses the action's [Route]
+      const endpoints = [];
+      attributes.forEach((attribute) => {
+        let methods;
+        let declared;
+        if (HTTP_ATTRIBUTES[attribute.name]) {
+          methods = [HTTP_ATTRIBUTES[attribute.name]];
+          declared = attributeList(attribute, ["value", "template"]);
+        } else if (attribute.name === "AcceptVerbs") {
+          methods = literalTemplates(attributeList(attribute)).map((m) => m.toUpperCase());
+          declared = attributeList(attribute, ["Route"]);
+        } else {
+          return;
+        }
+        const templates = literalTemplates(declared);
+        if (declared.length > 0 && templates.length === 0) return;
+        (templates.length > 0 ? templates : methodTemplates.length > 0 ? methodTemplates : [""]).forEach((template) => {
+          methods.forEach((httpMethod) => endpoints.push({ httpMethod, template }));
+        });
+      });
+
+      // [Route("x")] without an HTTP verb attribute matches any method
+      if (endpoints.length === 0) {
+        methodTemplates.forEach((template) => endpoints.push({ httpMethod: "ANY", template }));
+      }
+
+      endpoints.forEach(({ httpMethod, template }) => {
+        (classTemplates.length > 0 ? classTemplates : [""]).forEach((prefix) => {
+          routes.push({
+            method: httpMethod,
+            path: replaceTokens(combineTemplates(prefix, template), actionTokens),
+            handler,
+            handlerClass: null,
+            handlerLine: method.startPosition.row + 1,
+            framework: "aspnetcore",
+            authorization: auth,
+            line: method.startPosition.row + 1
+          });
+        });
+      });
+    });
+
+  return routes;
+}
+
+// [Authorize(Roles = "Admin", Policy = "x")] -> { roles, policy }; [AllowAnonymous] -> null
+function authorization(attributes, inherited) {
+  if (findAttribute(attributes, ["AllowAnonymous"])) return null;
+  const authorize = findAttribute(attributes, ["Authorize"]);
+  if (!authorize) return inherited;
+  return {
+    roles: authorize.arguments.Roles ?? null,
+    policy: authorize.arguments.Policy ?? authorize.arguments.value ?? null
+  };
+}
+
+// "~/health" and "/health" ignore the controller's [Route] prefix
+function combineTemplates(prefix, template) {
+  if (template.startsWith("~/")) return joinRoutePath("", template.slice(2));
+  if (template.startsWith("/")) return template;
+  return joinRoutePath(joinRoutePath("", prefix), template);
+}
+
+function replaceTokens(template, tokens) {
+  return template.replace(/\[(controller|action|area)\]/gi, (match, token) => tokens[token.toLowerCase()] ?? match);
+}
+
+// Values built from constants or nameof() are null here; routes using them are skipped
+function literalTemplates(values) {
+  return values.filter((v) => typeof v === "string");
+}
+
+// -------------------------------------------------------------
+// Minimal APIs
+// -------------------------------------------------------------
+// var todos = app.MapGroup("/todos").RequireAuthorization();
+function collectRouteGroups(rootNode, source) {
+  const groups = new Map();
+
+  traverse(rootNode, (node) => {
+    if (node.type !== "variable_declarator") return;
+    const nameNode = node.childForFieldName("name");
+    const value = node.namedChildren.find((n) => n.type === "invocation_expression");
+    if (!nameNode || !value) return;
+
+    const group = groupFromChain(value, source, groups);
+    if (group) groups.set(source.slice(nameNode.startIndex, nameNode.endIndex), group);
+  });
+
+  return groups;
+}
+
+// Walks a.MapGroup("/x").RequireAuthorization().WithTags(...) down to the MapGroup call
+function groupFromChain(node, source, groups) {
+  let auth;
+  let current = node;
+
+  while (current && current.type === "invocation_expression") {
+    const fn = current.childForFieldName("function");
+    if (!fn || fn.type !== "member_access_expression") return null;
+    const name = memberName(fn, source);
+
+    if (name === "MapGroup") {
+      const receiver = fn.childForFieldName("expression");
+      const parent = receiver ? receiverGroup(receiver, source, groups) : { prefix: "", authorization: null };
+      const prefix = stringArgument(current, 0, source);
+      if (prefix === null) return null;
+      return {
+        prefix: joinRoutePath(parent.prefix, prefix),
+        authorization: auth !== undefined ? auth : parent.authorization
+      };
+    }
+
+    if (auth === undefined) auth = chainAuthorization(name, current, source);
+    current = fn.childForFieldName("expression");
+  }
+  return null;
+}
+
+function receiverGroup(receiver, source, groups) {
+  if (receiver.type === "identifier") {
+    return groups.get(source.slice(receiver.startIndex, receiver.endIndex)) || { prefix: "", authorization: null };
+  }
+  return groupFromChain(receiver, source, groups) || { prefix: "", authorization: null };
+}
+
+// .RequireAuthorization("policy") / .AllowAnonymous(); undefined for anything else
+function chainAuthorization(name, invocation, source) {
+  if (name === "RequireAuthorization") {
+    return { roles: null, policy: stringArgument(invocation, 0, source) };
+  }
+  if (name === "AllowAnonymous") return null;
+  return undefined;
+}
+
+function extractMinimalApiRoutes(node, source, groups) {
+  const fn = node.childForFieldName("function");
+  if (!fn || fn.type !== "member_access_expression") return [];
+  const name = memberName(fn, source);
+  if (!(name in MAP_METHODS) && name !== "MapMethods") return [];
+
+  const args = argumentExpressions(node);
+  const routePath = stringArgument(node, 0, source);
+  if (routePath === null || args.length < 2) return [];
+
+  let methods = [MAP_METHODS[name]];
+  if (name === "MapMethods") {
+    const list = args[1];
+    const initializer = list && list.namedChildren.find((n) => n.type === "initializer_expression");
+    methods = initializer
+      ? initializer.namedChildren.map((n) => stringValue(n, source)).filter(Boolean).map((m) => m.toUpperCase())
+      : [];
+  }
+
+  const receiver = fn.childForFieldName("expression");
+  const group = receiver ? receiverGroup(receiver, source, groups) : { prefix: "", authorization: null };
+
+  // app.MapGet(...).RequireAuthorization()
+  let auth = group.authorization;
+  let parent = node.parent;
+  while (parent && parent.type === "member_access_expression" && parent.parent && parent.parent.type === "invocation_expression") {
+    const chained = chainAuthorization(memberName(parent, source), parent.parent, source);
+    if (chained !== undefined) auth = chained;
+    parent = parent.parent.parent;
+  }
+
+  const handler = describeHandler(args[args.length - 1], source);
+  return methods.map((method) => ({
+    method,
+    path: joinMountPath(group.prefix, routePath),
+    ...handler,
+    framework: "aspnetcore",
+    authorization: auth,
+    minimalApi: true,
+    line: node.startPosition.row + 1
+  }));
+}
+
+// app.MapGet("/x", () => ...): the lambda is the last argument of a Map* call
+function isMinimalApiHandler(node, source) {
+  if (node.type !== "lambda_expression" && node.type !== "anonymous_method_expression") return false;
+  const argument = node.parent;
+  const invocation = argument && argument.parent && argument.parent.parent;
+  if (!argument || argument.type !== "argument" || !invocation || invocation.type !== "invocation_expression") return false;
+
+  const fn = invocation.childForFieldName("function");
+  if (!fn || fn.type !== "member_access_expression") return false;
+  const name = memberName(fn, source);
+  if (!(name in MAP_METHODS) && name !== "MapMethods") return false;
+
+  const last = argumentExpressions(invocation).pop();
+  return Boolean(last) && last.startIndex === node.startIndex && last.endIndex === node.endIndex;
+}
+
+// Inline handlers have no name; the extractors agree on one derived from the start line
+function lambdaHandlerName(node) {
+  return `lambda@${node.startPosition.row + 1}`;
+}
+
+// GetTodo -> local function or method; Handlers.Patch -> method of another class; lambdas by line
+function describeHandler(node, source) {
+  if (!node) return { handler: null, handlerClass: null };
+
+  if (node.type === "identifier") {
+    return { handler: source.slice(node.startIndex, node.endIndex), handlerClass: null };
+  }
+  if (node.type === "member_access_expression") {
+    const expression = node.childForFieldName("expression");
+    return {
+      handler: memberName(node, source),
+      handlerClass: expression ? source.slice(expression.startIndex, expression.endIndex).split(".").pop() : null
+    };
+  }
+  if (node.type === "lambda_expression" || node.type === "anonymous_method_expression") {
+    return { handler: lambdaHandlerName(node), handlerClass: null, handlerLine: node.startPosition.row + 1 };
+  }
+  return { handler: null, handlerClass: null };
+}
+
+// -------------------------------------------------------------
+// Helpers
+// -------------------------------------------------------------
+function memberName(memberAccess, source) {
+  const nameNode = memberAccess.childForFieldName("name");
+  return nameNode ? source.slice(nameNode.startIndex, nameNode.endIndex) : null;
+}
+
+function argumentExpressions(invocation) {
+  const args = invocation.childForFieldName("arguments");
+  if (!args) return [];
+  return args.namedChildren
+    .filter((n) => n.type === "argument")
+    .map((arg) => arg.namedChildren[arg.namedChildren.length - 1])
+    .filter(Boolean);
+}
+
+function stringArgument(invocation, index, source) {
+  const arg = argumentExpressions(invocation)[index];
+  return arg ? stringValue(arg, source) : null;
+}
+
+function stringValue(node, source) {
+  if (node.type === "string_literal") {
+    return node.namedChildren
+      .filter((n) => n.type === "string_literal_content" || n.type === "escape_sequence")
+      .map((n) => source.slice(n.startIndex, n.endIndex))
+      .join("");
+  }
+  if (node.type === "verbatim_string_literal") {
+    return source.slice(node.startIndex + 2, node.endIndex - 1).replace(/""/g, "\"");
+  }
+  return null;
+}
+
+function traverse(node, cb) {
+  cb(node);
+  for (let i = 0; i < node.namedChildCount; i++) {
+    traverse(node.namedChild(i), cb);
+  }
+}
+
+module.exports = { extractRoutes, isMinimalApiHandler, lambdaHandlerName };
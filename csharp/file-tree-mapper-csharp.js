@@ -12,6 +12,9 @@ const Parser = require("tree-sitter");
 const CSharp = require("tree-sitter-c-sharp");
 const { extractFunctionsAndCalls, extractImports } = require("./extract-functions-csharp");
 const { extractClasses } = require("./extract-classes-csharp");
+const { extractRoutes } = require("./extract-routes-csharp");
+const { extractEntitySets } = require("./extract-entities-csharp");
+const { addRole, linkRouteHandlers } = require("../route-metadata");
 
 if (process.argv.length < 4) {
   console.error(
@@ -398,12 +401,27 @@ function analyzeCSharpFiles() {
       });
       const classes = extractClasses(file, repoPath);
 
+      // ASP.NET Core routes; Handlers.Method style handlers live in another class
+      const relativePath = path.relative(repoPath, file);
+      const routes = extractRoutes(file).map(({ handlerClass, ...route }) => ({
+        ...route,
+        handlerPath: handlerClass ? (classIndex[handlerClass] || [])[0] || null : relativePath
+      }));
+
+      // Entity Framework DbSet<T> properties, linked to the entity classes below
+      const entities = extractEntitySets(file).map((entitySet) => ({
+        ...entitySet,
+        entityPath: (classIndex[entitySet.entity] || [])[0] || null
+      }));
+
       results.push({
-        path: path.relative(repoPath, file),
+        path: relativePath,
         importFiles: [...new Set(importFiles)],
         externalImports: [...new Set(externalImports)],
         functions,
-        classes
+        classes,
+        routes,
+        entities
       });
     } catch (e) {
       process.stdout.write('\n');
@@ -414,9 +432,50 @@ function analyzeCSharpFiles() {
   process.stdout.write('\r' + ' '.repeat(150) + '\r');
   console.log(`✅ Completed processing ${totalFiles} C# files\n`);
 
+  linkEntities(results);
+  linkRouteHandlers(results);
+
+  const routeCount = results.reduce((sum, entry) => sum + entry.routes.length, 0);
+  const entityCount = results.reduce((sum, entry) => sum + entry.entities.length, 0);
+  if (routeCount > 0) console.log(`🛣️  Found ${routeCount} routes`);
+  if (entityCount > 0) console.log(`🗄️  Found ${entityCount} Entity Framework entity sets`);
+
   return results;
 }
 
+// -------------------------------------------------------------
+// Pre-fill Entity metadata on DbSet<T> entity classes and
+// Repository metadata on their DbContext
+// -------------------------------------------------------------
+function linkEntities(results) {
+  const entriesByPath = new Map(results.map((entry) => [entry.path, entry]));
+
+  results.forEach((entry) => {
+    entry.entities.forEach((entitySet) => {
+      const context = entry.classes.find((c) => c.name === entitySet.dbContext);
+      if (context) addRole(context, "Repository", { entity: [...new Set([...((context.metadata || {}).Repository?.entity || []), entitySet.entity])] });
+
+      const target = entriesByPath.get(entitySet.entityPath);
+      const entityClass = target && target.classes.find((c) => c.name === entitySet.entity);
+      if (!entityClass) return;
+
+      const properties = entityClass.properties.filter((p) => !p.isStatic && p.isProperty);
+      const hasAttribute = (node, name) => (node.attributes || []).some((a) => a.name === name);
+      const table = (entityClass.attributes || []).find((a) => a.name === "Table");
+      // [Key], otherwise EF's Id / <Entity>Id convention
+      const primaryKey =
+        properties.find((p) => hasAttribute(p, "Key")) ||
+        properties.find((p) => p.name === "Id" || p.name === `${entitySet.entity}Id`);
+
+      addRole(entityClass, "Entity", {
+        tableName: (table && typeof table.arguments.value === "string" ? table.arguments.value : null) || entitySet.property,
+        fields: properties.map((p) => p.name),
+        primaryKey: primaryKey ? primaryKey.name : null
+      });
+    });
+  });
+}
+
 // -------------------------------------------------------------
 // MAIN
 // -------------------------------------------------------------
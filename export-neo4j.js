@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+/**
+ * Neo4j Exporter
+ * Converts a *-imports.json ontology into a Cypher script and neo4j-admin import CSVs
+ * Usage: node export-neo4j.js <ontology.json> <outputDir> [--format cypher|csv|all]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { buildGraph } = require("./ontology-graph");
+
+const BATCH_SIZE = 500;
+
+// Properties exported per node label, with their neo4j-admin CSV types
+const NODE_PROPERTIES = {
+  File: [
+    ["path", "string"],
+    ["name", "string"],
+    ["language", "string"],
+    ["loc", "int"],
+    ["description", "string"],
+    ["roles", "string[]"],
+    ["metadata", "json"],
+  ],
+  Class: [
+    ["name", "string"],
+    ["file", "string"],
+    ["type", "string"],
+    ["visibility", "string"],
+    ["isAbstract", "boolean"],
+    ["external", "boolean"],
+    ["startLine", "int"],
+    ["endLine", "int"],
+    ["description", "string"],
+    ["roles", "string[]"],
+    ["metadata", "json"],
+  ],
+  Function: [
+    ["name", "string"],
+    ["file", "string"],
+    ["className", "string"],
+    ["type", "string"],
+    ["visibility", "string"],
+    ["kind", "string"],
+    ["params", "json"],
+    ["returnType", "string"],
+    ["startLine", "int"],
+    ["endLine", "int"],
+    ["description", "string"],
+    ["roles", "string[]"],
+    ["metadata", "json"],
+  ],
+  ExternalPackage: [["name", "string"]],
+};
+
+const CSV_FILE_NAMES = {
+  File: "files.csv",
+  Class: "classes.csv",
+  Function: "functions.csv",
+  ExternalPackage: "external-packages.csv",
+};
+
+// -------------------------------------------------------------
+// Cypher output
+// -------------------------------------------------------------
+function normalizeProps(label, props) {
+  const result = {};
+  for (const [key, type] of NODE_PROPERTIES[label]) {
+    const value = props[key];
+    if (value === undefined || value === null) continue;
+    if (type === "json") {
+      if (typeof value === "object" && Object.keys(value).length === 0) continue;
+      result[key] = JSON.stringify(value);
+    } else if (type === "string[]") {
+      if (!Array.isArray(value) || value.length === 0) continue;
+      result[key] = value.map(String);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+function cypherLiteral(value) {
+  if (value === null || value === undefined) return "null";
+  if (Array.isArray(value)) return `[${value.map(cypherLiteral).join(", ")}]`;
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  if (typeof value === "object") {
+    const entries = Object.entries(value).map(([k, v]) => `\`${k}\`: ${cypherLiteral(v)}`);
+    return `{${entries.join(", ")}}`;
+  }
+  const escaped = String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/'/g, "\\'")
+    .replace(/\r/g, "\\r")
+    .replace(/\n/g, "\\n");
+  return `'${escaped}'`;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+function toCypher(graph) {
+  const lines = [];
+  const labels = Object.keys(NODE_PROPERTIES);
+
+  lines.push("// Generated by breeze-code-ontology-generator");
+  for (const label of labels) {
+    lines.push(
+      `CREATE CONSTRAINT ${label.toLowerCase()}_id IF NOT EXISTS FOR (n:${label}) REQUIRE n.id IS UNIQUE;`
+    );
+  }
+  lines.push("");
+
+  const nodes = [...graph.nodes.values()];
+  for (const label of labels) {
+    const rows = nodes
+      .filter((n) => n.label === label)
+      .map((n) => ({ id: n.id, props: normalizeProps(label, n.props) }));
+
+    for (const batch of chunk(rows, BATCH_SIZE)) {
+      lines.push(`UNWIND ${cypherLiteral(batch)} AS row`);
+      lines.push(`MERGE (n:${label} {id: row.id}) SET n += row.props;`);
+      lines.push("");
+    }
+  }
+
+  // Group edges by type and endpoint labels so MATCH can use the label indexes
+  const groups = new Map();
+  for (const edge of graph.edges.values()) {
+    const fromLabel = graph.nodes.get(edge.from).label;
+    const toLabel = graph.nodes.get(edge.to).label;
+    const key = `${fromLabel}|${edge.type}|${toLabel}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ from: edge.from, to: edge.to });
+  }
+
+  for (const [key, rows] of groups) {
+    const [fromLabel, type, toLabel] = key.split("|");
+    for (const batch of chunk(rows, BATCH_SIZE)) {
+      lines.push(`UNWIND ${cypherLiteral(batch)} AS row`);
+      lines.push(`MATCH (a:${fromLabel} {id: row.from})`);
+      lines.push(`MATCH (b:${toLabel} {id: row.to})`);
+      lines.push(`MERGE (a)-[:${type}]->(b);`);
+      lines.push("");
+    }
+  }
+
+  return lines.join("\n");
+}
+
+// -------------------------------------------------------------
+// neo4j-admin import CSV output
+// -------------------------------------------------------------
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function writeCsv(graph, outputDir) {
+  const written = [];
+  const nodes = [...graph.nodes.values()];
+
+  for (const [label, columns] of Object.entries(NODE_PROPERTIES)) {
+    const header = ["id:ID", ...columns.map(([key, type]) => {
+      if (type === "json" || type === "string") return key;
+      return `${key}:${type}`;
+    }), ":LABEL"];
+
+    const rows = nodes
+      .filter((n) => n.label === label)
+      .map((n) => {
+        const props = normalizeProps(label, n.props);
+        const values = columns.map(([key, type]) => {
+          const value = props[key];
+          return type === "string[]" && value ? value.join(";") : value;
+        });
+        return [n.id, ...values, label].map(csvField).join(",");
+      });
+
+    const file = path.join(outputDir, CSV_FILE_NAMES[label]);
+    fs.writeFileSync(file, [header.join(","), ...rows].join("\n") + "\n");
+    written.push(file);
+  }
+
+  const relRows = [...graph.edges.values()].map((e) =>
+    [e.from, e.to, e.type].map(csvField).join(",")
+  );
+  const relFile = path.join(outputDir, "relationships.csv");
+  fs.writeFileSync(relFile, [":START_ID,:END_ID,:TYPE", ...relRows].join("\n") + "\n");
+  written.push(relFile);
+
+  return written;
+}
+
+function adminImportCommand(outputDir) {
+  const nodeArgs = Object.values(CSV_FILE_NAMES)
+    .map((name) => `--nodes=${path.join(outputDir, name)}`)
+    .join(" ");
+  return (
+    `neo4j-admin database import full ${nodeArgs} ` +
+    `--relationships=${path.join(outputDir, "relationships.csv")} neo4j`
+  );
+}
+
+// -------------------------------------------------------------
+// EXPORTS
+// -------------------------------------------------------------
+module.exports = {
+  buildGraph,
+  toCypher,
+  writeCsv,
+};
+
+// -------------------------------------------------------------
+// MAIN EXECUTION
+// -------------------------------------------------------------
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.length < 2) {
+    console.error(
+      "Usage: node export-neo4j.js <ontology.json> <outputDir> [--format cypher|csv|all]"
+    );
+    process.exit(1);
+  }
+
+  const ontologyPath = path.resolve(args[0]);
+  const outputDir = path.resolve(args[1]);
+  const formatIndex = args.indexOf("--format");
+  const format = formatIndex !== -1 ? args[formatIndex + 1] : "all";
+
+  if (!["cypher", "csv", "all"].includes(format)) {
+    console.error(`❌ Invalid format: ${format}. Allowed: cypher, csv, all`);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(ontologyPath)) {
+    console.error(`❌ Ontology file not found: ${ontologyPath}`);
+    process.exit(1);
+  }
+
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  console.log(`📂 Loading ontology: ${ontologyPath}`);
+  const ontology = JSON.parse(fs.readFileSync(ontologyPath, "utf8"));
+  const graph = buildGraph(ontology);
+  console.log(`🕸️  Built graph with ${graph.nodes.size} nodes and ${graph.edges.size} relationships`);
+
+  if (format === "cypher" || format === "all") {
+    const baseName = path.basename(ontologyPath, ".json");
+    const cypherFile = path.join(outputDir, `${baseName}.cypher`);
+    fs.writeFileSync(cypherFile, toCypher(graph));
+    console.log(`✅ Cypher script written → ${cypherFile}`);
+  }
+
+  if (format === "csv" || format === "all") {
+    const files = writeCsv(graph, outputDir);
+    console.log(`✅ CSV files written → ${files.map((f) => path.basename(f)).join(", ")}`);
+    console.log(`📦 Import with:\n   ${adminImportCommand(outputDir)}`);
+  }
+}
@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+/**
+ * RDF Exporter
+ * Converts a *-imports.json ontology into an OWL/RDF graph (Turtle or JSON-LD)
+ * Usage: node export-rdf.js <ontology.json> <output.ttl|output.jsonld> [--format ttl|jsonld] [--base <iri>]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { buildGraph } = require("./ontology-graph");
+const { METADATA_SCHEMA } = require("./metadata-schema");
+
+const CODE_NS = "https://github.com/accionlabs/breeze-code-ontology-generator/ontology#";
+const DEFAULT_BASE = "urn:breeze:code:";
+
+const PREFIXES = {
+  code: CODE_NS,
+  rdf: "http://www.w3.org/1999/02/22-rdf-syntax-ns#",
+  rdfs: "http://www.w3.org/2000/01/rdf-schema#",
+  owl: "http://www.w3.org/2002/07/owl#",
+  xsd: "http://www.w3.org/2001/XMLSchema#",
+};
+
+// Graph relationship types and the RDF properties they map to
+const EDGE_PROPERTIES = {
+  IMPORTS: "code:imports",
+  DEFINES: "code:defines",
+  CALLS: "code:calls",
+  EXTENDS: "code:extends",
+  IMPLEMENTS: "code:implements",
+};
+
+// Node properties emitted as datatype properties
+const DATA_PROPERTIES = [
+  "path",
+  "name",
+  "language",
+  "loc",
+  "file",
+  "visibility",
+  "kind",
+  "returnType",
+  "isAbstract",
+  "external",
+  "startLine",
+  "endLine",
+  "description",
+];
+
+const CLASS_DESCRIPTIONS = {
+  File: "A source file in the repository",
+  Class: "A class, struct or other type declaration",
+  Interface: "An interface or protocol declaration",
+  Function: "A function, method or constructor",
+  ExternalPackage: "A module or package imported from outside the repository",
+  Role: "An architectural role from the metadata schema",
+};
+
+// -------------------------------------------------------------
+// Naming helpers
+// -------------------------------------------------------------
+function localName(text) {
+  return String(text).replace(/[^A-Za-z0-9_]/g, "_");
+}
+
+// "API" + "httpMethod" -> "apiHttpMethod", "EventEmitter" + "target" -> "eventEmitterTarget"
+function metadataProperty(role, field) {
+  const rolePart = localName(role).replace(/^[A-Z]+(?=[A-Z][a-z]|$)|^[A-Z]/, (m) => m.toLowerCase());
+  const fieldPart = localName(field);
+  return `code:${rolePart}${fieldPart.charAt(0).toUpperCase()}${fieldPart.slice(1)}`;
+}
+
+// Node ids look like "file:src/a.ts" or "class:src/a.ts#A"
+function nodeIri(base, id) {
+  const separator = id.indexOf(":");
+  const kind = id.slice(0, separator);
+  const rest = encodeURIComponent(id.slice(separator + 1)).replace(/%2F/g, "/");
+  return `${base}${kind}/${rest}`;
+}
+
+function literal(value) {
+  if (typeof value === "boolean") return { literal: String(value), datatype: "xsd:boolean" };
+  if (typeof value === "number") {
+    return { literal: String(value), datatype: Number.isInteger(value) ? "xsd:integer" : "xsd:decimal" };
+  }
+  if (typeof value === "object") return { literal: JSON.stringify(value) };
+  return { literal: String(value) };
+}
+
+// -------------------------------------------------------------
+// Vocabulary (TBox)
+// -------------------------------------------------------------
+function buildVocabulary() {
+  const subjects = [];
+  const label = (text) => ["rdfs:label", literal(text)];
+  const comment = (text) => ["rdfs:comment", literal(text)];
+
+  subjects.push({
+    iri: CODE_NS.replace(/#$/, ""),
+    types: ["owl:Ontology"],
+    props: [label("Breeze code ontology")],
+  });
+
+  for (const [name, description] of Object.entries(CLASS_DESCRIPTIONS)) {
+    const props = [label(name), comment(description)];
+    if (name === "Interface") props.push(["rdfs:subClassOf", { iri: "code:Class" }]);
+    subjects.push({ iri: `code:${name}`, types: ["owl:Class"], props });
+  }
+
+  const objectProperties = [
+    ["imports", "code:File", null],
+    ["defines", null, null],
+    ["calls", "code:Function", null],
+    ["extends", "code:Class", "code:Class"],
+    ["implements", "code:Class", "code:Class"],
+    ["hasRole", null, "code:Role"],
+  ];
+  for (const [name, domain, range] of objectProperties) {
+    const props = [label(name)];
+    if (domain) props.push(["rdfs:domain", { iri: domain }]);
+    if (range) props.push(["rdfs:range", { iri: range }]);
+    subjects.push({ iri: `code:${name}`, types: ["owl:ObjectProperty"], props });
+  }
+
+  for (const name of [...DATA_PROPERTIES, "layer"]) {
+    subjects.push({ iri: `code:${name}`, types: ["owl:DatatypeProperty"], props: [label(name)] });
+  }
+
+  // Roles and their metadata fields come straight from the metadata schema
+  for (const [layer, roles] of Object.entries(METADATA_SCHEMA)) {
+    for (const [role, fields] of Object.entries(roles)) {
+      subjects.push({
+        iri: `code:${localName(role)}`,
+        types: ["code:Role", "owl:NamedIndividual"],
+        props: [label(role), ["code:layer", literal(layer)]],
+      });
+
+      for (const field of fields) {
+        subjects.push({
+          iri: metadataProperty(role, field),
+          types: ["owl:DatatypeProperty"],
+          props: [label(`${role} ${field}`), comment(`"${field}" metadata of the ${role} role`)],
+        });
+      }
+    }
+  }
+
+  return subjects;
+}
+
+// -------------------------------------------------------------
+// Individuals (ABox)
+// -------------------------------------------------------------
+function buildIndividuals(graph, base) {
+  const subjects = new Map();
+
+  for (const node of graph.nodes.values()) {
+    const types = [`code:${node.label}`];
+    if (node.props.type === "interface") types.push("code:Interface");
+
+    const props = [];
+    for (const key of DATA_PROPERTIES) {
+      const value = node.props[key];
+      if (value === undefined || value === null || value === "") continue;
+      props.push([`code:${key}`, literal(value)]);
+    }
+
+    for (const role of node.props.roles || []) {
+      props.push(["code:hasRole", { iri: `code:${localName(role)}` }]);
+    }
+
+    for (const [role, fields] of Object.entries(node.props.metadata || {})) {
+      if (!fields || typeof fields !== "object") continue;
+      for (const [field, value] of Object.entries(fields)) {
+        const values = Array.isArray(value) ? value : [value];
+        for (const v of values) {
+          if (v === undefined || v === null) continue;
+          props.push([metadataProperty(role, field), literal(v)]);
+        }
+      }
+    }
+
+    subjects.set(node.id, { iri: nodeIri(base, node.id), types, props });
+  }
+
+  for (const edge of graph.edges.values()) {
+    subjects.get(edge.from).props.push([
+      EDGE_PROPERTIES[edge.type],
+      { iri: nodeIri(base, edge.to) },
+    ]);
+  }
+
+  return [...subjects.values()];
+}
+
+// -------------------------------------------------------------
+// Turtle serialization
+// -------------------------------------------------------------
+function turtleTerm(term) {
+  if (term.iri !== undefined) {
+    return /^[a-z]+:[A-Za-z_][\w-]*$/.test(term.iri) && PREFIXES[term.iri.split(":")[0]]
+      ? term.iri
+      : `<${term.iri.replace(/[<>"{}|^`\\\s]/g, encodeURIComponent)}>`;
+  }
+  const escaped = term.literal
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")
+    .replace(/\r/g, "\\r")
+    .replace(/\t/g, "\\t");
+  return term.datatype ? `"${escaped}"^^${term.datatype}` : `"${escaped}"`;
+}
+
+function toTurtle(subjects) {
+  const lines = Object.entries(PREFIXES).map(([prefix, ns]) => `@prefix ${prefix}: <${ns}> .`);
+  lines.push("");
+
+  for (const subject of subjects) {
+    const grouped = new Map();
+    for (const [predicate, value] of subject.props) {
+      if (!grouped.has(predicate)) grouped.set(predicate, []);
+      grouped.get(predicate).push(turtleTerm(value));
+    }
+
+    const statements = [`a ${subject.types.map((t) => turtleTerm({ iri: t })).join(", ")}`];
+    for (const [predicate, values] of grouped) {
+      statements.push(`${predicate} ${[...new Set(values)].join(", ")}`);
+    }
+
+    lines.push(`${turtleTerm({ iri: subject.iri })}`);
+    lines.push(`    ${statements.join(" ;\n    ")} .`);
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+// -------------------------------------------------------------
+// JSON-LD serialization
+// -------------------------------------------------------------
+function jsonLdValue(term) {
+  if (term.iri !== undefined) return { "@id": term.iri };
+  if (term.datatype) return { "@value": term.literal, "@type": term.datatype };
+  return term.literal;
+}
+
+function toJsonLd(subjects) {
+  const graph = subjects.map((subject) => {
+    const node = { "@id": subject.iri, "@type": subject.types };
+    for (const [predicate, value] of subject.props) {
+      if (!node[predicate]) node[predicate] = [];
+      node[predicate].push(jsonLdValue(value));
+    }
+    return node;
+  });
+
+  return { "@context": { ...PREFIXES }, "@graph": graph };
+}
+
+// -------------------------------------------------------------
+// EXPORTS
+// -------------------------------------------------------------
+function exportRdf(ontology, format, base = DEFAULT_BASE) {
+  const graph = buildGraph(ontology);
+  const subjects = [...buildVocabulary(), ...buildIndividuals(graph, base)];
+
+  if (format === "jsonld") {
+    return JSON.stringify(toJsonLd(subjects), null, 2);
+  }
+  return toTurtle(subjects);
+}
+
+module.exports = {
+  exportRdf,
+  CODE_NS,
+};
+
+// -------------------------------------------------------------
+// MAIN EXECUTION
+// -------------------------------------------------------------
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.length < 2) {
+    console.error(
+      "Usage: node export-rdf.js <ontology.json> <output.ttl|output.jsonld> [--format ttl|jsonld] [--base <iri>]"
+    );
+    process.exit(1);
+  }
+
+  const ontologyPath = path.resolve(args[0]);
+  const outputPath = path.resolve(args[1]);
+
+  const getArg = (flag, defaultValue) => {
+    const index = args.indexOf(flag);
+    return index !== -1 && args[index + 1] ? args[index + 1] : defaultValue;
+  };
+
+  const format = getArg("--format", outputPath.endsWith(".jsonld") ? "jsonld" : "ttl");
+  const base = getArg("--base", DEFAULT_BASE);
+
+  if (!["ttl", "jsonld"].includes(format)) {
+    console.error(`❌ Invalid format: ${format}. Allowed: ttl, jsonld`);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(ontologyPath)) {
+    console.error(`❌ Ontology file not found: ${ontologyPath}`);
+    process.exit(1);
+  }
+
+  console.log(`📂 Loading ontology: ${ontologyPath}`);
+  const ontology = JSON.parse(fs.readFileSync(ontologyPath, "utf8"));
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, exportRdf(ontology, format, base));
+  console.log(`✅ ${format === "jsonld" ? "JSON-LD" : "Turtle"} ontology written → ${outputPath}`);
+}
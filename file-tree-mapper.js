@@ -9,6 +9,8 @@ const path = require("path");
 const glob = require("glob");
 const Parser = require("tree-sitter");
 const Perl = require("tree-sitter-perl");
+const { extractFunctionsAndCalls } = require("./perl/extract-functions-perl");
+const { extractClasses } = require("./perl/extract-classes-perl");
 
 if (process.argv.length < 4) {
   console.error("Usage: node analyze-perl-imports.js <repoPath> <importsOutput.json>");
@@ -35,14 +37,20 @@ function traverse(node, callback) {
   }
 }
 
+// -------------------------------------------------------------
+// Helper: parse a file once; the tree is shared by every extractor
+// -------------------------------------------------------------
+function parseFile(filePath, parser) {
+  const source = fs.readFileSync(filePath, "utf8").replace(/\0/g, '');
+  if (!source.trim()) throw new Error("File does not have data");
+  return { source, tree: parser.parse(source) };
+}
+
 // -------------------------------------------------------------
 // Step 1: Extract package declarations
 // -------------------------------------------------------------
 function extractPackageNames(filePath, parser) {
-    const code = fs.readFileSync(filePath, "utf8").replace(/\0/g, '');
-  if(typeof code !== 'string' || !code?.trim()) 
-    throw new Error("File does not have data");
-  const tree = parser.parse(code);
+  const { tree } = parseFile(filePath, parser);
  
   const packages = [];
 
@@ -61,28 +69,39 @@ function extractPackageNames(filePath, parser) {
 // -------------------------------------------------------------
 // Step 2: Extract imports from AST
 // -------------------------------------------------------------
-function extractImports(filePath, parser) {
-  const code = fs.readFileSync(filePath, "utf8").replace(/\0/g, '');
-  if(typeof code !== 'string' || !code?.trim()) 
-    throw new Error("File does not have data");
-  const tree = parser.parse(code);
+function extractImports(tree) {
   const imports = [];
   const libPaths = [];
 
   traverse(tree.rootNode, (node) => {
     // --- use statements
     if (node.type === "use_statement") {
-        const pkgNode = node.namedChildren.find((n) => n.type === "package");
-        if (pkgNode?.text) imports.push(pkgNode.text.trim());
-        else imports.push(node.text?.replace("use ", "")?.trim())
-    //   const moduleNode = node.namedChildren.find((n) => n.type === "bareword");
-    //   const stringNode = node.namedChildren.find((n) => n.type === "string");
-
-    //   if (moduleNode && moduleNode.text === "lib" && stringNode) {
-    //     libPaths.push(stringNode.text.replace(/['"]/g, ""));
-    //   } else if (moduleNode && moduleNode.text !== "lib") {
-    //     imports.push(moduleNode.text);
-    //   }
+      const pkgNode = node.namedChildren.find((n) => n.type === "package");
+      const moduleName = pkgNode?.text ? pkgNode.text.trim() : node.text?.replace("use ", "")?.trim();
+
+      // use lib "dir", ... prepends directories to @INC
+      if (moduleName === "lib") {
+        const dirs = node.namedChildren
+          .filter((n) => n !== pkgNode)
+          .flatMap((n) => evaluatePathExpression(n));
+        if (dirs.length > 0) libPaths.push({ dirs, prepend: true });
+      } else {
+        imports.push(moduleName);
+      }
+    }
+
+    // --- unshift @INC, "dir" / push @INC, "dir"
+    if (node.type === "ambiguous_function_call_expression" || node.type === "function_call_expression") {
+      const fnNode = node.childForFieldName("function");
+      const argsNode = node.childForFieldName("arguments");
+      const fnName = fnNode?.text;
+      if ((fnName === "unshift" || fnName === "push") && argsNode) {
+        const [target, ...rest] = argsNode.namedChildren;
+        if (target?.type === "array" && target.text === "@INC") {
+          const dirs = rest.flatMap((n) => evaluatePathExpression(n));
+          if (dirs.length > 0) libPaths.push({ dirs, prepend: fnName === "unshift" });
+        }
+      }
     }
 
     // --- require statements
@@ -91,10 +110,16 @@ function extractImports(filePath, parser) {
         const pkgNode = node.namedChildren.find((n) => n.type === "package");
         if (pkgNode?.text) imports.push(pkgNode.text.trim());
         else imports.push(node.text?.replace("require ", "")?.trim())
-    //   const stringNode = node.namedChildren.find((n) => n.type === "string");
-    //   const bareNode = node.namedChildren.find((n) => n.type === "bareword");
-    //   if (bareNode) imports.push(bareNode.text);
-    //   else if (stringNode) imports.push(stringNode.text.replace(/['"]/g, ""));
+    }
+
+    // --- require Foo::Bar / require "file.pl"
+    if (node.type === "require_expression") {
+      const target = node.namedChildren[0];
+      if (target?.type === "bareword" || target?.type === "package") {
+        imports.push(target.text.trim());
+      } else if (target) {
+        evaluatePathExpression(target).forEach((p) => imports.push(p));
+      }
     }
 
     // --- do "file.pl"
@@ -105,15 +130,152 @@ function extractImports(filePath, parser) {
 
     // --- eval "use Some::Module"
     if (node.type === "eval_expression" || node.type === "eval_block") {
-      const text = node.text;
-      const match = text.match(/use\s+([\w:]+)/);
-      if (match) imports.push(match[1]);
+      const fileNode = node.namedChildren.find((n) => n.type === "filename");
+      if (fileNode) {
+        evaluatePathExpression(fileNode).forEach((p) => imports.push(p));
+      } else {
+        const text = node.text;
+        const match = text.match(/use\s+([\w:]+)/);
+        if (match) imports.push(match[1]);
+      }
     }
   });
 
   return { imports, libPaths };
 }
 
+// -------------------------------------------------------------
+// Helper: evaluate path arguments of "use lib" / @INC / require
+// Returns plain strings; $FindBin::Bin and friends become FINDBIN_MARKER
+// -------------------------------------------------------------
+const FINDBIN_MARKER = "<FindBin>";
+const FINDBIN_PATTERN = /\$\{?(?:FindBin::)?(?:Real)?Bin\b\}?/g;
+
+function evaluatePathExpression(node) {
+  switch (node.type) {
+    case "string_literal":
+    case "interpolated_string_literal": {
+      const content = node.namedChildren.find((n) => n.type === "string_content");
+      return content ? [content.text.replace(FINDBIN_PATTERN, FINDBIN_MARKER)] : [];
+    }
+    case "quoted_word_list": {
+      const content = node.namedChildren.find((n) => n.type === "string_content");
+      return content ? content.text.split(/\s+/).filter(Boolean) : [];
+    }
+    case "scalar":
+      return /^\$\{?(FindBin::)?(Real)?Bin\}?$/.test(node.text) ? [FINDBIN_MARKER] : [];
+    case "binary_expression": {
+      const left = node.childForFieldName("left");
+      const right = node.childForFieldName("right");
+      const leftValues = left ? evaluatePathExpression(left) : [];
+      const rightValues = right ? evaluatePathExpression(right) : [];
+      return leftValues.length === 1 && rightValues.length === 1 ? [leftValues[0] + rightValues[0]] : [];
+    }
+    case "list_expression":
+    case "filename":
+      return node.namedChildren.flatMap((n) => evaluatePathExpression(n));
+    default:
+      return [];
+  }
+}
+
+// -------------------------------------------------------------
+// Helper: build the @INC search order for a file
+// Later "use lib" statements win, matching Perl's unshift semantics
+// -------------------------------------------------------------
+const DEFAULT_LIB_DIRS = ["lib", ""];
+
+function getPerl5LibDirs(repoPath) {
+  return (process.env.PERL5LIB || "")
+    .split(path.delimiter)
+    .filter(Boolean)
+    .map((dir) => path.resolve(repoPath, dir));
+}
+
+function resolveLibDir(dir, filePath, repoPath) {
+  if (dir.includes(FINDBIN_MARKER)) {
+    return path.resolve(dir.replace(FINDBIN_MARKER, path.dirname(filePath)));
+  }
+  return path.resolve(repoPath, dir);
+}
+
+function buildSearchDirs(libPaths, filePath, repoPath) {
+  const prepended = [];
+  const appended = [];
+
+  for (const { dirs, prepend } of libPaths) {
+    const resolved = dirs.map((dir) => resolveLibDir(dir, filePath, repoPath));
+    if (prepend) prepended.unshift(...resolved);
+    else appended.push(...resolved);
+  }
+
+  const defaults = DEFAULT_LIB_DIRS.map((dir) => path.resolve(repoPath, dir));
+  return [...new Set([...prepended, ...getPerl5LibDirs(repoPath), ...defaults, ...appended])];
+}
+
+function isInsideRepo(absPath, repoPath) {
+  const rel = path.relative(repoPath, absPath);
+  return !rel.startsWith("..") && !path.isAbsolute(rel);
+}
+
+// -------------------------------------------------------------
+// Helper: resolve a module name or required file to a repo file
+// -------------------------------------------------------------
+function isFileImport(imp) {
+  return imp.includes("/") || /\.(pl|pm|t)$/.test(imp);
+}
+
+function resolveFileImport(imp, filePath, searchDirs, repoPath) {
+  const candidates = [
+    path.resolve(path.dirname(filePath), imp),
+    ...searchDirs.map((dir) => path.resolve(dir, imp)),
+  ];
+  const found = candidates.find((c) => isInsideRepo(c, repoPath) && fs.existsSync(c) && fs.statSync(c).isFile());
+  return found ? path.relative(repoPath, found) : null;
+}
+
+function resolveModule(moduleName, filePath, searchDirs, mapper, repoPath) {
+  const moduleFile = moduleName.split("::").join(path.sep) + ".pm";
+
+  // 1. Walk @INC like perl does
+  for (const dir of searchDirs) {
+    const candidate = path.join(dir, moduleFile);
+    if (isInsideRepo(candidate, repoPath) && fs.existsSync(candidate)) {
+      return path.relative(repoPath, candidate);
+    }
+  }
+
+  // 2. Fall back to the package mapper
+  const definedIn = mapper[moduleName] || [];
+  if (definedIn.length <= 1) return definedIn[0] || null;
+  return pickClosestDefinition(definedIn, moduleFile, filePath, searchDirs, repoPath);
+}
+
+// Several files declare the same package: prefer one under the file's @INC,
+// then one whose path matches the package name, then the nearest to the importer.
+// The repo root (or anything above it) holds every candidate, so it takes no
+// part in the @INC preference.
+function pickClosestDefinition(definedIn, moduleFile, filePath, searchDirs, repoPath) {
+  const libDirs = searchDirs.filter((dir) => !isInsideRepo(path.resolve(repoPath), dir));
+  const underSearchDir = definedIn.filter((rel) =>
+    libDirs.some((dir) => !path.relative(dir, path.join(repoPath, rel)).startsWith(".."))
+  );
+  const pool = underSearchDir.length > 0 ? underSearchDir : definedIn;
+
+  const named = pool.filter((rel) => rel.endsWith(moduleFile));
+  const finalPool = named.length > 0 ? named : pool;
+
+  const importerDir = path.dirname(path.relative(repoPath, filePath)).split(path.sep);
+  const sharedPrefix = (rel) => {
+    const parts = path.dirname(rel).split(path.sep);
+    let i = 0;
+    while (i < parts.length && i < importerDir.length && parts[i] === importerDir[i]) i++;
+    return i;
+  };
+
+  return [...finalPool].sort((a, b) => sharedPrefix(b) - sharedPrefix(a) || a.localeCompare(b))[0];
+}
+
 // -------------------------------------------------------------
 // Helper: count lines of code
 // -------------------------------------------------------------
@@ -138,7 +300,9 @@ function buildPackageMapper(repoPath) {
     try {
         const packages = extractPackageNames(file, parser);
         for (const pkg of packages) {
-      mapper[pkg] = path.relative(repoPath, file);
+      // Keep every file declaring the package; duplicates are resolved per importer
+      if (!mapper[pkg]) mapper[pkg] = [];
+      mapper[pkg].push(path.relative(repoPath, file));
     }
     } catch (err) {
         console.log("Error analyzing file for mapper", file)
@@ -165,14 +329,20 @@ function analyzeImports(repoPath, mapper) {
 
   for (const file of perlFiles) {
     try {
-        const { imports, libPaths } = extractImports(file, parser);
+        const parsed = parseFile(file, parser);
+        const { imports, libPaths } = extractImports(parsed.tree);
     const importFiles = [];
     const externalImports = [];
+    const searchDirs = buildSearchDirs(libPaths, file, repoPath);
+    const resolvePackage = (pkg) => resolveModule(pkg, file, searchDirs, mapper, repoPath);
 
     for (const imp of imports) {
-      // check mapper for internal module
-      if (mapper[imp]) {
-        importFiles.push(mapper[imp]);
+      // check @INC and the mapper for internal modules and required files
+      const resolved = isFileImport(imp)
+        ? resolveFileImport(imp, file, searchDirs, repoPath)
+        : resolvePackage(imp);
+      if (resolved) {
+        importFiles.push(resolved);
       } else {
         externalImports.push(imp);
       }
@@ -182,13 +352,22 @@ function analyzeImports(repoPath, mapper) {
     const fileName = path.basename(file);
     const loc = countLinesOfCode(file);
 
+    // Extract subs and packages for this file
+    const functions = extractFunctionsAndCalls(file, repoPath, resolvePackage, parsed);
+    const classes = extractClasses(file, repoPath, parsed);
+
     results.push({
       path: relativePath,
       name: fileName,
       loc: loc,
       importFiles: [...new Set(importFiles)],
       externalImports: [...new Set(externalImports)],
-      libPaths: [...new Set(libPaths)],
+      libPaths: [...new Set(libPaths.flatMap(({ dirs }) => dirs.map((dir) => {
+        const absDir = resolveLibDir(dir, file, repoPath);
+        return isInsideRepo(absDir, repoPath) ? path.relative(repoPath, absDir) || "." : absDir;
+      })))],
+      functions,
+      classes,
     });
     } catch (e) {
         console.log("error anakysing file", file)
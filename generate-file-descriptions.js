@@ -8,6 +8,21 @@
 const fs = require("fs");
 const path = require("path");
 const glob = require("glob");
+const { createProvider, resolveProviderConfig, validateProviderConfig, getProviderNames,
+  DEFAULT_MAX_RETRIES, DEFAULT_TIMEOUT_MS } = require("./llm-providers");
+const { createCache, hashContent } = require("./llm-cache");
+const { CostEstimator } = require("./llm-estimate");
+
+// Bump when createPrompt() changes so cached answers from the old prompt are not reused
+const PROMPT_VERSION = "1";
+
+const MAX_OUTPUT_TOKENS = 2000;
+
+// Typical answer size for --dry-run: a file summary plus one sentence per class/function
+function expectedOutputTokens(fileData) {
+  const symbols = (fileData.classes || []).length + (fileData.functions || []).length;
+  return 100 + symbols * 40;
+}
 
 // Command-line argument parsing
 function parseArgs() {
@@ -22,12 +37,19 @@ Required arguments:
   <treeJsonFile>     JSON file with file tree (will be updated in-place)
 
 Options:
-  --provider <name>       LLM provider: openai, claude, gemini, custom (default: openai)
+  --provider <name>       LLM provider: ${getProviderNames().join(", ")} (default: openai)
   --api-key <key>         API key for the LLM provider
   --model <name>          Model name (default varies by provider)
   --api-url <url>         Custom API URL (for custom provider)
   --max-concurrent <num>  Maximum concurrent API requests (default: 5)
   --max-file-size <kb>    Maximum file size in KB to process (default: 500)
+  --max-retries <num>     Retries for rate limits, 5xx and network errors (default: 3)
+  --timeout <seconds>     Timeout per API request in seconds (default: 120)
+  --cache-dir <dir>       Cache directory (default: .llm-cache next to the JSON file)
+  --no-cache              Do not read or write the response cache
+  --dry-run               Estimate requests, tokens and cost without calling the provider
+  --input-price <usd>     Input price per 1M tokens for --dry-run (overrides built-in pricing)
+  --output-price <usd>    Output price per 1M tokens for --dry-run (overrides built-in pricing)
   --help                  Show this help message
 
 Examples:
@@ -64,6 +86,13 @@ Examples:
     apiUrl: null,
     maxConcurrent: 5,
     maxFileSizeKB: 500,
+    maxRetries: DEFAULT_MAX_RETRIES,
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    cacheDir: null,
+    cache: true,
+    dryRun: false,
+    inputPrice: undefined,
+    outputPrice: undefined,
   };
 
   // Parse optional flags
@@ -87,52 +116,50 @@ Examples:
       case "--max-file-size":
         config.maxFileSizeKB = parseInt(args[++i], 10);
         break;
+      case "--max-retries":
+        config.maxRetries = parseInt(args[++i], 10);
+        break;
+      case "--timeout":
+        config.timeoutMs = parseFloat(args[++i]) * 1000;
+        break;
+      case "--cache-dir":
+        config.cacheDir = args[++i];
+        break;
+      case "--no-cache":
+        config.cache = false;
+        break;
+      case "--dry-run":
+        config.dryRun = true;
+        break;
+      case "--input-price":
+        config.inputPrice = parseFloat(args[++i]);
+        break;
+      case "--output-price":
+        config.outputPrice = parseFloat(args[++i]);
+        break;
     }
   }
 
-  // Set default models based on provider
-  if (!config.model) {
-    const defaultModels = {
-      openai: "gpt-4o-mini",
-      claude: "claude-3-5-sonnet-20241022",
-      gemini: "gemini-2.5-flash",
-      custom: "custom-model",
-    };
-    config.model = defaultModels[config.provider] || "gpt-4o-mini";
-  }
-
   // Validate required fields
-  if (!config.apiKey) {
-    console.error("❌ Error: --api-key is required");
+  const error = validateProviderConfig(config, { requireApiKey: !config.dryRun });
+  if (error) {
+    console.error(`❌ Error: ${error}`);
     process.exit(1);
   }
 
-  if (config.provider === "custom" && !config.apiUrl) {
-    console.error("❌ Error: --api-url is required for custom provider");
-    process.exit(1);
-  }
-
-  return config;
+  // Set default model and API URL based on provider
+  return resolveProviderConfig(config);
 }
 
 // -------------------------------------------------------------
-// LLM Provider Implementations
+// Prompt
 // -------------------------------------------------------------
 
-class LLMProvider {
-  constructor(config) {
-    this.config = config;
-  }
-
-  async generateDescriptions(filePath, fileContent, fileData) {
-    throw new Error("generateDescriptions must be implemented by subclass");
-  }
-
-  createPrompt(filePath, fileContent, fileData) {
-    const classes = fileData.classes || [];
-    const functions = fileData.functions || [];
+function createPrompt(filePath, fileContent, fileData) {
+  const classes = fileData.classes || [];
+  const functions = fileData.functions || [];
 
-    let prompt = `You are a code analyst. Analyze this code file and generate descriptions for the file, all classes, and all functions.
+  let prompt = `You are a code analyst. Analyze this code file and generate descriptions for the file, all classes, and all functions.
 
 File: ${filePath}
 
@@ -168,179 +195,7 @@ RULES:
 
 Respond with ONLY the JSON object.`;
 
-    return prompt;
-  }
-
-  async makeRequest(url, headers, body) {
-    const https = require("https");
-    const http = require("http");
-    const urlModule = require("url");
-
-    const parsedUrl = urlModule.parse(url);
-    const protocol = parsedUrl.protocol === "https:" ? https : http;
-
-    return new Promise((resolve, reject) => {
-      const options = {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          ...headers,
-        },
-      };
-
-      const req = protocol.request(url, options, (res) => {
-        let data = "";
-        res.on("data", (chunk) => (data += chunk));
-        res.on("end", () => {
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            try {
-              resolve(JSON.parse(data));
-            } catch (e) {
-              reject(new Error(`Failed to parse response: ${e.message}`));
-            }
-          } else {
-            reject(new Error(`HTTP ${res.statusCode}: ${data}`));
-          }
-        });
-      });
-
-      req.on("error", reject);
-      req.write(JSON.stringify(body));
-      req.end();
-    });
-  }
-}
-
-class OpenAIProvider extends LLMProvider {
-  async generateDescriptions(filePath, fileContent, fileData) {
-    const url = "https://api.openai.com/v1/chat/completions";
-    const headers = {
-      Authorization: `Bearer ${this.config.apiKey}`,
-    };
-    const body = {
-      model: this.config.model,
-      messages: [
-        {
-          role: "user",
-          content: this.createPrompt(filePath, fileContent, fileData),
-        },
-      ],
-      temperature: 0.3,
-      max_tokens: 2000,
-      response_format: { type: "json_object" }
-    };
-
-    const response = await this.makeRequest(url, headers, body);
-    const content = response.choices[0].message.content.trim();
-    return JSON.parse(content);
-  }
-}
-
-class ClaudeProvider extends LLMProvider {
-  async generateDescriptions(filePath, fileContent, fileData) {
-    const url = "https://api.anthropic.com/v1/messages";
-    const headers = {
-      "x-api-key": this.config.apiKey,
-      "anthropic-version": "2023-06-01",
-    };
-    const body = {
-      model: this.config.model,
-      max_tokens: 2000,
-      messages: [
-        {
-          role: "user",
-          content: this.createPrompt(filePath, fileContent, fileData),
-        },
-      ],
-      temperature: 0.3,
-    };
-
-    const response = await this.makeRequest(url, headers, body);
-    const content = response.content[0].text.trim();
-    // Remove markdown code blocks if present
-    const jsonContent = content.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-    return JSON.parse(jsonContent);
-  }
-}
-
-class GeminiProvider extends LLMProvider {
-  async generateDescriptions(filePath, fileContent, fileData) {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.config.model}:generateContent?key=${this.config.apiKey}`;
-    const headers = {};
-    const body = {
-      contents: [
-        {
-          parts: [
-            {
-              text: this.createPrompt(filePath, fileContent, fileData),
-            },
-          ],
-        },
-      ],
-      generationConfig: {
-        temperature: 0.3,
-        maxOutputTokens: 2000,
-        responseMimeType: "application/json"
-      },
-    };
-    const response = await this.makeRequest(url, headers, body);
-    const content = response.candidates[0]?.content?.parts?.[0]?.text?.trim();
-    return JSON.parse(content);
-  }
-}
-
-class CustomProvider extends LLMProvider {
-  async generateDescriptions(filePath, fileContent, fileData) {
-    const url = this.config.apiUrl;
-    const headers = {
-      Authorization: `Bearer ${this.config.apiKey}`,
-    };
-    const body = {
-      model: this.config.model,
-      messages: [
-        {
-          role: "user",
-          content: this.createPrompt(filePath, fileContent, fileData),
-        },
-      ],
-      temperature: 0.3,
-      max_tokens: 2000,
-      format: "json"
-    };
-
-    const response = await this.makeRequest(url, headers, body);
-    let content;
-    // Try to handle both OpenAI-style and custom response formats
-    if (response.choices && response.choices[0]) {
-      content = response.choices[0].message.content.trim();
-    } else if (response.content) {
-      content = response.content.trim();
-    } else if (response.text) {
-      content = response.text.trim();
-    } else {
-      throw new Error("Unexpected response format from custom API");
-    }
-
-    // Remove markdown code blocks if present
-    const jsonContent = content.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-    return JSON.parse(jsonContent);
-  }
-}
-
-// Factory function to create the appropriate provider
-function createProvider(config) {
-  switch (config.provider.toLowerCase()) {
-    case "openai":
-      return new OpenAIProvider(config);
-    case "claude":
-      return new ClaudeProvider(config);
-    case "gemini":
-      return new GeminiProvider(config);
-    case "custom":
-      return new CustomProvider(config);
-    default:
-      throw new Error(`Unknown provider: ${config.provider}`);
-  }
+  return prompt;
 }
 
 // -------------------------------------------------------------
@@ -362,6 +217,12 @@ async function processFiles(config) {
   const provider = createProvider(config);
   console.log(`🤖 Using provider: ${config.provider} with model: ${config.model}`);
 
+  const estimator = config.dryRun ? new CostEstimator(config) : null;
+  if (estimator) console.log("🧮 Dry run: no API calls will be made and the JSON file is left unchanged");
+
+  const cache = createCache(config, config.treeJsonFile);
+  if (cache.enabled) console.log(`🗄️  Cache: ${cache.cacheDir}`);
+
   const maxFileSizeBytes = config.maxFileSizeKB * 1024;
 
   // Process files with concurrency control
@@ -369,6 +230,8 @@ async function processFiles(config) {
   let skipped = 0;
   let failed = 0;
   let updated = 0;
+  let cached = 0;
+  let requests = 0;
 
   const processBatch = async (batch) => {
     return Promise.all(
@@ -406,9 +269,42 @@ async function processFiles(config) {
           // Read file content
           const content = fs.readFileSync(fullPath, "utf8");
 
-          // Generate descriptions
-          console.log(`🔍 Processing: ${relativePath}`);
-          const descriptions = await provider.generateDescriptions(relativePath, content, fileEntry);
+          const cacheKey = {
+            step: "descriptions",
+            contentHash: hashContent(content),
+            span: "file",
+            promptVersion: PROMPT_VERSION,
+            provider: config.provider,
+            model: config.model,
+            // The prompt lists the mapper's class and function names, which change when a mapper finds more symbols
+            inputHash: hashContent(JSON.stringify([
+              (fileEntry.classes || []).map((c) => c.name),
+              (fileEntry.functions || []).map((f) => f.name),
+            ])),
+          };
+
+          // Generate descriptions, unless this exact file content was described before
+          let descriptions = cache.get(cacheKey);
+          const fromCache = Boolean(descriptions);
+          if (fromCache) {
+            cached++;
+            if (estimator) estimator.recordCached();
+          } else if (estimator) {
+            estimator.record(
+              createPrompt(relativePath, content, fileEntry),
+              expectedOutputTokens(fileEntry),
+              MAX_OUTPUT_TOKENS
+            );
+            return fileEntry;
+          } else {
+            console.log(`🔍 Processing: ${relativePath}`);
+            requests++;
+            descriptions = await provider.completeJson(
+              createPrompt(relativePath, content, fileEntry),
+              { temperature: 0.3, maxTokens: MAX_OUTPUT_TOKENS }
+            );
+            cache.set(cacheKey, descriptions);
+          }
 
           processed++;
           updated++;
@@ -437,7 +333,7 @@ async function processFiles(config) {
             }));
           }
 
-          console.log(`✅ [${processed}] ${relativePath}`);
+          console.log(`✅ [${processed}] ${relativePath}${fromCache ? " (cached)" : ""}`);
           return updatedEntry;
 
         } catch (error) {
@@ -454,22 +350,33 @@ async function processFiles(config) {
   // Process in batches to respect rate limits
   for (let i = 0; i < fileTree.length; i += config.maxConcurrent) {
     const batch = fileTree.slice(i, i + config.maxConcurrent);
+    const requestsBefore = requests;
     const batchResults = await processBatch(batch);
     results.push(...batchResults);
 
     // Save progress after each batch (incremental updates)
-    fs.writeFileSync(config.treeJsonFile, JSON.stringify(results, null, 2));
-    console.log(`💾 Progress saved (${results.length}/${fileTree.length} files)`);
+    if (!estimator) {
+      fs.writeFileSync(config.treeJsonFile, JSON.stringify(results, null, 2));
+      console.log(`💾 Progress saved (${results.length}/${fileTree.length} files)`);
+    }
 
-    // Small delay between batches to avoid rate limiting
-    if (i + config.maxConcurrent < fileTree.length) {
+    // Small delay between batches to avoid rate limiting (not needed when the batch was fully cached)
+    if (requests > requestsBefore && i + config.maxConcurrent < fileTree.length) {
       await new Promise((resolve) => setTimeout(resolve, 1000));
     }
   }
 
+  if (estimator) {
+    console.log(`\n   Total files: ${fileTree.length}`);
+    console.log(`   Skipped: ${skipped}`);
+    estimator.report("Description generation estimate");
+    return;
+  }
+
   console.log(`\n✨ Processing complete!`);
   console.log(`   Total files: ${fileTree.length}`);
   console.log(`   Updated: ${updated}`);
+  console.log(`   From cache: ${cached}`);
   console.log(`   Skipped: ${skipped}`);
   console.log(`   Failed: ${failed}`);
   console.log(`   JSON file updated: ${config.treeJsonFile}`);
@@ -15,30 +15,19 @@ function extractClasses(filePath, repoPath = null) {
 
   traverse(tree.rootNode, (node) => {
     if (node.type === "type_declaration") {
-      // Check if it's a struct or interface type
-      const typeSpec = node.childForFieldName("spec");
-      if (typeSpec && typeSpec.type === "type_spec") {
-        const classInfo = extractClassInfo(typeSpec, filePath, repoPath, source);
-        if (classInfo?.name) {
-          classes.push(classInfo);
-        }
-      }
-
-      // Handle multiple type declarations in one block: type ( ... )
-      for (let i = 0; i < node.childCount; i++) {
-        const child = node.child(i);
-        if (child.type === "type_spec_list") {
-          for (let j = 0; j < child.childCount; j++) {
-            const spec = child.child(j);
-            if (spec.type === "type_spec") {
-              const classInfo = extractClassInfo(spec, filePath, repoPath, source);
-              if (classInfo?.name) {
-                classes.push(classInfo);
-              }
-            }
+      // type X struct{...} and type ( X struct{...}; Y interface{...} );
+      // older grammars wrap grouped specs in a type_spec_list
+      const specs = node.namedChildren.flatMap((child) =>
+        child.type === "type_spec_list" ? child.namedChildren : [child]
+      );
+      specs
+        .filter((spec) => spec.type === "type_spec")
+        .forEach((spec) => {
+          const classInfo = extractClassInfo(spec, filePath, repoPath, source);
+          if (classInfo?.name) {
+            classes.push(classInfo);
           }
-        }
-      }
+        });
     }
   });
 
@@ -63,7 +52,9 @@ function extractClassInfo(typeSpec, filePath, repoPath = null, source) {
 
   let type = "struct";
   let methods = [];
+  let methodParams = null;
   let constructorParams = [];
+  let pointerEmbeds = [];
   let interfaces = [];
   let visibility = "public";
 
@@ -77,10 +68,12 @@ function extractClassInfo(typeSpec, filePath, repoPath = null, source) {
     type = "struct";
     // Extract struct fields as constructor params
     constructorParams = extractStructFields(typeNode, source);
+    pointerEmbeds = extractPointerEmbeds(typeNode, source);
   } else if (typeNode.type === "interface_type") {
     type = "interface";
     // Extract interface methods
     methods = extractInterfaceMethods(typeNode, source);
+    methodParams = extractInterfaceMethodParams(typeNode, source);
   } else {
     // Could be a type alias, skip for now
     return null;
@@ -93,8 +86,12 @@ function extractClassInfo(typeSpec, filePath, repoPath = null, source) {
     isAbstract: false, // Go doesn't have abstract types
     extends: null, // Go doesn't have inheritance
     implements: interfaces,
+    // Interfaces only *T satisfies: a method they need has a pointer receiver
+    ...(type === "struct" && { pointerImplements: [] }),
     constructorParams,
+    ...(pointerEmbeds.length > 0 && { pointerEmbeds }),
     methods,
+    ...(methodParams && { methodParams }),
     startLine,
     endLine
   };
@@ -153,30 +150,181 @@ function extractStructFields(structNode, source) {
   return fields;
 }
 
+// Embedded structs held by pointer (struct { *Base }), whose pointer methods the value type also gets
+function extractPointerEmbeds(structNode, source) {
+  const list = structNode.namedChildren.find((n) => n.type === "field_declaration_list");
+  if (!list) return [];
+  // The grammar keeps the "*" of an embedded field as a token of the field itself
+  return list.namedChildren
+    .filter((field) => field.type === "field_declaration" && !field.childForFieldName("name"))
+    .filter((field) => field.children.some((child) => child.type === "*") || field.childForFieldName("type")?.type === "pointer_type")
+    .map((field) => field.childForFieldName("type"))
+    .filter(Boolean)
+    .map((typeNode) => source.slice(typeNode.startIndex, typeNode.endIndex).replace(/\*/g, ""));
+}
+
 function extractInterfaceMethods(interfaceNode, source) {
   const methods = [];
 
-  for (let i = 0; i < interfaceNode.childCount; i++) {
-    const child = interfaceNode.child(i);
-
-    if (child.type === "method_spec_list") {
-      for (let j = 0; j < child.childCount; j++) {
-        const method = child.child(j);
+  // Older grammars wrap the elements in a method_spec_list
+  const list = interfaceNode.namedChildren.find((n) => n.type === "method_spec_list") || interfaceNode;
 
-        if (method.type === "method_spec") {
-          const nameNode = method.childForFieldName("name");
-          if (nameNode) {
-            methods.push(source.slice(nameNode.startIndex, nameNode.endIndex));
-          }
-        } else if (method.type === "type_identifier") {
-          // Embedded interface
-          methods.push(`_embedded_${source.slice(method.startIndex, method.endIndex)}`);
-        }
+  list.namedChildren.forEach((member) => {
+    if (member.type === "method_elem" || member.type === "method_spec") {
+      const nameNode = member.childForFieldName("name");
+      if (nameNode) {
+        methods.push(source.slice(nameNode.startIndex, nameNode.endIndex));
+      }
+    } else if (member.type === "type_identifier" || member.type === "qualified_type") {
+      // Embedded interface
+      methods.push(`_embedded_${source.slice(member.startIndex, member.endIndex)}`);
+    } else if (member.type === "type_elem" && member.namedChildCount === 1) {
+      const embedded = member.namedChildren[0];
+      if (embedded.type === "type_identifier" || embedded.type === "qualified_type") {
+        methods.push(`_embedded_${source.slice(embedded.startIndex, embedded.endIndex)}`);
       }
     }
-  }
+  });
 
   return methods;
 }
 
-module.exports = { extractClasses };
+// Parameter names per interface method, named like function params
+// (unnamed parameters become _type): Get(id string) -> { Get: ["id"] }
+function extractInterfaceMethodParams(interfaceNode, source) {
+  const methodParams = {};
+  const list = interfaceNode.namedChildren.find((n) => n.type === "method_spec_list") || interfaceNode;
+
+  list.namedChildren
+    .filter((member) => member.type === "method_elem" || member.type === "method_spec")
+    .forEach((member) => {
+      const nameNode = member.childForFieldName("name");
+      const paramsNode = member.childForFieldName("parameters");
+      if (!nameNode) return;
+
+      methodParams[source.slice(nameNode.startIndex, nameNode.endIndex)] = (paramsNode ? paramsNode.namedChildren : [])
+        .filter((p) => p.type === "parameter_declaration" || p.type === "variadic_parameter_declaration")
+        .flatMap((p) => {
+          const names = p.namedChildren.filter((n) => n.type === "identifier");
+          if (names.length > 0) return names.map((n) => source.slice(n.startIndex, n.endIndex));
+          const typeNode = p.childForFieldName("type");
+          return [typeNode ? `_${source.slice(typeNode.startIndex, typeNode.endIndex)}` : "_"];
+        });
+    });
+
+  return methodParams;
+}
+
+// -------------------------------------------------------------
+// Receiver methods and implicit interfaces
+// Methods can be declared in any file of the package, so they are
+// attached to their struct once every file has been read. A struct
+// implements an interface when its method set has every method the
+// interface names, with the same number of parameters. The method set of
+// T holds its value-receiver methods; *T adds the pointer-receiver ones.
+// Interfaces only *T satisfies go to pointerImplements.
+// -------------------------------------------------------------
+// Standard library interfaces that repo interfaces commonly embed, as name/parameter count
+const STDLIB_INTERFACES = {
+  error: ["Error/0"],
+  "fmt.Stringer": ["String/0"],
+  "io.Reader": ["Read/1"],
+  "io.Writer": ["Write/1"],
+  "io.Closer": ["Close/0"],
+  "io.ReadWriter": ["Read/1", "Write/1"],
+  "io.ReadCloser": ["Read/1", "Close/0"],
+  "io.WriteCloser": ["Write/1", "Close/0"],
+  "io.ReadWriteCloser": ["Read/1", "Write/1", "Close/0"],
+  "sort.Interface": ["Len/0", "Less/2", "Swap/2"],
+  "http.Handler": ["ServeHTTP/2"]
+};
+
+function linkReceiverMethods(results) {
+  const packages = new Map();
+  results.forEach((entry) => {
+    const dir = path.dirname(entry.path);
+    if (!packages.has(dir)) packages.set(dir, []);
+    packages.get(dir).push(entry);
+  });
+
+  const structs = [];
+  const interfaces = [];
+  // struct -> { value: ["Get/1", ...], pointer: [...] } for its own receiver methods;
+  // pointer holds every method, since *T also has the value-receiver ones
+  const ownMethods = new Map();
+
+  packages.forEach((entries) => {
+    const types = new Map();
+    entries.forEach((entry) => (entry.classes || []).forEach((cls) => types.set(cls.name, cls)));
+
+    entries.forEach((entry) => {
+      (entry.functions || [])
+        .filter((fn) => fn.kind === "method" && fn.receiver)
+        .forEach((fn) => {
+          const cls = types.get(fn.receiver);
+          if (!cls || cls.type !== "struct") return;
+          if (!cls.methods.includes(fn.name)) cls.methods.push(fn.name);
+          if (!ownMethods.has(cls)) ownMethods.set(cls, { value: [], pointer: [] });
+          const signature = `${fn.name}/${fn.params.length}`;
+          if (!fn.pointerReceiver) ownMethods.get(cls).value.push(signature);
+          ownMethods.get(cls).pointer.push(signature);
+        });
+    });
+
+    types.forEach((cls) => {
+      if (cls.type === "struct") structs.push({ cls, types });
+      else if (cls.type === "interface") interfaces.push({ cls, types });
+    });
+  });
+
+  // Interface methods with embedded interfaces expanded; null marks an unknown embedded interface
+  const interfaceMethods = (cls, types, seen = new Set()) => {
+    if (seen.has(cls)) return [];
+    seen.add(cls);
+    return cls.methods.flatMap((method) => {
+      if (!method.startsWith("_embedded_")) return [`${method}/${(cls.methodParams[method] || []).length}`];
+      const embedded = method.slice("_embedded_".length);
+      if (STDLIB_INTERFACES[embedded]) return STDLIB_INTERFACES[embedded];
+      const local = types.get(embedded);
+      return local && local.type === "interface" ? interfaceMethods(local, types, seen) : [null];
+    });
+  };
+
+  // Method set of T (pointer = false) or *T, including methods promoted from embedded
+  // structs of the same package: T gets an embedded *E's pointer methods, but only
+  // the value methods of an embedded E
+  const methodSet = (cls, types, pointer, seen = new Set()) => {
+    if (seen.has(cls)) return [];
+    seen.add(cls);
+    const promoted = (cls.constructorParams || [])
+      .filter((field) => field.startsWith("_embedded_"))
+      .map((field) => field.slice("_embedded_".length))
+      .map((name) => ({ embedded: types.get(name), byPointer: (cls.pointerEmbeds || []).includes(name) }))
+      .filter(({ embedded }) => embedded && embedded.type === "struct")
+      .flatMap(({ embedded, byPointer }) => methodSet(embedded, types, pointer || byPointer, seen));
+    const own = ownMethods.get(cls) || { value: [], pointer: [] };
+    return [...(pointer ? own.pointer : own.value), ...promoted];
+  };
+
+  const required = interfaces
+    .map(({ cls, types }) => ({ cls, methods: [...new Set(interfaceMethods(cls, types))] }))
+    // Unknown embedded interfaces make the method set incomplete; empty interfaces match everything
+    .filter(({ methods }) => methods.length > 0 && !methods.includes(null));
+
+  structs.forEach(({ cls, types }) => {
+    const valueMethods = new Set(methodSet(cls, types, false));
+    const pointerMethods = new Set(methodSet(cls, types, true));
+    if (!cls.pointerImplements) cls.pointerImplements = [];
+    required.forEach((iface) => {
+      const name = iface.cls.name;
+      if (cls.implements.includes(name) || cls.pointerImplements.includes(name)) return;
+      if (iface.methods.every((m) => valueMethods.has(m))) {
+        cls.implements.push(name);
+      } else if (iface.methods.every((m) => pointerMethods.has(m))) {
+        cls.pointerImplements.push(name);
+      }
+    });
+  });
+}
+
+module.exports = { extractClasses, linkReceiverMethods };
@@ -36,7 +36,7 @@ function extractFunctionInfo(node, filePath, repoPath = null, source) {
   const params = extractFunctionParams(node, source);
   const calls = extractDirectCalls(node, source);
 
-  const { visibility, kind, receiver } = getFunctionModifiers(node, source);
+  const { visibility, kind, receiver, pointerReceiver } = getFunctionModifiers(node, source);
 
   return {
     name,
@@ -44,7 +44,10 @@ function extractFunctionInfo(node, filePath, repoPath = null, source) {
     visibility,
     kind,
     receiver,
+    pointerReceiver,
     params,
+    // int, *User, (User, error)
+    returnType: nodeText(node.childForFieldName("result"), source),
     startLine,
     endLine,
     calls
@@ -55,6 +58,7 @@ function getFunctionModifiers(node, source) {
   let visibility = "public";
   let kind = "function";
   let receiver = null;
+  let pointerReceiver = null;
 
   // In Go, visibility is determined by the first letter of the function name
   const nameNode = node.childForFieldName("name");
@@ -71,16 +75,17 @@ function getFunctionModifiers(node, source) {
     const receiverNode = node.childForFieldName("receiver");
     if (receiverNode) {
       kind = "method";
-      // Extract receiver type
-      traverse(receiverNode, (n) => {
-        if (n.type === "type_identifier" || n.type === "pointer_type") {
-          receiver = source.slice(n.startIndex, n.endIndex).replace(/\*/g, '');
-        }
-      });
+      // Extract receiver type: (s *Store) -> Store, pointer; (l List[T]) -> List, value
+      const param = receiverNode.namedChildren.find((n) => n.type === "parameter_declaration");
+      let typeNode = param && param.childForFieldName("type");
+      pointerReceiver = Boolean(typeNode && typeNode.type === "pointer_type");
+      if (pointerReceiver) typeNode = typeNode.namedChildren[0];
+      if (typeNode && typeNode.type === "generic_type") typeNode = typeNode.childForFieldName("type");
+      if (typeNode) receiver = source.slice(typeNode.startIndex, typeNode.endIndex);
     }
   }
 
-  return { visibility, kind, receiver };
+  return { visibility, kind, receiver, pointerReceiver };
 }
 
 function extractFunctionParams(node, source) {
@@ -94,10 +99,26 @@ function extractFunctionParams(node, source) {
 
     if (!child.isNamed) continue;
 
-    if (child.type === "parameter_declaration") {
+    if (child.type === "parameter_declaration" || child.type === "variadic_parameter_declaration") {
+      // Go has no optional parameters or defaults; variadic ones may be left out
+      const isVariadic = child.type === "variadic_parameter_declaration";
+      const typeText = nodeText(child.childForFieldName("type"), source);
+      const param = (name) => ({
+        name,
+        type: typeText && isVariadic ? `...${typeText}` : typeText,
+        optional: isVariadic,
+        default: null
+      });
+
+      // func f(a, b int) declares two parameters
+      const names = child.namedChildren.filter((n) => n.type === "identifier");
+      if (names.length > 1) {
+        params.push(...names.map((n) => param(source.slice(n.startIndex, n.endIndex))));
+        continue;
+      }
       const paramName = extractParamName(child, source);
       if (paramName) {
-        params.push(paramName);
+        params.push(param(paramName));
       }
     }
   }
@@ -105,6 +126,10 @@ function extractFunctionParams(node, source) {
   return params;
 }
 
+function nodeText(node, source) {
+  return node ? source.slice(node.startIndex, node.endIndex) : null;
+}
+
 function extractParamName(node, source) {
   // parameter_declaration can have: name type OR just type (unnamed param)
   const nameNode = node.childForFieldName("name");
@@ -0,0 +1,518 @@
+const Parser = require("tree-sitter");
+const Go = require("tree-sitter-go");
+const fs = require("fs");
+const { joinRoutePath, joinMountPath } = require("../route-metadata");
+
+const UPPER_VERBS = ["GET", "POST", "PUT", "DELETE", "PATCH", "HEAD", "OPTIONS", "CONNECT", "TRACE"];
+const CHI_VERBS = ["Get", "Post", "Put", "Delete", "Patch", "Head", "Options", "Connect", "Trace"];
+const FRAMEWORK_IMPORTS = [
+  ["gin", /^github\.com\/gin-gonic\/gin$/],
+  ["echo", /^github\.com\/labstack\/echo(\/v\d+)?$/],
+  ["chi", /^github\.com\/go-chi\/chi(\/v\d+)?$/],
+  ["gorilla", /^github\.com\/gorilla\/mux$/]
+];
+// Parameter types that hand a router to a registration function
+const ROUTER_TYPE = /\b(Engine|RouterGroup|IRouter|IRoutes|Echo|Group|Router|Mux|ServeMux)\b/;
+const ROOT = { prefix: "", param: null };
+
+// -------------------------------------------------------------
+// Route extraction
+// net/http (http.HandleFunc, mux.Handle, Go 1.22 "GET /x" patterns),
+// gorilla/mux (HandleFunc(...).Methods(...), PathPrefix(...).Subrouter()),
+// gin and echo (r.GET, Group), chi (r.Get, Route, Group, With, Mount).
+// Returns { routes, passes, imports }: routes carry the path below their
+// router, and routerParam when that router is a parameter of the
+// enclosing function; passes are calls that hand a router (or mount one)
+// to another function, which the mapper resolves into full paths.
+// -------------------------------------------------------------
+function extractRoutes(filePath) {
+  try {
+    const source = fs.readFileSync(filePath, "utf8");
+    const parser = new Parser();
+    parser.setLanguage(Go);
+    const tree = parser.parse(source);
+
+    const imports = collectImports(tree.rootNode, source);
+    const ctx = { source, imports, framework: detectFramework(imports), routes: [], passes: [] };
+
+    tree.rootNode.namedChildren
+      .filter((n) => n.type === "function_declaration" || n.type === "method_declaration")
+      .forEach((fn) => extractFunctionRoutes(fn, ctx));
+
+    return { routes: ctx.routes, passes: ctx.passes, imports };
+  } catch (error) {
+    console.error(`Error extracting routes from ${filePath}:`, error);
+    return { routes: [], passes: [], imports: {} };
+  }
+}
+
+function extractFunctionRoutes(fn, ctx) {
+  const nameNode = fn.childForFieldName("name");
+  if (!nameNode) return;
+
+  const scope = { function: text(nameNode, ctx.source), receiver: receiverType(fn, ctx.source) };
+  const env = new Map();
+  routerParams(fn, ctx.source).forEach(({ name, index }) => env.set(name, { prefix: "", param: index }));
+
+  const firstRoute = ctx.routes.length;
+  const localMounts = [];
+  const body = fn.childForFieldName("body");
+  if (body) walk(body, env, scope, ctx, localMounts);
+
+  // admin := chi.NewRouter(); admin.Get(...); r.Mount("/admin", admin)
+  ctx.routes.slice(firstRoute).forEach((route) => {
+    const mount = localMounts.find((m) => m.routerVar === route.routerVar && route.routerParam === null);
+    if (mount) {
+      route.path = joinMountPath(mount.prefix, route.path);
+      route.routerParam = mount.param;
+    }
+    delete route.routerVar;
+  });
+}
+
+function walk(node, env, scope, ctx, localMounts) {
+  if (node.type === "func_literal") {
+    // Closures see the outer routers unless a parameter shadows them
+    const inner = new Map(env);
+    routerParams(node, ctx.source).forEach(({ name }) => inner.delete(name));
+    const body = node.childForFieldName("body");
+    if (body) walk(body, inner, scope, ctx, localMounts);
+    return;
+  }
+
+  if (node.type === "call_expression" && handleCall(node, env, scope, ctx, localMounts)) return;
+
+  node.namedChildren.forEach((child) => walk(child, env, scope, ctx, localMounts));
+
+  if (node.type === "short_var_declaration" || node.type === "assignment_statement") {
+    bindRouters(node.childForFieldName("left"), node.childForFieldName("right"), env, ctx);
+  } else if (node.type === "var_spec") {
+    const names = node.namedChildren.filter((n) => n.type === "identifier");
+    bindRouters({ namedChildren: names }, node.childForFieldName("value"), env, ctx);
+  }
+}
+
+// api := r.Group("/api") -> env.api = { prefix: "/api", param }
+function bindRouters(left, right, env, ctx) {
+  if (!left || !right) return;
+  const values = right.namedChildren;
+  left.namedChildren.forEach((target, i) => {
+    if (target.type !== "identifier" || !values[i]) return;
+    const router = routerExpression(values[i], env, ctx);
+    if (router) env.set(text(target, ctx.source), router);
+    else env.delete(text(target, ctx.source));
+  });
+}
+
+// Returns true when the call's arguments have been walked already
+function handleCall(node, env, scope, ctx, localMounts) {
+  const fnNode = node.childForFieldName("function");
+  const args = argumentsOf(node);
+  const { source } = ctx;
+
+  if (fnNode && fnNode.type === "selector_expression") {
+    const operand = fnNode.childForFieldName("operand");
+    const method = text(fnNode.childForFieldName("field"), source);
+    const router = () => routerExpression(operand, env, ctx) || ROOT;
+
+    const route = routeCall(node, operand, method, args, ctx);
+    if (route) {
+      const base = router();
+      route.paths.forEach((routePath) => {
+        route.methods.forEach((httpMethod) => {
+          ctx.routes.push({
+            method: httpMethod,
+            path: joinMountPath(base.prefix, routePath),
+            ...describeHandler(route.handler, ctx),
+            framework: route.framework,
+            line: node.startPosition.row + 1,
+            scope,
+            routerParam: base.param,
+            routerVar: operand.type === "identifier" ? text(operand, source) : null
+          });
+        });
+      });
+    }
+
+    // chi: r.Route("/x", func(r chi.Router) { ... }) and r.Group(func(r chi.Router) { ... })
+    const callback = args[args.length - 1];
+    const isChiBlock = method === "Route" ? args.length === 2 : method === "Group" && args.length === 1;
+    if (isChiBlock && callback.type === "func_literal") {
+      const routePath = method === "Route" ? stringValue(args[0], source) : "";
+      if (routePath === null) return false;
+      const base = router();
+      const inner = new Map(env);
+      const params = routerParams(callback, source);
+      params.forEach(({ name }) => inner.set(name, { prefix: joinPrefix(base.prefix, routePath), param: base.param }));
+      const body = callback.childForFieldName("body");
+      if (body) walk(body, inner, scope, ctx, localMounts);
+      return true;
+    }
+
+    // chi: r.Mount("/admin", adminRouter()) or r.Mount("/admin", admin)
+    if (method === "Mount" && args.length === 2 && stringValue(args[0], source) !== null) {
+      const base = router();
+      const prefix = joinPrefix(base.prefix, stringValue(args[0], source));
+      const target = args[1];
+      if (target.type === "identifier") {
+        localMounts.push({ routerVar: text(target, source), prefix, param: base.param });
+      } else if (target.type === "call_expression") {
+        const callee = calleeOf(target, source);
+        if (callee) ctx.passes.push({ ...callee, argIndex: -1, prefix, param: base.param, scope });
+      }
+      return false;
+    }
+  }
+
+  // registerRoutes(api), routes.Register(v1.Group("/orders")), h.Routes(r)
+  const callee = fnNode && calleeOf(node, source);
+  if (callee) {
+    args.forEach((arg, argIndex) => {
+      const router = routerExpression(arg, env, ctx);
+      if (router && (router.prefix || router.param !== null)) {
+        ctx.passes.push({ ...callee, argIndex, prefix: router.prefix, param: router.param, scope });
+      }
+    });
+  }
+  return false;
+}
+
+// { methods, paths, framework, handler } when the call registers a handler.
+// gin takes middleware before the handler, echo after it
+function routeCall(node, operand, method, args, ctx) {
+  const { source, framework } = ctx;
+  const first = stringValue(args[0], source);
+  const second = stringValue(args[1], source);
+
+  if (UPPER_VERBS.includes(method) || method === "Any") {
+    if (first === null || args.length < 2) return null;
+    const routeFramework = framework === "echo" ? "echo" : "gin";
+    return {
+      methods: [method === "Any" ? "ANY" : method],
+      paths: [first],
+      framework: routeFramework,
+      handler: routeFramework === "echo" ? args[1] : args[args.length - 1]
+    };
+  }
+
+  if (CHI_VERBS.includes(method)) {
+    if (first === null || args.length !== 2) return null;
+    return { methods: [method.toUpperCase()], paths: [first], framework: "chi", handler: args[1] };
+  }
+
+  // gin: r.Handle("GET", "/x", h); chi: r.Method("GET", "/x", h) / r.MethodFunc(...)
+  if ((method === "Handle" || method === "Method" || method === "MethodFunc") && first !== null && second !== null && args.length >= 3) {
+    const isGin = method === "Handle";
+    return { methods: [first.toUpperCase()], paths: [second], framework: isGin ? "gin" : "chi", handler: isGin ? args[args.length - 1] : args[2] };
+  }
+
+  // echo: e.Match([]string{"GET", "POST"}, "/x", h)
+  if (method === "Match" && second !== null && args[0].type === "composite_literal") {
+    const methods = stringList(args[0], source);
+    return methods.length > 0 ? { methods, paths: [second], framework: "echo", handler: args[2] } : null;
+  }
+
+  if ((method === "HandleFunc" || method === "Handle") && first !== null && args.length === 2) {
+    const isStdlib = operand.type === "identifier" && ctx.imports[text(operand, source)] === "net/http";
+    const routeFramework = isStdlib || !["gorilla", "chi"].includes(framework) ? "net/http" : framework;
+
+    // Go 1.22 patterns: "GET /users/{id}", optionally with a host; only a ServeMux accepts them
+    const pattern = first.match(/^([A-Z]+)\s+(\S+)$/);
+    if (pattern) {
+      return { methods: [pattern[1]], paths: [pattern[2].replace(/^[^/]+(?=\/)/, "")], framework: "net/http", handler: args[1] };
+    }
+
+    // gorilla: r.HandleFunc("/x", h).Methods("GET", "POST")
+    const chained = node.parent && node.parent.type === "selector_expression" && node.parent.parent;
+    const methods = chained && text(node.parent.childForFieldName("field"), source) === "Methods"
+      ? argumentsOf(chained).map((arg) => stringValue(arg, source)).filter(Boolean).map((m) => m.toUpperCase())
+      : [];
+    return { methods: methods.length > 0 ? methods : ["ANY"], paths: [first], framework: routeFramework, handler: args[1] };
+  }
+
+  return null;
+}
+
+// { prefix, param } for expressions that evaluate to a router, otherwise null
+function routerExpression(node, env, ctx) {
+  if (!node) return null;
+  const { source } = ctx;
+
+  if (node.type === "identifier") return env.get(text(node, source)) || null;
+  if (node.type === "unary_expression" || node.type === "parenthesized_expression") {
+    return routerExpression(node.namedChildren[node.namedChildren.length - 1], env, ctx);
+  }
+  if (node.type !== "call_expression") return null;
+
+  const fnNode = node.childForFieldName("function");
+  if (!fnNode || fnNode.type !== "selector_expression") return null;
+  const operand = fnNode.childForFieldName("operand");
+  const method = text(fnNode.childForFieldName("field"), source);
+  const args = argumentsOf(node);
+  const base = () => routerExpression(operand, env, ctx) || ROOT;
+
+  // gin / echo: r.Group("/api", middleware...)
+  if (method === "Group" && stringValue(args[0], source) !== null) {
+    const b = base();
+    return { prefix: joinPrefix(b.prefix, stringValue(args[0], source)), param: b.param };
+  }
+
+  // gorilla: r.PathPrefix("/api").Subrouter(); r.Host("x").Subrouter()
+  if (method === "Subrouter" && operand.type === "call_expression") {
+    const inner = operand.childForFieldName("function");
+    if (!inner || inner.type !== "selector_expression") return null;
+    const innerArgs = argumentsOf(operand);
+    const b = routerExpression(inner.childForFieldName("operand"), env, ctx) || ROOT;
+    const prefix = text(inner.childForFieldName("field"), source) === "PathPrefix" ? stringValue(innerArgs[0], source) : "";
+    return prefix === null ? null : { prefix: joinPrefix(b.prefix, prefix), param: b.param };
+  }
+
+  // chi: r.With(middleware).Get(...)
+  if (method === "With") return base();
+
+  return null;
+}
+
+// -------------------------------------------------------------
+// Handlers and callees
+// -------------------------------------------------------------
+// { handler, handlerQualifier, handlerLine }: handlerQualifier is the package
+// alias or receiver variable of h.List / handlers.GetUser style handlers;
+// inline func literals have no name, only a line
+function describeHandler(node, ctx) {
+  const none = { handler: null, handlerQualifier: null };
+  if (!node) return none;
+  const { source } = ctx;
+
+  if (node.type === "identifier") return { handler: text(node, source), handlerQualifier: null };
+  if (node.type === "selector_expression") {
+    const operand = node.childForFieldName("operand");
+    return { handler: text(node.childForFieldName("field"), source), handlerQualifier: text(operand, source) };
+  }
+  if (node.type === "func_literal") return { ...none, handlerLine: node.startPosition.row + 1 };
+
+  // http.HandlerFunc(h) is a conversion, not a call
+  if (node.type === "call_expression") {
+    const fnText = text(node.childForFieldName("function"), source);
+    const args = argumentsOf(node);
+    if (/(^|\.)HandlerFunc$/.test(fnText) && args.length === 1) return describeHandler(args[0], ctx);
+  }
+  return none;
+}
+
+// registerRoutes(x) -> { callee, qualifier: null }; routes.Register(x) -> { callee: "Register", qualifier: "routes" }
+function calleeOf(callNode, source) {
+  const fnNode = callNode.childForFieldName("function");
+  if (!fnNode) return null;
+  if (fnNode.type === "identifier") return { callee: text(fnNode, source), qualifier: null };
+  if (fnNode.type === "selector_expression") {
+    return { callee: text(fnNode.childForFieldName("field"), source), qualifier: text(fnNode.childForFieldName("operand"), source) };
+  }
+  return null;
+}
+
+// -------------------------------------------------------------
+// Cross-file resolution
+// -------------------------------------------------------------
+function createRouteIndex() {
+  return { passes: [] };
+}
+
+// Resolves handler qualifiers and pass targets; resolvePackage(importPath)
+// returns the repo-relative package directory, or null for external packages
+function resolveRoutes({ routes, passes, imports }, relativePath, resolvePackage, routeIndex) {
+  const dir = packageDir(relativePath);
+  const target = (qualifier) => {
+    if (qualifier === null) return { package: dir, method: false };
+    if (imports[qualifier]) return { package: resolvePackage(imports[qualifier]), method: false };
+    return { package: null, method: true };
+  };
+
+  passes.forEach(({ callee, qualifier, scope, ...pass }) => {
+    const to = target(qualifier);
+    if (!to.method && !to.package) return;
+    routeIndex.passes.push({ ...pass, from: { ...scope, package: dir }, to: { function: callee, ...to } });
+  });
+
+  return routes.map(({ handlerQualifier, scope, ...route }) => {
+    const to = route.handler ? target(handlerQualifier) : { package: dir, method: false };
+    return {
+      ...route,
+      handlerPath: to.method ? null : to.package,
+      handlerMethod: to.method,
+      scope: { ...scope, package: dir }
+    };
+  });
+}
+
+// Applies the prefixes of the routers handed to registration functions and
+// points handlerPath at the file that declares the handler
+function applyRouterPrefixes(results, routeIndex) {
+  const { passes } = routeIndex;
+  const memo = new Map();
+
+  const matches = (to, scope) =>
+    to.function === scope.function &&
+    (to.method ? scope.receiver !== null : scope.receiver === null && to.package === scope.package);
+
+  const prefixesFor = (scope, param, seen = new Set()) => {
+    const key = `${scope.package}#${scope.receiver}#${scope.function}#${param}`;
+    if (memo.has(key)) return memo.get(key);
+    if (seen.has(key)) return [""];
+
+    const incoming = passes.filter((p) => p.argIndex === (param === null ? -1 : param) && matches(p.to, scope));
+    if (incoming.length === 0) return [""];
+
+    seen.add(key);
+    const prefixes = [...new Set(
+      incoming.flatMap((p) =>
+        (p.param === null ? [""] : prefixesFor(p.from, p.param, seen)).map((outer) => joinPrefix(outer, p.prefix))
+      )
+    )];
+    seen.delete(key);
+    memo.set(key, prefixes);
+    return prefixes;
+  };
+
+  const functionsByName = new Map();
+  results.forEach((entry) => {
+    (entry.functions || []).forEach((fn) => {
+      if (!functionsByName.has(fn.name)) functionsByName.set(fn.name, []);
+      functionsByName.get(fn.name).push({ entry, fn });
+    });
+  });
+
+  // Package functions by directory; methods by name, preferring the route's own package
+  const handlerPathFor = (route, dir) => {
+    const candidates = (functionsByName.get(route.handler) || []).filter(({ fn }) => (fn.kind === "method") === route.handlerMethod);
+    const match = route.handlerMethod
+      ? candidates.find(({ entry }) => packageDir(entry.path) === dir) || candidates[0]
+      : candidates.find(({ entry }) => packageDir(entry.path) === route.handlerPath);
+    return match ? { handlerPath: match.entry.path, handlerLine: match.fn.startLine } : { handlerPath: null };
+  };
+
+  results.forEach((entry) => {
+    if (!entry.routes || entry.routes.length === 0) return;
+
+    entry.routes = entry.routes.flatMap((route) => {
+      const { scope, routerParam, handlerMethod, ...rest } = route;
+      const handler = route.handlerLine && !route.handler
+        ? { handlerPath: entry.path }
+        : handlerPathFor(route, scope.package);
+      return prefixesFor(scope, routerParam).map((prefix) => ({
+        ...rest,
+        ...handler,
+        path: joinMountPath(prefix, route.path)
+      }));
+    });
+  });
+}
+
+// -------------------------------------------------------------
+// Helpers
+// -------------------------------------------------------------
+// local package name -> import path; the name defaults to the last path
+// element, skipping a major version suffix (echo/v4 -> echo)
+function collectImports(rootNode, source) {
+  const imports = {};
+  traverse(rootNode, (node) => {
+    if (node.type !== "import_spec") return;
+    const pathNode = node.childForFieldName("path");
+    if (!pathNode) return;
+    const importPath = stringValue(pathNode, source);
+    const nameNode = node.childForFieldName("name");
+    const parts = importPath.split("/");
+    const last = /^v\d+$/.test(parts[parts.length - 1]) && parts.length > 1 ? parts[parts.length - 2] : parts[parts.length - 1];
+    const name = nameNode ? text(nameNode, source) : last.replace(/^go-/, "").replace(/[.-]go$/, "");
+    if (name !== "_" && name !== ".") imports[name] = importPath;
+  });
+  return imports;
+}
+
+function detectFramework(imports) {
+  const paths = Object.values(imports);
+  const match = FRAMEWORK_IMPORTS.find(([, pattern]) => paths.some((p) => pattern.test(p)));
+  return match ? match[0] : "net/http";
+}
+
+// Named parameters whose type is a router: [{ name, index }]
+function routerParams(fn, source) {
+  const params = fn.childForFieldName("parameters");
+  if (!params) return [];
+
+  const result = [];
+  let index = 0;
+  params.namedChildren
+    .filter((n) => n.type === "parameter_declaration" || n.type === "variadic_parameter_declaration")
+    .forEach((decl) => {
+      const typeNode = decl.childForFieldName("type");
+      const isRouter = typeNode && ROUTER_TYPE.test(text(typeNode, source));
+      const names = decl.namedChildren.filter((n) => n.type === "identifier");
+      if (names.length === 0) index++;
+      names.forEach((n) => {
+        if (isRouter) result.push({ name: text(n, source), index });
+        index++;
+      });
+    });
+  return result;
+}
+
+function receiverType(fn, source) {
+  const receiver = fn.childForFieldName("receiver");
+  if (!receiver) return null;
+  let name = null;
+  traverse(receiver, (n) => {
+    if (!name && n.type === "type_identifier") name = text(n, source);
+  });
+  return name;
+}
+
+function argumentsOf(callNode) {
+  const args = callNode.childForFieldName("arguments");
+  return args ? args.namedChildren.filter((n) => n.type !== "comment") : [];
+}
+
+// []string{"GET", "POST"} -> ["GET", "POST"]
+function stringList(node, source) {
+  const values = [];
+  traverse(node, (n) => {
+    const value = stringValue(n, source);
+    if (value !== null) values.push(value.toUpperCase());
+  });
+  return values;
+}
+
+// Interpreted or raw string literal, otherwise null
+function stringValue(node, source) {
+  if (!node) return null;
+  if (node.type !== "interpreted_string_literal" && node.type !== "raw_string_literal") return null;
+  return text(node, source).slice(1, -1);
+}
+
+// Prefixes stay empty until something is actually joined
+function joinPrefix(prefix, routePath) {
+  return routePath ? joinRoutePath(prefix, routePath) : prefix;
+}
+
+function packageDir(relativePath) {
+  const dir = relativePath.split("/").slice(0, -1).join("/");
+  return dir || ".";
+}
+
+function text(node, source) {
+  return node ? source.slice(node.startIndex, node.endIndex) : "";
+}
+
+function traverse(node, cb) {
+  cb(node);
+  for (let i = 0; i < node.namedChildCount; i++) {
+    traverse(node.namedChild(i), cb);
+  }
+}
+
+module.exports = {
+  extractRoutes,
+  createRouteIndex,
+  resolveRoutes,
+  applyRouterPrefixes
+};
@@ -10,7 +10,9 @@ const glob = require("glob");
 const Parser = require("tree-sitter");
 const Go = require("tree-sitter-go");
 const { extractFunctionsAndCalls } = require("./extract-functions-golang");
-const { extractClasses } = require("./extract-classes-golang");
+const { extractClasses, linkReceiverMethods } = require("./extract-classes-golang");
+const { extractRoutes, createRouteIndex, resolveRoutes, applyRouterPrefixes } = require("./extract-routes-golang");
+const { linkRouteHandlers } = require("../route-metadata");
 
 if (process.argv.length < 4) {
   console.error(
@@ -44,13 +46,103 @@ function getNodeText(node, sourceText) {
 }
 
 // -------------------------------------------------------------
-// Step 1: Extract package names
+// Step 1: Go modules
+// Every go.mod in the repo (plus the modules a go.work file uses) maps
+// its module path to its directory. replace directives from go.mod and
+// go.work point module paths at local directories or at other modules.
+// Repos without go.mod keep GOPATH-style paths relative to the repo root.
 // -------------------------------------------------------------
-function extractPackageNames(filePath) {
-  const relPath = path.relative(repoPath, filePath);
-  // For Go, package name is typically the directory name
-  const packageName = path.basename(path.dirname(filePath));
-  return [packageName, relPath];
+const IGNORE_PATTERNS = [
+  `${repoPath}/**/vendor/**`,
+  `${repoPath}/**/build/**`,
+  `${repoPath}/**/dist/**`,
+  `${repoPath}/**/.git/**`
+];
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, "utf8");
+  } catch (e) {
+    return "";
+  }
+}
+
+// Arguments of a go.mod / go.work directive, in the single-line and the
+// block form:  replace a => ../a   or   replace ( a => ../a \n b => ../b )
+function parseDirectives(content, keyword) {
+  const args = [];
+  let inBlock = false;
+
+  content.replace(/\/\/.*$/gm, "").split("\n").forEach((raw) => {
+    const line = raw.trim();
+    if (inBlock) {
+      if (line === ")") inBlock = false;
+      else if (line) args.push(line);
+      return;
+    }
+    const match = line.match(new RegExp(`^${keyword}(?:\\s+|(?=\\())(.*)$`));
+    if (!match) return;
+    if (match[1].trim() === "(") inBlock = true;
+    else if (match[1].trim()) args.push(match[1].trim());
+  });
+
+  return args.map((arg) => arg.replace(/"/g, ""));
+}
+
+// "old [version] => new [version]"; local targets are ./, ../ or absolute paths
+function parseReplace(directive, baseDir) {
+  const [from, to] = directive.split("=>").map((side) => side.trim().split(/\s+/)[0]);
+  if (!from || !to) return null;
+  return /^\.{1,2}(\/|$)|^\//.test(to) ? { from, dir: path.resolve(baseDir, to) } : { from, module: to };
+}
+
+function findGoModules() {
+  const modFiles = new Set(glob.sync(`${repoPath}/**/go.mod`, { ignore: IGNORE_PATTERNS }));
+  const workspaceReplaces = [];
+
+  glob.sync(`${repoPath}/**/go.work`, { ignore: IGNORE_PATTERNS }).forEach((workFile) => {
+    const content = readText(workFile);
+    const workDir = path.dirname(workFile);
+
+    parseDirectives(content, "use").forEach((dir) => {
+      const modFile = path.join(path.resolve(workDir, dir), "go.mod");
+      if (fs.existsSync(modFile)) modFiles.add(modFile);
+    });
+    parseDirectives(content, "replace")
+      .map((directive) => parseReplace(directive, workDir))
+      .filter(Boolean)
+      .forEach((replace) => workspaceReplaces.push(replace));
+  });
+
+  const modules = [...modFiles]
+    .map((modFile) => {
+      const content = readText(modFile);
+      const dir = path.dirname(modFile);
+      const [modulePath] = parseDirectives(content, "module");
+      return {
+        path: modulePath ? modulePath.split(/\s+/)[0] : null,
+        dir,
+        replaces: parseDirectives(content, "replace").map((d) => parseReplace(d, dir)).filter(Boolean)
+      };
+    })
+    .filter((mod) => mod.path);
+
+  return { modules, workspaceReplaces };
+}
+
+// Innermost module containing the file or directory
+function moduleFor(fileOrDir, modules) {
+  return modules
+    .filter((mod) => fileOrDir === mod.dir || fileOrDir.startsWith(mod.dir + path.sep))
+    .sort((a, b) => b.dir.length - a.dir.length)[0] || null;
+}
+
+// Import path of the package in dir: github.com/acme/svc + internal/store
+function packageImportPath(dir, modules) {
+  const mod = moduleFor(dir, modules);
+  const rel = path.relative(mod ? mod.dir : repoPath, dir).split(path.sep).join("/");
+  if (!mod) return rel || ".";
+  return rel ? `${mod.path}/${rel}` : mod.path;
 }
 
 // -------------------------------------------------------------
@@ -64,31 +156,12 @@ function extractImports(filePath) {
   const imports = [];
   const libPaths = [];
 
+  // Covers both import "fmt" and import ( "fmt" "os" )
   traverse(tree.rootNode, (node) => {
-    if (node.type === "import_declaration") {
-      // Single import: import "fmt"
-      const importSpec = node.childForFieldName("spec");
-      if (importSpec && importSpec.type === "import_spec") {
-        const pathNode = importSpec.childForFieldName("path");
-        if (pathNode) {
-          imports.push(getNodeText(pathNode, sourceText).replace(/["']/g, ""));
-        }
-      }
-
-      // Multiple imports: import ( "fmt" "os" )
-      for (let i = 0; i < node.childCount; i++) {
-        const child = node.child(i);
-        if (child.type === "import_spec_list") {
-          for (let j = 0; j < child.childCount; j++) {
-            const spec = child.child(j);
-            if (spec.type === "import_spec") {
-              const pathNode = spec.childForFieldName("path");
-              if (pathNode) {
-                imports.push(getNodeText(pathNode, sourceText).replace(/["']/g, ""));
-              }
-            }
-          }
-        }
+    if (node.type === "import_spec") {
+      const pathNode = node.childForFieldName("path");
+      if (pathNode) {
+        imports.push(getNodeText(pathNode, sourceText).replace(/["'`]/g, ""));
       }
     }
   });
@@ -98,38 +171,70 @@ function extractImports(filePath) {
 
 // -------------------------------------------------------------
 // Step 3: Build mapper
+// { modules, workspaceReplaces, packages }: packages maps each package
+// import path to all of its .go files (tests excluded)
 // -------------------------------------------------------------
 function buildPackageMapper(repoPath) {
-  const goFiles = getGoFiles();
-
-  const mapper = {};
-  for (const file of goFiles) {
-    try {
-      const [pkgName, relPath] = extractPackageNames(file);
-      mapper[pkgName] = relPath;
-    } catch (err) {
-      console.log("Error analyzing file for mapper:", file);
-    }
+  const { modules, workspaceReplaces } = findGoModules();
+  const packages = {};
+
+  for (const file of getGoFiles()) {
+    if (file.endsWith("_test.go")) continue;
+    const importPath = packageImportPath(path.dirname(file), modules);
+    if (!packages[importPath]) packages[importPath] = [];
+    packages[importPath].push(path.relative(repoPath, file));
   }
 
-  return mapper;
+  return { modules, workspaceReplaces, packages };
 }
 
 function getGoFiles() {
-  return glob.sync(`${repoPath}/**/*.go`, {
-    ignore: [
-      `${repoPath}/**/vendor/**`,
-      `${repoPath}/**/build/**`,
-      `${repoPath}/**/dist/**`,
-      `${repoPath}/**/.git/**`
-    ],
-  });
+  return glob.sync(`${repoPath}/**/*.go`, { ignore: IGNORE_PATTERNS });
+}
+
+// Files of the package an import points at: { files } for packages in the
+// repo, { unresolved: true } for paths under a local module that match no
+// package directory, null for the standard library and third-party modules
+function resolveGoImport(imp, filePath, mapper) {
+  const { modules, workspaceReplaces, packages } = mapper;
+  const filesIn = (dir) => packages[packageImportPath(dir, modules)] || null;
+
+  // Relative imports (GOPATH-era code)
+  if (imp.startsWith(".")) {
+    const files = filesIn(path.resolve(path.dirname(filePath), imp));
+    return files ? { files } : { unresolved: true };
+  }
+
+  // go.work replacements win over the module's own
+  const mod = moduleFor(filePath, modules);
+  let importPath = imp;
+  const replace = [...workspaceReplaces, ...(mod ? mod.replaces : [])]
+    .find((r) => imp === r.from || imp.startsWith(r.from + "/"));
+  if (replace && replace.dir) {
+    const files = filesIn(path.join(replace.dir, imp.slice(replace.from.length)));
+    return files ? { files } : { unresolved: true };
+  }
+  if (replace) importPath = replace.module + imp.slice(replace.from.length);
+
+  if (packages[importPath]) return { files: packages[importPath] };
+  if (modules.some((m) => importPath === m.path || importPath.startsWith(m.path + "/"))) return { unresolved: true };
+
+  // Without go.mod, try the common GOPATH layouts
+  if (modules.length === 0) {
+    const candidate = [importPath, `pkg/${importPath}`, `internal/${importPath}`, `src/${importPath}`]
+      .find((p) => packages[p]);
+    if (candidate) return { files: packages[candidate] };
+  }
+
+  return null;
 }
 
 // -------------------------------------------------------------
 // Step 4: Analyze imports
+// routeIndex collects routers handed between functions so routes can be
+// resolved into full paths once every file has been read
 // -------------------------------------------------------------
-function analyzeImports(repoPath, mapper) {
+function analyzeImports(repoPath, mapper, routeIndex = createRouteIndex()) {
   console.log("Started working...");
   const goFiles = getGoFiles();
 
@@ -155,72 +260,18 @@ function analyzeImports(repoPath, mapper) {
       const { imports } = extractImports(file);
       const importFiles = [];
       const externalImports = [];
-
-      // Helper function to try resolving a path
-      function tryResolveGoPath(basePath) {
-        // Check if directory exists (Go packages are directories)
-        if (fs.existsSync(basePath) && fs.statSync(basePath).isDirectory()) {
-          return basePath;
-        }
-
-        // Try with .go extension
-        if (fs.existsSync(basePath + ".go")) {
-          return basePath + ".go";
-        }
-
-        return null;
-      }
-
-      for (let imp of imports) {
-        let resolvedPath = null;
-        let isResolved = false;
-
-        // Handle relative imports (./package or ../package)
-        if (imp.startsWith(".")) {
-          resolvedPath = path.resolve(path.dirname(file), imp);
-        }
-        // Handle absolute imports from project root
-        else if (imp.startsWith("/")) {
-          resolvedPath = path.join(repoPath, imp);
-        }
-        // Try to resolve as a local module
-        else {
-          // Check if it's a local package (not a standard library or third-party)
-          // Try to find it in common locations
-          const possiblePaths = [
-            path.join(repoPath, imp),
-            path.join(repoPath, 'pkg', imp),
-            path.join(repoPath, 'internal', imp),
-            path.join(repoPath, 'src', imp)
-          ];
-
-          for (const possiblePath of possiblePaths) {
-            const testPath = tryResolveGoPath(possiblePath);
-            if (testPath) {
-              resolvedPath = testPath;
-              break;
-            }
-          }
-        }
-
-        // If we have a potential path, verify it exists
-        if (resolvedPath && !isResolved) {
-          const finalPath = tryResolveGoPath(resolvedPath);
-
-          if (finalPath && fs.existsSync(finalPath)) {
-            const relativePath = path.relative(repoPath, finalPath);
-            // Make sure it's within the repo
-            if (!relativePath.startsWith('..') && !path.isAbsolute(relativePath)) {
-              importFiles.push(relativePath);
-              isResolved = true;
-              continue;
-            }
-          }
-        }
-
-        // If we couldn't resolve it as a local file, it's an external import
-        if (!isResolved) {
-          externalImports.push(imp); // Standard library or third-party imports
+      const unresolvedImports = [];
+
+      for (const imp of imports) {
+        const resolved = resolveGoImport(imp, file, mapper);
+        if (resolved && resolved.files) {
+          importFiles.push(...resolved.files);
+        } else if (resolved) {
+          // Package of a local module we could not locate (generated or build-tagged away)
+          unresolvedImports.push(imp);
+        } else {
+          // Standard library or third-party module
+          externalImports.push(imp);
         }
       }
 
@@ -230,12 +281,22 @@ function analyzeImports(repoPath, mapper) {
       // Extract structs and interfaces
       const classes = extractClasses(file, repoPath);
 
+      // HTTP routes; group prefixes and handlers may come from other packages
+      const relativePath = path.relative(repoPath, file);
+      const resolvePackage = (imp) => {
+        const resolved = resolveGoImport(imp, file, mapper);
+        return resolved && resolved.files ? path.dirname(resolved.files[0]) : null;
+      };
+      const routes = resolveRoutes(extractRoutes(file), relativePath, resolvePackage, routeIndex);
+
       results.push({
-        path: path.relative(repoPath, file),
+        path: relativePath,
         importFiles: [...new Set(importFiles)],
         externalImports: [...new Set(externalImports)],
+        unresolvedImports: [...new Set(unresolvedImports)],
         functions: functions,
-        classes
+        classes,
+        routes
       });
     } catch (e) {
       process.stdout.write('\n');
@@ -250,6 +311,15 @@ function analyzeImports(repoPath, mapper) {
   return results;
 }
 
+// Full route paths, handler files and API / Controller metadata
+function finalizeRoutes(results, routeIndex) {
+  applyRouterPrefixes(results, routeIndex);
+  linkRouteHandlers(results);
+
+  const routeCount = results.reduce((sum, entry) => sum + (entry.routes || []).length, 0);
+  if (routeCount > 0) console.log(`🛣️  Found ${routeCount} routes`);
+}
+
 // -------------------------------------------------------------
 // EXPORTS (for use in other files if needed)
 // -------------------------------------------------------------
@@ -258,7 +328,8 @@ module.exports = {
   traverse,
   getNodeText,
   buildPackageMapper,
-  analyzeImports
+  analyzeImports,
+  finalizeRoutes
 };
 
 // -------------------------------------------------------------
@@ -272,7 +343,10 @@ if (require.main === module) {
     fs.writeFileSync(mapperOutput, JSON.stringify(mapper, null, 2));
     console.log(`🛠️  Temporary mapper saved → ${mapperOutput}`);
 
-    const analysis = analyzeImports(repoPath, mapper);
+    const routeIndex = createRouteIndex();
+    const analysis = analyzeImports(repoPath, mapper, routeIndex);
+    linkReceiverMethods(analysis);
+    finalizeRoutes(analysis, routeIndex);
     fs.writeFileSync(importsOutput, JSON.stringify(analysis, null, 2));
     console.log(`✅ Final output written to → ${importsOutput}`);
 
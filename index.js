@@ -5,6 +5,9 @@ const minimist = require("minimist");
 const { execSync } = require("child_process");
 const path = require("path");
 const fs = require("fs");
+const os = require("os");
+const glob = require("glob");
+const { validateProviderConfig } = require("./llm-providers");
 
 const args = minimist(process.argv.slice(2), {
   alias: {
@@ -12,49 +15,86 @@ const args = minimist(process.argv.slice(2), {
     r: "repo",
     o: "out"
   },
-  boolean: ["generate-descriptions", "add-metadata"],
+  boolean: ["generate-descriptions", "add-metadata", "export-neo4j", "dry-run", "semantic"],
   default: {
     "generate-descriptions": false,
-    "add-metadata": false
+    "add-metadata": false,
+    "export-neo4j": false,
+    "dry-run": false,
+    semantic: false
   }
 });
 
-const allowedLanguages = ["perl", "javascript", "python", "java", "typescript"];
+const allowedLanguages = ["perl", "javascript", "python", "java", "typescript", "go", "csharp", "apex"];
 
-const language = (args.language || "").toLowerCase();
+// Alternate spellings accepted for --language
+const languageAliases = {
+  golang: "go",
+  "c#": "csharp",
+  cs: "csharp",
+  salesforce: "apex",
+};
+
+// --language auto (or no --language) detects every language present in the repo
+const rawLanguage = (args.language || "auto").toLowerCase();
+const language = languageAliases[rawLanguage] || rawLanguage;
 const repoPath = args.repo ? path.resolve(args.repo) : null;
 const outputDir = args.out ? path.resolve(args.out) : null;
 
 // ----------------------------
 // Validate args
 // ----------------------------
-if (!language || !repoPath || !outputDir) {
+if (!repoPath || !outputDir) {
   console.error(
     `Usage:\n` +
-      `repo-to-json-tree --language <lang> --repo ./path/to/repo --out ./output [options]\n\n` +
+      `repo-to-json-tree [--language <lang>] --repo ./path/to/repo --out ./output [options]\n\n` +
       `Supported Languages:\n` +
+      `  auto                - Detect all languages in the repo and merge results (default)\n` +
       `  javascript          - Parse JavaScript files (.js, .jsx)\n` +
       `  typescript          - Parse TypeScript AND JavaScript files (.ts, .tsx, .js, .jsx)\n` +
       `  python              - Parse Python files (.py)\n` +
-      `  java                - Parse Java files (.java)\n\n` +
+      `  java                - Parse Java files (.java)\n` +
+      `  perl                - Parse Perl files (.pl, .pm)\n` +
+      `  go                  - Parse Go files (.go)\n` +
+      `  csharp              - Parse C# files (.cs)\n` +
+      `  apex                - Parse Salesforce Apex files (.cls, .trigger)\n\n` +
       `Options:\n` +
+      `  --semantic                 Resolve TypeScript calls with the type checker (slower)\n` +
       `  --generate-descriptions     Generate AI descriptions for files, classes, and functions\n` +
       `  --add-metadata             Add metadata using LLM analysis\n` +
       `  --provider <name>          LLM provider: openai, claude, gemini, custom (default: openai)\n` +
-      `  --api-key <key>            API key for LLM provider\n` +
+      `  --api-key <key>            API key for LLM provider (optional for custom)\n` +
       `  --model <name>             Model name (optional)\n` +
       `  --api-url <url>            Custom API URL (for custom provider)\n` +
       `  --mode <low|high>          Accuracy mode for metadata (default: low)\n` +
-      `  --max-concurrent <num>     Max concurrent API requests (default: 5 for descriptions, 3 for metadata)\n`
+      `  --max-concurrent <num>     Max concurrent API requests (default: 5 for descriptions, 3 for metadata)\n` +
+      `  --max-file-size <kb>       Skip larger files when generating descriptions (default: 500)\n` +
+      `  --node-types <types>       Metadata node types: file,class,function (default: all)\n` +
+      `  --max-retries <num>        Retries for rate limits, 5xx and network errors (default: 3)\n` +
+      `  --timeout <seconds>        Timeout per LLM request in seconds (default: 120)\n` +
+      `  --cache-dir <dir>          LLM response cache directory (default: <out>/.llm-cache)\n` +
+      `  --no-cache                 Call the LLM even for unchanged code\n` +
+      `  --dry-run                  Estimate LLM requests, tokens and cost without calling the provider\n` +
+      `  --input-price <usd>        Input price per 1M tokens for --dry-run (default: built-in pricing)\n` +
+      `  --output-price <usd>       Output price per 1M tokens for --dry-run (default: built-in pricing)\n` +
+      `  --export-neo4j             Export the ontology as a Cypher script and neo4j-admin CSVs\n` +
+      `  --neo4j-format <fmt>       Neo4j export format: cypher, csv, all (default: all)\n` +
+      `  --format <json|ttl|jsonld> Also write an OWL/RDF ontology as Turtle or JSON-LD (default: json)\n`
   );
   process.exit(1);
 }
 
-if (!allowedLanguages.includes(language)) {
+if (language !== "auto" && !allowedLanguages.includes(language)) {
   console.error(`❌ Invalid language. Allowed: ${allowedLanguages.join(", ")}`);
   process.exit(1);
 }
 
+const outputFormat = (args.format || "json").toLowerCase();
+if (!["json", "ttl", "jsonld"].includes(outputFormat)) {
+  console.error(`❌ Invalid format: ${outputFormat}. Allowed: json, ttl, jsonld`);
+  process.exit(1);
+}
+
 if (!fs.existsSync(repoPath)) {
   console.error(`❌ Repo path does not exist: ${repoPath}`);
   process.exit(1);
@@ -64,7 +104,8 @@ if (!fs.existsSync(outputDir)) {
   fs.mkdirSync(outputDir, { recursive: true });
 }
 
-const importsOutput = path.join(outputDir, `${language}-imports.json`);
+const isPolyglot = language === "auto";
+const importsOutput = path.join(outputDir, `${isPolyglot ? "polyglot" : language}-imports.json`);
 
 const scriptMap = {
   perl: "file-tree-mapper.js",
@@ -72,22 +113,157 @@ const scriptMap = {
   python: "python/file-tree-mapper-python.js",
   java: "java/file-tree-main-java.js",
   typescript: "typescript/file-tree-mapper-typescript.js",
+  go: "golang/file-tree-mapper-golang.js",
+  csharp: "csharp/file-tree-mapper-csharp.js",
+  apex: "salesforce/file-tree-mapper-salesforce.js",
+};
+
+// File patterns used to detect which mappers apply in auto mode
+const languagePatterns = {
+  perl: "**/*.{pl,pm}",
+  javascript: "**/*.{js,jsx}",
+  python: "**/*.py",
+  java: "**/*.java",
+  typescript: "**/*.{ts,tsx}",
+  go: "**/*.go",
+  csharp: "**/*.cs",
+  apex: "**/*.{cls,trigger}",
 };
 
+const detectionIgnore = [
+  "**/node_modules/**",
+  "**/.git/**",
+  "**/vendor/**",
+  "**/venv/**",
+  "**/.venv/**",
+  "**/build/**",
+  "**/dist/**",
+  "**/target/**",
+  "**/bin/**",
+  "**/obj/**",
+];
+
+// ----------------------------
+// Language detection
+// ----------------------------
+function detectLanguages(repoPath) {
+  const detected = Object.keys(scriptMap).filter((lang) => {
+    const matches = glob.sync(languagePatterns[lang], {
+      cwd: repoPath,
+      ignore: detectionIgnore,
+      nodir: true,
+    });
+    return matches.length > 0;
+  });
+
+  // The TypeScript mapper already parses .js/.jsx files
+  if (detected.includes("typescript")) {
+    return detected.filter((lang) => lang !== "javascript");
+  }
+
+  return detected;
+}
+
+function runMapper(lang, outputFile) {
+  const scriptPath = path.resolve(__dirname, scriptMap[lang]);
+  let command = `node "${scriptPath}" "${repoPath}" "${outputFile}"`;
+  if (lang === "typescript" && args.semantic) command += " --semantic";
+
+  console.log("\n🚀 Running command:");
+  console.log(command);
+
+  execSync(command, { stdio: "inherit" });
+}
+
+// JavaScript files parsed by the TypeScript mapper are labelled as javascript
+function entryLanguage(lang, entry) {
+  if (lang === "typescript" && /\.(c|m)?jsx?$/.test(entry.path)) {
+    return "javascript";
+  }
+  return lang;
+}
+
+// Merge per-language outputs into one ontology, tagging each file entry
+function mergeOutputs(languageOutputs) {
+  const merged = [];
+  const seenPaths = new Set();
+
+  for (const [lang, outputFile] of languageOutputs) {
+    if (!fs.existsSync(outputFile)) {
+      console.log(`⚠️  No output produced for ${lang}, skipping`);
+      continue;
+    }
+
+    const entries = JSON.parse(fs.readFileSync(outputFile, "utf8"));
+    for (const entry of entries) {
+      if (seenPaths.has(entry.path)) continue;
+      seenPaths.add(entry.path);
+      merged.push({ ...entry, path: entry.path, language: entryLanguage(lang, entry) });
+    }
+  }
+
+  return merged;
+}
+
 // Inform user about TypeScript's JavaScript support
 if (language === "typescript") {
   console.log("\n📝 Note: TypeScript mode will also parse JavaScript files (.js, .jsx)");
 }
 
+// Languages whose mapper failed in auto mode; the rest of the run continues without them
+const failedLanguages = [];
+
 try {
-  const scriptPath = path.resolve(__dirname, scriptMap[language]);
+  if (isPolyglot) {
+    const languages = detectLanguages(repoPath);
+
+    if (languages.length === 0) {
+      console.error(`❌ No supported source files found in ${repoPath}`);
+      process.exit(1);
+    }
 
-  const command = `node "${scriptPath}" "${repoPath}" "${importsOutput}"`;
+    console.log(`\n🔎 Detected languages: ${languages.join(", ")}`);
 
-  console.log("\n🚀 Running command:");
-  console.log(command);
+    // Per-language outputs are intermediates; only the merged file lands in --out
+    const intermediateDir = fs.mkdtempSync(path.join(os.tmpdir(), "repo-to-json-tree-"));
+    const languageOutputs = languages.map((lang) => [
+      lang,
+      path.join(intermediateDir, `${lang}-imports.json`),
+    ]);
 
-  execSync(command, { stdio: "inherit" });
+    // One failing mapper (e.g. a grammar that does not build) must not
+    // discard the other languages, so failures are collected per language
+    let succeeded;
+    let merged;
+    try {
+      succeeded = languageOutputs.filter(([lang, outputFile]) => {
+        try {
+          runMapper(lang, outputFile);
+          return true;
+        } catch (err) {
+          console.error(`\n❌ ${lang} mapper failed: ${err.message}`);
+          failedLanguages.push(lang);
+          return false;
+        }
+      });
+
+      if (succeeded.length === 0) {
+        throw new Error(`every language mapper failed (${failedLanguages.join(", ")})`);
+      }
+
+      merged = mergeOutputs(succeeded);
+    } finally {
+      fs.rmSync(intermediateDir, { recursive: true, force: true });
+    }
+
+    fs.writeFileSync(importsOutput, JSON.stringify(merged, null, 2));
+    console.log(`\n🧩 Merged ${merged.length} files from ${succeeded.length} languages`);
+    if (failedLanguages.length > 0) {
+      console.log(`⚠️  Skipped languages whose mapper failed: ${failedLanguages.join(", ")}`);
+    }
+  } else {
+    runMapper(language, importsOutput);
+  }
 
   console.log("✅ JSON tree generation finished!");
   console.log("📄 Output:", importsOutput);
@@ -96,8 +272,13 @@ try {
   if (args["generate-descriptions"]) {
     console.log("\n🤖 Generating descriptions...");
 
-    if (!args["api-key"]) {
-      console.error("❌ Error: --api-key is required for --generate-descriptions");
+    const providerError = validateProviderConfig({
+      provider: args.provider || "openai",
+      apiKey: args["api-key"],
+      model: args.model,
+    }, { requireApiKey: !args["dry-run"] });
+    if (providerError) {
+      console.error(`❌ Error: ${providerError} (--generate-descriptions)`);
       process.exit(1);
     }
 
@@ -105,23 +286,36 @@ try {
     let descCommand = `node "${descScriptPath}" "${repoPath}" "${importsOutput}"`;
 
     descCommand += ` --provider ${args.provider || "openai"}`;
-    descCommand += ` --api-key ${args["api-key"]}`;
+    if (args["api-key"]) descCommand += ` --api-key ${args["api-key"]}`;
 
     if (args.model) descCommand += ` --model ${args.model}`;
     if (args["api-url"]) descCommand += ` --api-url ${args["api-url"]}`;
     if (args["max-concurrent"]) descCommand += ` --max-concurrent ${args["max-concurrent"]}`;
+    if (args["max-file-size"]) descCommand += ` --max-file-size ${args["max-file-size"]}`;
+    if (args["max-retries"] !== undefined) descCommand += ` --max-retries ${args["max-retries"]}`;
+    if (args.timeout) descCommand += ` --timeout ${args.timeout}`;
+    if (args["cache-dir"]) descCommand += ` --cache-dir "${path.resolve(args["cache-dir"])}"`;
+    if (args.cache === false) descCommand += " --no-cache";
+    if (args["dry-run"]) descCommand += " --dry-run";
+    if (args["input-price"] !== undefined) descCommand += ` --input-price ${args["input-price"]}`;
+    if (args["output-price"] !== undefined) descCommand += ` --output-price ${args["output-price"]}`;
 
     console.log("Running:", descCommand);
     execSync(descCommand, { stdio: "inherit" });
-    console.log("✅ Descriptions generated!");
+    console.log(args["dry-run"] ? "✅ Description estimate done!" : "✅ Descriptions generated!");
   }
 
   // Step 3: Add metadata if requested
   if (args["add-metadata"]) {
     console.log("\n🏷️  Adding metadata...");
 
-    if (!args["api-key"]) {
-      console.error("❌ Error: --api-key is required for --add-metadata");
+    const providerError = validateProviderConfig({
+      provider: args.provider || "openai",
+      apiKey: args["api-key"],
+      model: args.model,
+    }, { requireApiKey: !args["dry-run"] });
+    if (providerError) {
+      console.error(`❌ Error: ${providerError} (--add-metadata)`);
       process.exit(1);
     }
 
@@ -129,19 +323,59 @@ try {
     let metadataCommand = `node "${metadataScriptPath}" "${importsOutput}" "${repoPath}"`;
 
     metadataCommand += ` --provider ${args.provider || "openai"}`;
-    metadataCommand += ` --api-key ${args["api-key"]}`;
+    if (args["api-key"]) metadataCommand += ` --api-key ${args["api-key"]}`;
 
     if (args.model) metadataCommand += ` --model ${args.model}`;
     if (args["api-url"]) metadataCommand += ` --api-url ${args["api-url"]}`;
     if (args.mode) metadataCommand += ` --mode ${args.mode}`;
     if (args["max-concurrent"]) metadataCommand += ` --max-concurrent ${args["max-concurrent"]}`;
+    if (args["node-types"]) metadataCommand += ` --node-types ${args["node-types"]}`;
+    if (args["max-retries"] !== undefined) metadataCommand += ` --max-retries ${args["max-retries"]}`;
+    if (args.timeout) metadataCommand += ` --timeout ${args.timeout}`;
+    if (args["cache-dir"]) metadataCommand += ` --cache-dir "${path.resolve(args["cache-dir"])}"`;
+    if (args.cache === false) metadataCommand += " --no-cache";
+    if (args["dry-run"]) metadataCommand += " --dry-run";
+    if (args["input-price"] !== undefined) metadataCommand += ` --input-price ${args["input-price"]}`;
+    if (args["output-price"] !== undefined) metadataCommand += ` --output-price ${args["output-price"]}`;
 
     console.log("Running:", metadataCommand);
     execSync(metadataCommand, { stdio: "inherit" });
-    console.log("✅ Metadata added!");
+    console.log(args["dry-run"] ? "✅ Metadata estimate done!" : "✅ Metadata added!");
+  }
+
+  // Step 4: Export to Neo4j if requested
+  if (args["export-neo4j"]) {
+    console.log("\n🕸️  Exporting Neo4j graph...");
+
+    const exportScriptPath = path.resolve(__dirname, "export-neo4j.js");
+    const neo4jOutput = path.join(outputDir, "neo4j");
+    let exportCommand = `node "${exportScriptPath}" "${importsOutput}" "${neo4jOutput}"`;
+
+    if (args["neo4j-format"]) exportCommand += ` --format ${args["neo4j-format"]}`;
+
+    console.log("Running:", exportCommand);
+    execSync(exportCommand, { stdio: "inherit" });
+    console.log("✅ Neo4j export written to", neo4jOutput);
   }
 
-  console.log("\n🎉 All tasks completed successfully!");
+  // Step 5: Write RDF ontology if requested
+  if (outputFormat !== "json") {
+    console.log(`\n🧬 Writing ${outputFormat} ontology...`);
+
+    const rdfScriptPath = path.resolve(__dirname, "export-rdf.js");
+    const rdfOutput = importsOutput.replace(/\.json$/, `.${outputFormat}`);
+    const rdfCommand = `node "${rdfScriptPath}" "${importsOutput}" "${rdfOutput}" --format ${outputFormat}`;
+
+    console.log("Running:", rdfCommand);
+    execSync(rdfCommand, { stdio: "inherit" });
+    console.log("✅ RDF ontology written to", rdfOutput);
+  }
+
+  if (failedLanguages.length > 0) {
+    console.log(`\n⚠️  Completed without: ${failedLanguages.join(", ")} (mapper failed, see errors above)`);
+  } else {
+    console.log("\n🎉 All tasks completed successfully!");
+  }
   console.log("📄 Final output:", importsOutput);
 } catch (err) {
   console.error("❌ Failed:", err.message);
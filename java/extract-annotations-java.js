@@ -0,0 +1,110 @@
+// -------------------------------------------------------------
+// Java annotations as structured data
+// @GetMapping("/{id}")                  -> { name: "GetMapping", arguments: { value: "/{id}" } }
+// @RequestMapping(path = {"/a", "/b"})  -> { name: "RequestMapping", arguments: { path: ["/a", "/b"] } }
+// @Service                              -> { name: "Service", arguments: {} }
+// String literals are unquoted; constants and enum values keep their source text.
+// -------------------------------------------------------------
+function getAnnotations(node, source) {
+  const modifiers = node.namedChildren.find((n) => n.type === "modifiers");
+  if (!modifiers) return [];
+
+  return modifiers.namedChildren
+    .filter((n) => n.type === "annotation" || n.type === "marker_annotation")
+    .map((n) => parseAnnotation(n, source));
+}
+
+function parseAnnotation(node, source) {
+  const nameNode = node.childForFieldName("name");
+  // @javax.ws.rs.GET -> GET
+  const name = nameNode ? source.slice(nameNode.startIndex, nameNode.endIndex).split(".").pop() : null;
+  const args = {};
+
+  const argsNode = node.childForFieldName("arguments");
+  if (argsNode) {
+    argsNode.namedChildren.forEach((child) => {
+      if (child.type === "element_value_pair") {
+        const key = child.childForFieldName("key");
+        const value = child.childForFieldName("value");
+        if (key && value) args[source.slice(key.startIndex, key.endIndex)] = annotationValue(value, source);
+      } else if (child.type !== "comment") {
+        args.value = annotationValue(child, source);
+      }
+    });
+  }
+
+  return { name, arguments: args };
+}
+
+function annotationValue(node, source) {
+  if (node.type === "string_literal") {
+    return node.namedChildren
+      .filter((n) => n.type === "string_fragment" || n.type === "escape_sequence")
+      .map((n) => source.slice(n.startIndex, n.endIndex))
+      .join("");
+  }
+  if (node.type === "element_value_array_initializer") {
+    return node.namedChildren.filter((n) => n.type !== "comment").map((n) => annotationValue(n, source));
+  }
+  if (node.type === "true" || node.type === "false") return node.type === "true";
+  if (node.type === "decimal_integer_literal") return Number(source.slice(node.startIndex, node.endIndex));
+  if (node.type === "annotation" || node.type === "marker_annotation") return parseAnnotation(node, source);
+  return source.slice(node.startIndex, node.endIndex);
+}
+
+function findAnnotation(annotations, names) {
+  return annotations.find((a) => names.includes(a.name)) || null;
+}
+
+// Argument as a list: "/a" -> ["/a"], {"/a", "/b"} -> ["/a", "/b"], missing -> []
+function annotationList(annotation, keys) {
+  if (!annotation) return [];
+  const key = keys.find((k) => annotation.arguments[k] !== undefined);
+  if (!key) return [];
+  const value = annotation.arguments[key];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Syntax node of the first annotation on `node` named one of `names`
+function findAnnotationNode(node, names, source) {
+  const modifiers = node.namedChildren.find((n) => n.type === "modifiers");
+  if (!modifiers) return null;
+  return modifiers.namedChildren.find((n) => {
+    if (n.type !== "annotation" && n.type !== "marker_annotation") return false;
+    const nameNode = n.childForFieldName("name");
+    return nameNode && names.includes(source.slice(nameNode.startIndex, nameNode.endIndex).split(".").pop());
+  }) || null;
+}
+
+// Value nodes of an annotation argument, for callers that need the expression rather than its
+// text: @GetMapping(A + "/x") -> [binary_expression], @GetMapping({"/a", B}) -> [string_literal, field_access]
+function annotationArgumentNodes(annotationNode, keys, source) {
+  const argsNode = annotationNode && annotationNode.childForFieldName("arguments");
+  if (!argsNode) return [];
+
+  let value = null;
+  for (const key of keys) {
+    value = argsNode.namedChildren.find((child) => {
+      if (child.type === "element_value_pair") {
+        const keyNode = child.childForFieldName("key");
+        return keyNode && source.slice(keyNode.startIndex, keyNode.endIndex) === key;
+      }
+      return key === "value" && child.type !== "comment";
+    }) || null;
+    if (value) break;
+  }
+  if (value && value.type === "element_value_pair") value = value.childForFieldName("value");
+  if (!value) return [];
+
+  return value.type === "element_value_array_initializer"
+    ? value.namedChildren.filter((n) => n.type !== "comment")
+    : [value];
+}
+
+module.exports = {
+  getAnnotations,
+  findAnnotation,
+  annotationList,
+  findAnnotationNode,
+  annotationArgumentNodes
+};
@@ -2,6 +2,7 @@ const Parser = require("tree-sitter");
 const Java = require("tree-sitter-java");
 const fs = require("fs");
 const path = require("path");
+const { getAnnotations } = require("./extract-annotations-java");
 
 function extractClasses(filePath, repoPath = null) {
   const source = fs.readFileSync(filePath, "utf8");
@@ -48,12 +49,14 @@ function extractClassInfo(node, filePath, repoPath = null, source) {
   } = extractClassMembers(node, source);
 
   const { visibility, isAbstract } = getClassModifiers(node, source);
+  const annotations = getAnnotations(node, source);
 
   return {
     name,
     type: isInterface ? "interface" : "class",
     visibility,
     isAbstract,
+    annotations,
     extends: superClass,
     implements: interfaces,
     constructorParams,
@@ -232,10 +235,13 @@ function extractFieldInfo(node, source) {
   const typeNode = node.childForFieldName("type");
   const fieldType = typeNode ? source.slice(typeNode.startIndex, typeNode.endIndex) : "unknown";
 
+  // @Id, @Column(name = "..."), @Autowired, ...
+  const annotations = getAnnotations(node, source);
+
   // Get declarators (can have multiple: int a, b, c;)
   const declaratorNode = node.childForFieldName("declarator");
   if (declaratorNode) {
-    const fieldInfo = extractDeclarator(declaratorNode, source, fieldType, visibility, isStatic, isFinal);
+    const fieldInfo = extractDeclarator(declaratorNode, source, fieldType, visibility, isStatic, isFinal, annotations);
     if (fieldInfo) {
       fields.push(fieldInfo);
     }
@@ -245,7 +251,7 @@ function extractFieldInfo(node, source) {
   for (let i = 0; i < node.childCount; i++) {
     const child = node.child(i);
     if (child.type === "variable_declarator" && child !== declaratorNode) {
-      const fieldInfo = extractDeclarator(child, source, fieldType, visibility, isStatic, isFinal);
+      const fieldInfo = extractDeclarator(child, source, fieldType, visibility, isStatic, isFinal, annotations);
       if (fieldInfo) {
         fields.push(fieldInfo);
       }
@@ -255,7 +261,7 @@ function extractFieldInfo(node, source) {
   return fields;
 }
 
-function extractDeclarator(node, source, fieldType, visibility, isStatic, isFinal) {
+function extractDeclarator(node, source, fieldType, visibility, isStatic, isFinal, annotations = []) {
   const nameNode = node.childForFieldName("name");
   if (!nameNode) return null;
 
@@ -271,7 +277,8 @@ function extractDeclarator(node, source, fieldType, visibility, isStatic, isFina
     visibility,
     isStatic,
     isFinal,
-    hasDefault
+    hasDefault,
+    annotations
   };
 }
 
@@ -2,8 +2,12 @@ const Parser = require("tree-sitter");
 const Java = require("tree-sitter-java");
 const fs = require("fs");
 const path = require("path");
+const { getAnnotations } = require("./extract-annotations-java");
+const { resolveTypeName, findMember, normalizeType } = require("./extract-types-java");
 
-function extractFunctionsWithCalls(filePath, repoPath = null, classIndex = {}) {
+const TYPE_DECLARATIONS = ["class_declaration", "interface_declaration", "enum_declaration", "record_declaration"];
+
+function extractFunctionsWithCalls(filePath, repoPath = null, classIndex = {}, typeIndex = null) {
   const source = fs.readFileSync(filePath, "utf8");
 
   const parser = new Parser();
@@ -12,13 +16,15 @@ function extractFunctionsWithCalls(filePath, repoPath = null, classIndex = {}) {
   const tree = parser.parse(source);
 
   const functions = [];
+  const relativePath = repoPath ? path.relative(repoPath, filePath) : filePath;
 
   traverse(tree.rootNode, (node) => {
     if (
       node.type === "method_declaration" ||
       node.type === "constructor_declaration"
     ) {
-      const funcInfo = extractFunctionInfo(node, filePath, repoPath, source);
+      const resolveCall = typeIndex ? createCallResolver(node, source, relativePath, typeIndex) : null;
+      const funcInfo = extractFunctionInfo(node, filePath, repoPath, source, resolveCall);
       if (funcInfo.name) {
         functions.push(funcInfo);
       }
@@ -28,13 +34,13 @@ function extractFunctionsWithCalls(filePath, repoPath = null, classIndex = {}) {
   return functions;
 }
 
-function extractFunctionInfo(node, filePath, repoPath = null, source) {
+function extractFunctionInfo(node, filePath, repoPath = null, source, resolveCall = null) {
   const startLine = node.startPosition.row + 1;
   const endLine = node.endPosition.row + 1;
 
   const name = getFunctionName(node, source);
   const params = extractFunctionParams(node, source);
-  const calls = extractDirectCalls(node, source);
+  const calls = extractDirectCalls(node, source, resolveCall);
 
   const { visibility, kind } = getFunctionModifiers(node, source);
 
@@ -43,7 +49,9 @@ function extractFunctionInfo(node, filePath, repoPath = null, source) {
     type: node.type === "constructor_declaration" ? "constructor" : "method",
     visibility,
     kind,
-    params,  // Now returns string array
+    params,
+    returnType: node.type === "method_declaration" ? nodeText(node.childForFieldName("type"), source) : null,
+    annotations: getAnnotations(node, source),
     startLine,
     endLine,
     calls
@@ -94,13 +102,17 @@ function extractFunctionParams(node, source) {
     if (child.type === "formal_parameter") {
       const nameNode = child.childForFieldName("name");
       if (nameNode) {
-        params.push(source.slice(nameNode.startIndex, nameNode.endIndex));
+        params.push(paramInfo(child, source.slice(nameNode.startIndex, nameNode.endIndex),
+          nodeText(child.childForFieldName("type"), source), false, source));
       }
     } else if (child.type === "spread_parameter") {
-      // Handle varargs
-      const nameNode = child.childForFieldName("name");
+      // Handle varargs: String... names has no name field, the name sits in a declarator
+      const declarator = child.namedChildren.find((n) => n.type === "variable_declarator");
+      const nameNode = declarator && declarator.childForFieldName("name");
+      const typeNode = child.namedChildren.find((n) => n.type !== "modifiers" && n.type !== "variable_declarator");
       if (nameNode) {
-        params.push("..." + source.slice(nameNode.startIndex, nameNode.endIndex));
+        params.push(paramInfo(child, "..." + source.slice(nameNode.startIndex, nameNode.endIndex),
+          typeNode ? `${nodeText(typeNode, source)}...` : null, true, source));
       }
     }
   }
@@ -108,18 +120,41 @@ function extractFunctionParams(node, source) {
   return params;
 }
 
+// { name, type, optional, default }; Java has no default values. Annotations such as
+// @RequestBody or @PathVariable("id") are kept because they say where the value comes from
+function paramInfo(paramNode, name, type, optional, source) {
+  const annotations = getAnnotations(paramNode, source);
+  return {
+    name,
+    type,
+    optional,
+    default: null,
+    ...(annotations.length > 0 && { annotations })
+  };
+}
+
+function nodeText(node, source) {
+  return node ? source.slice(node.startIndex, node.endIndex) : null;
+}
+
 function getFunctionName(node, source) {
   const nameNode = node.childForFieldName("name");
   return nameNode ? source.slice(nameNode.startIndex, nameNode.endIndex) : null;
 }
 
-function extractDirectCalls(funcNode, source) {
+function extractDirectCalls(funcNode, source, resolveCall = null) {
   const calls = [];
 
   traverse(funcNode, (node) => {
     if (node.type === "method_invocation") {
       const callInfo = extractCallInfo(node, source);
       if (callInfo) {
+        // Type-aware resolution; a receiver of a known but non-repo type (String, List) stays unresolved
+        const resolved = resolveCall && resolveCall(node);
+        if (resolved) {
+          callInfo.path = resolved.path;
+          callInfo.typeResolved = true;
+        }
         calls.push(callInfo);
       }
     }
@@ -128,6 +163,140 @@ function extractDirectCalls(funcNode, source) {
   return calls;
 }
 
+// -------------------------------------------------------------
+// Type-aware call resolution
+// The receiver's type comes from parameters, locals (var from new or a
+// cast), fields of the enclosing class and its superclasses (also as
+// this.x), static class references and the return types of earlier
+// calls in a chain. A call resolves to the file of the type declaring the
+// method, or to the import of a library type. Returns { path } for
+// receivers of known type, otherwise null.
+// -------------------------------------------------------------
+function createCallResolver(funcNode, source, file, typeIndex) {
+  const text = (node) => source.slice(node.startIndex, node.endIndex);
+  const enclosing = enclosingType(funcNode, source, file, typeIndex);
+  const locals = collectLocalTypes(funcNode, source);
+  const context = typeIndex.files[file] || { imports: {} };
+
+  const typeOf = (typeName, fromFile = file) => resolveTypeName(typeName, fromFile, typeIndex) || { unknown: typeName };
+
+  const expressionType = (node) => {
+    switch (node.type) {
+      case "identifier": {
+        const name = text(node);
+        if (locals[name]) return typeOf(locals[name]);
+        const owner = enclosing && findMember(enclosing, name, "fields", typeIndex);
+        if (owner) return typeOf(owner.fields[name], owner.file);
+        // Static call on a class: Audit.log(...)
+        return /^[A-Z]/.test(name) ? resolveTypeName(name, file, typeIndex) : null;
+      }
+      case "this":
+        return enclosing ? { decl: enclosing } : null;
+      case "super":
+        return enclosing && enclosing.extends ? typeOf(enclosing.extends, enclosing.file) : null;
+      case "field_access": {
+        const objectNode = node.childForFieldName("object");
+        const fieldNode = node.childForFieldName("field");
+        const objectType = objectNode && expressionType(objectNode);
+        if (!fieldNode || !objectType || !objectType.decl) return null;
+        const owner = findMember(objectType.decl, text(fieldNode), "fields", typeIndex);
+        return owner ? typeOf(owner.fields[text(fieldNode)], owner.file) : null;
+      }
+      case "method_invocation": {
+        const target = methodTarget(node);
+        const name = text(node.childForFieldName("name"));
+        if (!target || !target.decl || !target.decl.methods[name]) return null;
+        return typeOf(target.decl.methods[name], target.decl.file);
+      }
+      case "object_creation_expression":
+      case "cast_expression": {
+        const typeNode = node.childForFieldName("type");
+        return typeNode ? typeOf(normalizeType(text(typeNode))) : null;
+      }
+      case "parenthesized_expression":
+        return node.namedChildren[0] ? expressionType(node.namedChildren[0]) : null;
+      default:
+        return null;
+    }
+  };
+
+  // { decl } of the type declaring the method, { external } for library types, { unknown } otherwise
+  const methodTarget = (invocation) => {
+    const name = text(invocation.childForFieldName("name"));
+    const objectNode = invocation.childForFieldName("object");
+
+    if (!objectNode) {
+      const owner = enclosing && findMember(enclosing, name, "methods", typeIndex);
+      if (owner) return { decl: owner };
+      // import static com.acme.Util.format
+      const staticClass = context.imports[`static:${name}`];
+      if (!staticClass) return null;
+      const simpleName = staticClass.split(".").pop();
+      const decl = (typeIndex.types[simpleName] || []).find((d) => d.fqcn === staticClass);
+      return decl ? { decl } : { external: staticClass };
+    }
+
+    const receiver = expressionType(objectNode);
+    if (!receiver || !receiver.decl) return receiver;
+    // Methods inherited from library supertypes (JpaRepository.save) stay with the receiver's file
+    return { decl: findMember(receiver.decl, name, "methods", typeIndex) || receiver.decl };
+  };
+
+  return (invocation) => {
+    const target = methodTarget(invocation);
+    if (!target) return null;
+    if (target.decl) return { path: target.decl.file };
+    if (target.external) return { path: target.external };
+    return { path: null };
+  };
+}
+
+// Declaration of the class, interface, enum or record the method belongs to
+function enclosingType(funcNode, source, file, typeIndex) {
+  let parent = funcNode.parent;
+  while (parent && !TYPE_DECLARATIONS.includes(parent.type)) parent = parent.parent;
+  const nameNode = parent && parent.childForFieldName("name");
+  if (!nameNode) return null;
+  const name = source.slice(nameNode.startIndex, nameNode.endIndex);
+  return (typeIndex.types[name] || []).find((d) => d.file === file) || null;
+}
+
+// Declared types of parameters and local variables: { name: SimpleType }
+function collectLocalTypes(funcNode, source) {
+  const locals = {};
+  const text = (node) => source.slice(node.startIndex, node.endIndex);
+  const declare = (nameNode, typeNode) => {
+    if (nameNode && typeNode) locals[text(nameNode)] = normalizeType(text(typeNode));
+  };
+
+  traverse(funcNode, (node) => {
+    if (node.type === "formal_parameter" || node.type === "enhanced_for_statement" || node.type === "resource") {
+      declare(node.childForFieldName("name"), node.childForFieldName("type"));
+    } else if (node.type === "spread_parameter") {
+      const typeNode = node.namedChildren.find((n) => n.type !== "modifiers" && n.type !== "variable_declarator");
+      const declarator = node.namedChildren.find((n) => n.type === "variable_declarator");
+      declare(declarator && declarator.childForFieldName("name"), typeNode);
+    } else if (node.type === "catch_formal_parameter") {
+      const catchType = node.namedChildren.find((n) => n.type === "catch_type");
+      declare(node.childForFieldName("name"), catchType && catchType.namedChildren[0]);
+    } else if (node.type === "local_variable_declaration") {
+      const typeNode = node.childForFieldName("type");
+      node.namedChildren
+        .filter((n) => n.type === "variable_declarator")
+        .forEach((declarator) => {
+          // var x = new Foo() / var x = (Foo) y
+          const value = declarator.childForFieldName("value");
+          const inferred = typeNode && text(typeNode) === "var"
+            ? value && ["object_creation_expression", "cast_expression"].includes(value.type) && value.childForFieldName("type")
+            : typeNode;
+          declare(declarator.childForFieldName("name"), inferred);
+        });
+    }
+  });
+
+  return locals;
+}
+
 function extractCallInfo(node, source) {
   const nameNode = node.childForFieldName("name");
   if (!nameNode) return null;
@@ -247,9 +416,9 @@ function isJavaStdLib(name) {
   );
 }
 
-function extractFunctionsAndCalls(filePath, repoPath, classIndex) {
+function extractFunctionsAndCalls(filePath, repoPath, classIndex, typeIndex = null) {
   try {
-    const functions = extractFunctionsWithCalls(filePath, repoPath, classIndex);
+    const functions = extractFunctionsWithCalls(filePath, repoPath, classIndex, typeIndex);
     const imports = extractImports(filePath, classIndex);
 
     // Build function and class map for call resolution
@@ -276,6 +445,12 @@ function extractFunctionsAndCalls(filePath, repoPath, classIndex) {
     // Resolve call paths
     functions.forEach(func => {
       func.calls.forEach(call => {
+        if (call.typeResolved) {
+          delete call.typeResolved;
+          delete call.objectName;
+          return;
+        }
+
         // Try to resolve by method name first, then by object name
         let resolvedPath = functionMap.get(call.name);
 
@@ -0,0 +1,219 @@
+const Parser = require("tree-sitter");
+const Java = require("tree-sitter-java");
+const fs = require("fs");
+const { getAnnotations, annotationList, findAnnotationNode, annotationArgumentNodes } = require("./extract-annotations-java");
+const { joinRoutePath } = require("../route-metadata");
+
+const SPRING_MAPPINGS = {
+  GetMapping: "GET",
+  PostMapping: "POST",
+  PutMapping: "PUT",
+  DeleteMapping: "DELETE",
+  PatchMapping: "PATCH",
+  RequestMapping: null
+};
+const JAXRS_METHODS = ["GET", "POST", "PUT", "DELETE", "PATCH", "HEAD", "OPTIONS"];
+
+// -------------------------------------------------------------
+// Route extraction
+// Spring MVC (@RequestMapping on the class + @GetMapping/@PostMapping/...
+// or @RequestMapping(method = ...) on methods) and JAX-RS (@Path on the
+// class + @GET/@POST/... with an optional method-level @Path).
+// Class and method paths are combined into the full route path. Paths may
+// use static final String constants declared in the same file; a path that
+// cannot be evaluated is kept as a <Expression> placeholder and listed in
+// the route's unresolvedPaths.
+// -------------------------------------------------------------
+function extractRoutes(filePath) {
+  try {
+    const source = fs.readFileSync(filePath, "utf8");
+    const parser = new Parser();
+    parser.setLanguage(Java);
+    const tree = parser.parse(source);
+
+    const constants = collectStringConstants(tree.rootNode, source);
+    const routes = [];
+    traverse(tree.rootNode, (node) => {
+      if (node.type === "class_declaration" || node.type === "interface_declaration") {
+        routes.push(...extractClassRoutes(node, source, constants));
+      }
+    });
+    return routes;
+  } catch (error) {
+    console.error(`Error extracting routes from ${filePath}:`, error);
+    return [];
+  }
+}
+
+function extractClassRoutes(classNode, source, constants) {
+  const body = classNode.childForFieldName("body");
+  if (!body) return [];
+
+  const className = typeName(classNode, source);
+  const pathsOf = (node, names, keys) =>
+    orRoot(annotationArgumentNodes(findAnnotationNode(node, names, source), keys, source)
+      .map((valueNode) => evaluatePath(valueNode, source, constants, className)));
+
+  const springPrefixes = pathsOf(classNode, ["RequestMapping"], ["value", "path"]);
+  const jaxrsPrefixes = pathsOf(classNode, ["Path"], ["value"]);
+  const routes = [];
+
+  body.namedChildren
+    .filter((n) => n.type === "method_declaration")
+    .forEach((method) => {
+      const annotations = getAnnotations(method, source);
+      const nameNode = method.childForFieldName("name");
+      const handler = nameNode ? source.slice(nameNode.startIndex, nameNode.endIndex) : null;
+      const route = (httpMethod, prefix, routePath, framework) => {
+        const unresolvedPaths = [prefix, routePath].filter((p) => p.unresolved).map((p) => p.unresolved);
+        return {
+          method: httpMethod,
+          path: joinRoutePath(prefix.path, routePath.path),
+          handler,
+          handlerLine: method.startPosition.row + 1,
+          framework,
+          line: method.startPosition.row + 1,
+          ...(unresolvedPaths.length > 0 && { unresolvedPaths })
+        };
+      };
+
+      // Spring MVC
+      annotations
+        .filter((a) => a.name in SPRING_MAPPINGS)
+        .forEach((mapping) => {
+          const methods = SPRING_MAPPINGS[mapping.name]
+            ? [SPRING_MAPPINGS[mapping.name]]
+            : orAny(annotationList(mapping, ["method"]).map((m) => String(m).split(".").pop()));
+          const paths = pathsOf(method, [mapping.name], ["value", "path"]);
+
+          springPrefixes.forEach((prefix) => {
+            paths.forEach((routePath) => {
+              methods.forEach((httpMethod) => routes.push(route(httpMethod, prefix, routePath, "spring")));
+            });
+          });
+        });
+
+      // JAX-RS; a method with @Path but no HTTP method is a sub-resource locator, not a route
+      const httpMethod = annotations.find((a) => JAXRS_METHODS.includes(a.name));
+      if (httpMethod) {
+        const paths = pathsOf(method, ["Path"], ["value"]);
+        jaxrsPrefixes.forEach((prefix) => {
+          paths.forEach((routePath) => routes.push(route(httpMethod.name, prefix, routePath, "jax-rs")));
+        });
+      }
+    });
+
+  return routes;
+}
+
+// A missing path maps to the enclosing path
+function orRoot(paths) {
+  return paths.length > 0 ? paths : [{ path: "" }];
+}
+
+// -------------------------------------------------------------
+// Path constants
+// static final String fields (and interface constants) of this file, keyed
+// by "Type.NAME" and by "NAME": "/users", USERS + "/v2" and ("/a")
+// evaluate; anything else (method calls, other files' constants) does not.
+// -------------------------------------------------------------
+function collectStringConstants(rootNode, source) {
+  const text = (node) => source.slice(node.startIndex, node.endIndex);
+  const declarations = new Map();
+
+  traverse(rootNode, (node) => {
+    if (node.type !== "field_declaration" && node.type !== "constant_declaration") return;
+    const typeNode = node.childForFieldName("type");
+    if (!typeNode || !["String", "java.lang.String"].includes(text(typeNode))) return;
+
+    const owner = node.parent && node.parent.parent;
+    const modifiers = node.namedChildren.find((n) => n.type === "modifiers");
+    const modifierText = modifiers ? text(modifiers) : "";
+    const implicitConstant = owner && ["interface_declaration", "annotation_type_declaration"].includes(owner.type);
+    if (!implicitConstant && !(/\bstatic\b/.test(modifierText) && /\bfinal\b/.test(modifierText))) return;
+
+    const ownerName = owner ? typeName(owner, source) : null;
+    node.childrenForFieldName("declarator").forEach((declarator) => {
+      const nameNode = declarator.childForFieldName("name");
+      const valueNode = declarator.childForFieldName("value");
+      if (!nameNode || !valueNode) return;
+      const declaration = { node: valueNode, owner: ownerName };
+      if (ownerName) declarations.set(`${ownerName}.${text(nameNode)}`, declaration);
+      if (!declarations.has(text(nameNode))) declarations.set(text(nameNode), declaration);
+    });
+  });
+
+  return { declarations, values: new Map() };
+}
+
+// { path } for an evaluated annotation value, { path: "<Expr>", unresolved: "Expr" } otherwise
+function evaluatePath(node, source, constants, owner) {
+  const value = evaluateString(node, source, constants, owner, new Set());
+  if (value !== null) return { path: value };
+  const expression = source.slice(node.startIndex, node.endIndex).replace(/\s+/g, " ");
+  return { path: `<${expression}>`, unresolved: expression };
+}
+
+function evaluateString(node, source, constants, owner, seen) {
+  const text = (n) => source.slice(n.startIndex, n.endIndex);
+
+  switch (node.type) {
+    case "string_literal":
+      return node.namedChildren
+        .filter((n) => n.type === "string_fragment" || n.type === "escape_sequence")
+        .map(text)
+        .join("");
+    case "parenthesized_expression":
+      return node.namedChild(0) ? evaluateString(node.namedChild(0), source, constants, owner, seen) : null;
+    case "binary_expression": {
+      const operator = node.childForFieldName("operator");
+      const left = node.childForFieldName("left");
+      const right = node.childForFieldName("right");
+      if (!operator || text(operator) !== "+" || !left || !right) return null;
+      const leftValue = evaluateString(left, source, constants, owner, seen);
+      const rightValue = leftValue === null ? null : evaluateString(right, source, constants, owner, seen);
+      return rightValue === null ? null : leftValue + rightValue;
+    }
+    case "identifier":
+      return constantValue((owner && `${owner}.${text(node)}`), source, constants, seen) ??
+        constantValue(text(node), source, constants, seen);
+    case "field_access": {
+      // ApiPaths.USERS or com.example.ApiPaths.USERS
+      const parts = text(node).replace(/\s+/g, "").split(".");
+      return constantValue(parts.slice(-2).join("."), source, constants, seen);
+    }
+    default:
+      return null;
+  }
+}
+
+function constantValue(key, source, constants, seen) {
+  if (!key) return null;
+  if (constants.values.has(key)) return constants.values.get(key);
+  const declaration = constants.declarations.get(key);
+  if (!declaration || seen.has(declaration)) return null;
+
+  seen.add(declaration);
+  const value = evaluateString(declaration.node, source, constants, declaration.owner, seen);
+  seen.delete(declaration);
+  constants.values.set(key, value);
+  return value;
+}
+
+function typeName(node, source) {
+  const nameNode = node.childForFieldName("name");
+  return nameNode ? source.slice(nameNode.startIndex, nameNode.endIndex) : null;
+}
+
+function orAny(methods) {
+  return methods.length > 0 ? methods : ["ANY"];
+}
+
+function traverse(node, cb) {
+  cb(node);
+  for (let i = 0; i < node.namedChildCount; i++) {
+    traverse(node.namedChild(i), cb);
+  }
+}
+
+module.exports = { extractRoutes };
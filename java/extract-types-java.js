@@ -0,0 +1,211 @@
+const Parser = require("tree-sitter");
+const Java = require("tree-sitter-java");
+const fs = require("fs");
+const path = require("path");
+
+const TYPE_DECLARATIONS = ["class_declaration", "interface_declaration", "enum_declaration", "record_declaration"];
+
+// -------------------------------------------------------------
+// Type index
+// Declared types across the repo with their supertypes, field types and
+// method return types, plus each file's package and imports, so calls
+// can be resolved from the declared type of their receiver:
+// {
+//   types: { OrderRepository: [{ name, fqcn, file, extends, implements, fields, methods }] },
+//   files: { "src/.../OrderController.java": { package, imports: { Order: "com.acme.model.Order" }, wildcards } }
+// }
+// -------------------------------------------------------------
+function buildJavaTypeIndex(files, repoPath) {
+  const index = { types: {}, files: {} };
+  const parser = new Parser();
+  parser.setLanguage(Java);
+
+  files.forEach((file) => {
+    try {
+      const source = fs.readFileSync(file, "utf8");
+      const tree = parser.parse(source);
+      const relativePath = path.relative(repoPath, file);
+      const context = extractFileContext(tree.rootNode, source);
+      index.files[relativePath] = context;
+
+      extractTypeDeclarations(tree.rootNode, source).forEach((decl) => {
+        const fqcn = [context.package, ...decl.outer, decl.name].filter(Boolean).join(".");
+        const { outer, ...rest } = decl;
+        if (!index.types[decl.name]) index.types[decl.name] = [];
+        index.types[decl.name].push({ ...rest, fqcn, file: relativePath });
+      });
+    } catch (error) {
+      console.error(`Error indexing types in ${file}:`, error.message);
+    }
+  });
+
+  return index;
+}
+
+// { package, imports: { SimpleName: fqcn }, wildcards: [package] }
+function extractFileContext(rootNode, source) {
+  const context = { package: null, imports: {}, wildcards: [] };
+
+  rootNode.namedChildren.forEach((node) => {
+    if (node.type === "package_declaration") {
+      const name = node.namedChildren.find((n) => n.type === "scoped_identifier" || n.type === "identifier");
+      if (name) context.package = text(name, source);
+    } else if (node.type === "import_declaration") {
+      const name = node.namedChildren.find((n) => n.type === "scoped_identifier" || n.type === "identifier");
+      if (!name) return;
+      const imported = text(name, source);
+      const isStatic = node.children.some((n) => n.type === "static");
+      if (node.namedChildren.some((n) => n.type === "asterisk")) {
+        if (!isStatic) context.wildcards.push(imported);
+      } else if (isStatic) {
+        // import static com.acme.Util.format -> format is a static method of com.acme.Util
+        context.imports[`static:${imported.split(".").pop()}`] = imported.split(".").slice(0, -1).join(".");
+      } else {
+        context.imports[imported.split(".").pop()] = imported;
+      }
+    }
+  });
+
+  return context;
+}
+
+function extractTypeDeclarations(rootNode, source) {
+  const declarations = [];
+
+  const visit = (node, outer) => {
+    if (TYPE_DECLARATIONS.includes(node.type)) {
+      const nameNode = node.childForFieldName("name");
+      if (!nameNode) return;
+      const name = text(nameNode, source);
+      const body = node.childForFieldName("body");
+      declarations.push({ name, outer, ...supertypes(node, source), ...members(node, body, source) });
+      if (body) body.namedChildren.forEach((child) => visit(child, [...outer, name]));
+      return;
+    }
+    node.namedChildren.forEach((child) => visit(child, outer));
+  };
+  visit(rootNode, []);
+
+  return declarations;
+}
+
+// extends / implements as simple type names; interfaces list what they extend under implements
+function supertypes(node, source) {
+  const superclass = node.childForFieldName("superclass");
+  const interfaces = node.childForFieldName("interfaces") ||
+    node.namedChildren.find((n) => n.type === "extends_interfaces");
+  const typeNames = (n) => (n && n.namedChildren.length > 0 && n.namedChildren[0].type === "type_list"
+    ? n.namedChildren[0].namedChildren
+    : (n ? n.namedChildren : []))
+    .map((t) => normalizeType(text(t, source)));
+
+  return {
+    extends: superclass ? typeNames(superclass)[0] || null : null,
+    implements: typeNames(interfaces)
+  };
+}
+
+// fields: { name: type }, methods: { name: returnType }; record components count as fields
+function members(node, body, source) {
+  const fields = {};
+  const methods = {};
+
+  const params = node.childForFieldName("parameters");
+  if (params) {
+    params.namedChildren
+      .filter((p) => p.type === "formal_parameter")
+      .forEach((p) => {
+        const nameNode = p.childForFieldName("name");
+        const typeNode = p.childForFieldName("type");
+        if (nameNode && typeNode) {
+          fields[text(nameNode, source)] = normalizeType(text(typeNode, source));
+          methods[text(nameNode, source)] = normalizeType(text(typeNode, source));
+        }
+      });
+  }
+
+  const memberNodes = body
+    ? body.namedChildren.flatMap((n) => (n.type === "enum_body_declarations" ? n.namedChildren : [n]))
+    : [];
+
+  memberNodes.forEach((member) => {
+    if (member.type === "field_declaration" || member.type === "constant_declaration") {
+      const typeNode = member.childForFieldName("type");
+      if (!typeNode) return;
+      member.namedChildren
+        .filter((n) => n.type === "variable_declarator")
+        .forEach((declarator) => {
+          const nameNode = declarator.childForFieldName("name");
+          if (nameNode) fields[text(nameNode, source)] = normalizeType(text(typeNode, source));
+        });
+    } else if (member.type === "method_declaration") {
+      const nameNode = member.childForFieldName("name");
+      const typeNode = member.childForFieldName("type");
+      if (nameNode && !(text(nameNode, source) in methods)) {
+        methods[text(nameNode, source)] = typeNode ? normalizeType(text(typeNode, source)) : null;
+      }
+    }
+  });
+
+  return { fields, methods };
+}
+
+// -------------------------------------------------------------
+// Resolution
+// -------------------------------------------------------------
+// Declaration a simple type name refers to from a file: same file, explicit
+// import, same package, wildcard import, then a repo-wide unique name.
+// Returns { decl } for repo types, { external: fqcn } for imported library types
+function resolveTypeName(typeName, file, typeIndex) {
+  if (!typeName) return null;
+  const context = typeIndex.files[file] || { package: null, imports: {}, wildcards: [] };
+  const candidates = typeIndex.types[typeName] || [];
+  const imported = context.imports[typeName];
+
+  const decl =
+    candidates.find((c) => c.file === file) ||
+    (imported && candidates.find((c) => c.fqcn === imported)) ||
+    candidates.find((c) => context.package && c.fqcn === `${context.package}.${typeName}`) ||
+    candidates.find((c) => context.wildcards.some((w) => c.fqcn === `${w}.${typeName}`)) ||
+    (!imported && candidates.length === 1 ? candidates[0] : null);
+
+  if (decl) return { decl };
+  if (imported) return { external: imported };
+  return null;
+}
+
+// Walks the declared type, then its superclass and interfaces, to the type declaring the member
+function findMember(decl, name, kind, typeIndex, seen = new Set()) {
+  if (!decl || seen.has(decl)) return null;
+  seen.add(decl);
+  if (name in decl[kind]) return decl;
+
+  for (const parent of [decl.extends, ...decl.implements].filter(Boolean)) {
+    const resolved = resolveTypeName(parent, decl.file, typeIndex);
+    const found = resolved && resolved.decl && findMember(resolved.decl, name, kind, typeIndex, seen);
+    if (found) return found;
+  }
+  return null;
+}
+
+// List<Order> -> List, Order[] -> Order, com.acme.Order -> Order, @NonNull Order -> Order
+function normalizeType(typeText) {
+  const withoutAnnotations = typeText.replace(/@[\w.]+(\([^)]*\))?\s*/g, "");
+  const genericStart = withoutAnnotations.indexOf("<");
+  const base = (genericStart >= 0 ? withoutAnnotations.slice(0, genericStart) : withoutAnnotations)
+    .replace(/\[\s*\]/g, "")
+    .replace(/\.\.\.$/, "")
+    .trim();
+  return base.split(".").pop();
+}
+
+function text(node, source) {
+  return source.slice(node.startIndex, node.endIndex);
+}
+
+module.exports = {
+  buildJavaTypeIndex,
+  resolveTypeName,
+  findMember,
+  normalizeType
+};
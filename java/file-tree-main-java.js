@@ -4,6 +4,8 @@ const path = require("path");
 const fs = require("fs");
 const glob = require("glob");
 const os = require("os");
+const { linkRouteHandlers } = require("../route-metadata");
+const { buildJavaTypeIndex } = require("./extract-types-java");
 
 // ---------- class index ----------
 function buildJavaClassIndex(repoPath) {
@@ -36,6 +38,8 @@ const javaFiles = glob.sync(`${repoPath}/**/*.java`, {
 });
 
 const classIndex = buildJavaClassIndex(repoPath);
+// Declared types, fields and method return types for type-aware call resolution
+const typeIndex = buildJavaTypeIndex(javaFiles, repoPath);
 
 const cpuCount = Math.max(1, os.cpus().length - 1);
 const chunkSize = Math.ceil(javaFiles.length / cpuCount);
@@ -52,7 +56,8 @@ for (let i = 0; i < javaFiles.length; i += chunkSize) {
       workerData: {
         repoPath,
         files: chunk,
-        classIndex
+        classIndex,
+        typeIndex
       }
     }
   );
@@ -61,6 +66,7 @@ for (let i = 0; i < javaFiles.length; i += chunkSize) {
     results.push(...data);
     done++;
     if (done === Math.ceil(javaFiles.length / chunkSize)) {
+      linkRouteHandlers(results);
       fs.mkdirSync(path.dirname(outputPath), { recursive: true });
       fs.writeFileSync(outputPath, JSON.stringify(results, null, 2));
       console.log("✅ Java analysis written to", outputPath);
@@ -8,22 +8,27 @@ const fs = require("fs");
 const path = require("path");
 const { extractFunctionsAndCalls, extractImports } = require("./extract-functions-java");
 const { extractClasses } = require("./extract-classes-java");
+const { extractRoutes } = require("./extract-routes-java");
 
-const { repoPath, files, classIndex } = workerData;
+const { repoPath, files, classIndex, typeIndex } = workerData;
 
 // ---------- analyze file using extraction modules ----------
 function analyzeFile(filePath) {
     try {
         const imports = extractImports(filePath, classIndex);
-        const functions = extractFunctionsAndCalls(filePath, repoPath, classIndex);
+        const functions = extractFunctionsAndCalls(filePath, repoPath, classIndex, typeIndex);
         const classes = extractClasses(filePath, repoPath);
+        const relativePath = path.relative(repoPath, filePath);
+        // Spring / JAX-RS handlers are methods of the annotated class in this file
+        const routes = extractRoutes(filePath).map((route) => ({ ...route, handlerPath: relativePath }));
 
         return {
-            path: path.relative(repoPath, filePath),
+            path: relativePath,
             importFiles: imports.importFiles,
             externalImports: imports.externalImports,
             functions,
-            classes
+            classes,
+            routes
         };
     } catch (error) {
         console.error(`Error analyzing ${filePath}:`, error.message);
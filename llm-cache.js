@@ -0,0 +1,92 @@
+/**
+ * LLM Response Cache
+ * Stores LLM answers on disk keyed by source content hash, node span, prompt version and model,
+ * so re-running the description and metadata steps only pays for code that changed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_CACHE_DIRNAME = ".llm-cache";
+
+function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+class LLMCache {
+  /**
+   * cacheDir  directory holding the cache entries (created on first write)
+   * enabled   when false, every lookup misses and nothing is written
+   */
+  constructor(cacheDir, { enabled = true } = {}) {
+    this.cacheDir = cacheDir;
+    this.enabled = enabled;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  // parts: { step, contentHash, span, promptVersion, provider, model, inputHash? }
+  // inputHash covers mapper data the prompt is built from besides the source
+  key(parts) {
+    return hashContent(JSON.stringify([
+      parts.step,
+      parts.contentHash,
+      parts.span,
+      parts.promptVersion,
+      parts.provider,
+      parts.model,
+      ...(parts.inputHash ? [parts.inputHash] : []),
+    ]));
+  }
+
+  entryPath(key) {
+    return path.join(this.cacheDir, key.slice(0, 2), `${key}.json`);
+  }
+
+  get(parts) {
+    if (!this.enabled || !parts.contentHash) return null;
+
+    const entryPath = this.entryPath(this.key(parts));
+    try {
+      const entry = JSON.parse(fs.readFileSync(entryPath, "utf8"));
+      this.hits++;
+      return entry.value;
+    } catch (error) {
+      // Missing or unreadable entries are treated as misses
+      this.misses++;
+      return null;
+    }
+  }
+
+  set(parts, value) {
+    if (!this.enabled || !parts.contentHash) return;
+
+    const entryPath = this.entryPath(this.key(parts));
+    const entry = { ...parts, createdAt: new Date().toISOString(), value };
+    try {
+      fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+      // Write then rename so concurrent runs never read a half-written entry
+      const tmpPath = `${entryPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(entry));
+      fs.renameSync(tmpPath, entryPath);
+    } catch (error) {
+      console.warn(`⚠️  Could not write cache entry: ${error.message}`);
+    }
+  }
+}
+
+// Cache next to the ontology JSON unless --cache-dir is given
+function createCache(config, jsonFile) {
+  const cacheDir = config.cacheDir
+    ? path.resolve(config.cacheDir)
+    : path.join(path.dirname(jsonFile), DEFAULT_CACHE_DIRNAME);
+  return new LLMCache(cacheDir, { enabled: config.cache !== false });
+}
+
+module.exports = {
+  LLMCache,
+  createCache,
+  hashContent,
+  DEFAULT_CACHE_DIRNAME,
+};
@@ -0,0 +1,122 @@
+/**
+ * LLM Cost Estimation
+ * Token and cost estimates for --dry-run, so large runs can be budgeted before any API call is made.
+ * Token counts use the ~4 characters per token rule of thumb; prices are USD per 1M tokens.
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+// Matched by longest model-name prefix, so dated snapshots share their family's price
+const MODEL_PRICING = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "o3-mini": { input: 1.1, output: 4.4 },
+  "o4-mini": { input: 1.1, output: 4.4 },
+  "claude-3-5-haiku": { input: 0.8, output: 4 },
+  "claude-3-5-sonnet": { input: 3, output: 15 },
+  "claude-3-7-sonnet": { input: 3, output: 15 },
+  "claude-3-haiku": { input: 0.25, output: 1.25 },
+  "claude-sonnet-4": { input: 3, output: 15 },
+  "claude-opus-4": { input: 15, output: 75 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+  "gemini-1.5-flash": { input: 0.075, output: 0.3 },
+  "gemini-1.5-pro": { input: 1.25, output: 5 },
+};
+
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Price for a model as { input, output }; each override replaces the built-in
+ * price it names. A price that is still unknown is null.
+ * Self-hosted (custom) models are free unless prices are given explicitly.
+ */
+function getModelPricing(provider, model, overrides = {}) {
+  const prefix = Object.keys(MODEL_PRICING)
+    .filter((name) => (model || "").startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  const builtIn = prefix ? MODEL_PRICING[prefix] : provider === "custom" ? { input: 0, output: 0 } : {};
+
+  return {
+    input: overrides.input !== undefined ? overrides.input : builtIn.input ?? null,
+    output: overrides.output !== undefined ? overrides.output : builtIn.output ?? null,
+  };
+}
+
+// Flags still needed before a cost can be computed
+function missingPriceFlags(pricing) {
+  return [
+    ...(pricing.input === null ? ["--input-price"] : []),
+    ...(pricing.output === null ? ["--output-price"] : []),
+  ];
+}
+
+class CostEstimator {
+  /**
+   * config.provider / config.model   provider and model the run would use
+   * config.inputPrice / outputPrice  optional USD per 1M token overrides
+   */
+  constructor(config) {
+    this.provider = config.provider;
+    this.model = config.model;
+    this.pricing = getModelPricing(config.provider, config.model, {
+      input: config.inputPrice,
+      output: config.outputPrice,
+    });
+    this.requests = 0;
+    this.cached = 0;
+    this.inputTokens = 0;
+    this.outputTokens = 0;
+    this.maxOutputTokens = 0;
+  }
+
+  // expectedOutputTokens: typical answer size; maxTokens: the request's output cap
+  record(prompt, expectedOutputTokens, maxTokens) {
+    this.requests++;
+    this.inputTokens += estimateTokens(prompt);
+    this.outputTokens += Math.min(expectedOutputTokens, maxTokens);
+    this.maxOutputTokens += maxTokens;
+  }
+
+  recordCached() {
+    this.cached++;
+  }
+
+  cost(outputTokens = this.outputTokens) {
+    if (missingPriceFlags(this.pricing).length > 0) return null;
+    return (this.inputTokens * this.pricing.input + outputTokens * this.pricing.output) / 1e6;
+  }
+
+  report(title) {
+    const format = (n) => n.toLocaleString("en-US");
+    const missing = missingPriceFlags(this.pricing);
+    const money = (n) => (n === null ? `unknown (pass ${missing.join(" and ")})` : `$${n.toFixed(n < 1 ? 4 : 2)}`);
+
+    console.log(`\n📊 ${title} (dry run, no API calls made)`);
+    console.log(`   Provider / model: ${this.provider} / ${this.model}`);
+    console.log(`   Requests: ${format(this.requests)}`);
+    console.log(`   Answered from cache: ${format(this.cached)}`);
+    console.log(`   Input tokens: ~${format(this.inputTokens)}`);
+    console.log(`   Output tokens: ~${format(this.outputTokens)} (at most ${format(this.maxOutputTokens)})`);
+    if (missing.length === 0) {
+      console.log(`   Pricing: $${this.pricing.input} / $${this.pricing.output} per 1M input / output tokens`);
+    }
+    console.log(`   Estimated cost: ${money(this.cost())}`);
+    if (missing.length === 0) {
+      console.log(`   Worst case (every answer hits the output cap): ${money(this.cost(this.maxOutputTokens))}`);
+    }
+  }
+}
+
+module.exports = {
+  CostEstimator,
+  estimateTokens,
+  getModelPricing,
+  MODEL_PRICING,
+};
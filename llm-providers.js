@@ -0,0 +1,354 @@
+/**
+ * LLM Providers
+ * Shared provider layer for generate-file-descriptions.js and add-metadata.js.
+ * Each provider knows its endpoint, auth headers, request body and response shape;
+ * new providers are added once with registerProvider().
+ */
+
+const https = require("https");
+const http = require("http");
+
+// -------------------------------------------------------------
+// HTTP transport
+// -------------------------------------------------------------
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_TIMEOUT_MS = 120000;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+const MAX_RETRY_AFTER_MS = 600000;
+
+// Rate limits, timeouts and server-side failures are worth another attempt
+const RETRYABLE_STATUS_CODES = new Set([408, 409, 425, 429, 500, 502, 503, 504, 529]);
+const RETRYABLE_ERROR_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN", "ENOTFOUND"]);
+
+class HttpError extends Error {
+  constructor(statusCode, body, retryAfterMs) {
+    super(`HTTP ${statusCode}: ${body}`);
+    this.name = "HttpError";
+    this.statusCode = statusCode;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function makeRequest(url, headers, body, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  const parsedUrl = new URL(url);
+  const protocol = parsedUrl.protocol === "http:" ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const options = {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...headers,
+      },
+    };
+
+    const req = protocol.request(parsedUrl, options, (res) => {
+      let data = "";
+      res.on("data", (chunk) => (data += chunk));
+      res.on("end", () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          try {
+            resolve(JSON.parse(data));
+          } catch (e) {
+            reject(new Error(`Failed to parse response: ${e.message}`));
+          }
+        } else {
+          reject(new HttpError(res.statusCode, data, parseRetryAfter(res.headers["retry-after"])));
+        }
+      });
+      res.on("error", reject);
+    });
+
+    if (timeoutMs > 0) {
+      req.setTimeout(timeoutMs, () => {
+        const error = new Error(`Request timed out after ${timeoutMs}ms`);
+        error.code = "ETIMEDOUT";
+        req.destroy(error);
+      });
+    }
+
+    req.on("error", reject);
+    req.write(JSON.stringify(body));
+    req.end();
+  });
+}
+
+function isRetryable(error) {
+  if (error instanceof HttpError) return RETRYABLE_STATUS_CODES.has(error.statusCode);
+  return RETRYABLE_ERROR_CODES.has(error.code);
+}
+
+// Full-jitter exponential backoff, unless the server told us how long to wait
+function retryDelay(attempt, error) {
+  if (error.retryAfterMs !== undefined && error.retryAfterMs !== null) {
+    return Math.min(error.retryAfterMs, MAX_RETRY_AFTER_MS);
+  }
+  const ceiling = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+async function makeRequestWithRetry(url, headers, body, { maxRetries = DEFAULT_MAX_RETRIES, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await makeRequest(url, headers, body, timeoutMs);
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryable(error)) throw error;
+
+      const delay = retryDelay(attempt, error);
+      const reason = error instanceof HttpError ? `HTTP ${error.statusCode}` : error.code;
+      console.warn(`⏳ ${reason}, retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1}/${maxRetries})`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Strip markdown code fences some models wrap around JSON
+function parseJsonContent(content) {
+  if (typeof content !== "string") {
+    throw new Error("Empty response from LLM");
+  }
+  const jsonContent = content.trim().replace(/```json\n?/g, "").replace(/```\n?/g, "");
+  return JSON.parse(jsonContent);
+}
+
+// -------------------------------------------------------------
+// Provider base class
+// -------------------------------------------------------------
+class LLMProvider {
+  constructor(config) {
+    this.config = config;
+  }
+
+  // Returns { url, headers, body } for a single prompt
+  buildRequest(prompt, options) {
+    throw new Error("buildRequest must be implemented by subclass");
+  }
+
+  // Returns the text content of a provider response
+  parseResponse(response) {
+    throw new Error("parseResponse must be implemented by subclass");
+  }
+
+  async complete(prompt, options = {}) {
+    const { url, headers, body } = this.buildRequest(prompt, {
+      temperature: 0.3,
+      maxTokens: 2000,
+      ...options,
+    });
+    const response = await makeRequestWithRetry(url, headers, body, {
+      maxRetries: this.config.maxRetries ?? DEFAULT_MAX_RETRIES,
+      timeoutMs: this.config.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+    });
+    return this.parseResponse(response);
+  }
+
+  async completeJson(prompt, options = {}) {
+    const content = await this.complete(prompt, options);
+    return parseJsonContent(content);
+  }
+}
+
+class OpenAIProvider extends LLMProvider {
+  buildRequest(prompt, { temperature, maxTokens }) {
+    return {
+      url: this.config.apiUrl || "https://api.openai.com/v1/chat/completions",
+      headers: {
+        Authorization: `Bearer ${this.config.apiKey}`,
+      },
+      body: {
+        model: this.config.model,
+        messages: [{ role: "user", content: prompt }],
+        temperature,
+        max_tokens: maxTokens,
+        response_format: { type: "json_object" },
+      },
+    };
+  }
+
+  parseResponse(response) {
+    return response.choices?.[0]?.message?.content;
+  }
+}
+
+class ClaudeProvider extends LLMProvider {
+  buildRequest(prompt, { temperature, maxTokens }) {
+    return {
+      url: this.config.apiUrl || "https://api.anthropic.com/v1/messages",
+      headers: {
+        "x-api-key": this.config.apiKey,
+        "anthropic-version": "2023-06-01",
+      },
+      body: {
+        model: this.config.model,
+        max_tokens: maxTokens,
+        messages: [{ role: "user", content: prompt }],
+        temperature,
+      },
+    };
+  }
+
+  parseResponse(response) {
+    return response.content?.[0]?.text;
+  }
+}
+
+class GeminiProvider extends LLMProvider {
+  buildRequest(prompt, { temperature, maxTokens }) {
+    const url = new URL(
+      this.config.apiUrl ||
+        `https://generativelanguage.googleapis.com/v1beta/models/${this.config.model}:generateContent`
+    );
+    url.searchParams.set("key", this.config.apiKey);
+
+    return {
+      url: url.toString(),
+      headers: {},
+      body: {
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: {
+          temperature,
+          maxOutputTokens: maxTokens,
+          responseMimeType: "application/json",
+        },
+      },
+    };
+  }
+
+  parseResponse(response) {
+    return response.candidates?.[0]?.content?.parts?.[0]?.text;
+  }
+}
+
+// OpenAI-compatible endpoints such as Ollama, vLLM or LM Studio
+class CustomProvider extends LLMProvider {
+  buildRequest(prompt, { temperature, maxTokens }) {
+    return {
+      url: this.config.apiUrl,
+      headers: this.config.apiKey ? { Authorization: `Bearer ${this.config.apiKey}` } : {},
+      body: {
+        model: this.config.model,
+        messages: [{ role: "user", content: prompt }],
+        temperature,
+        max_tokens: maxTokens,
+        format: "json",
+      },
+    };
+  }
+
+  parseResponse(response) {
+    // Handle both OpenAI-style and simpler custom response formats
+    if (response.choices && response.choices[0]) {
+      return response.choices[0].message.content;
+    }
+    if (typeof response.content === "string") {
+      return response.content;
+    }
+    if (typeof response.text === "string") {
+      return response.text;
+    }
+    throw new Error("Unexpected response format from custom API");
+  }
+}
+
+// -------------------------------------------------------------
+// Provider registry
+// -------------------------------------------------------------
+const registry = new Map();
+
+/**
+ * Register a provider under a name usable with --provider.
+ * options.defaultModel    model used when --model is omitted
+ * options.requiresApiKey  whether --api-key must be given (default: true)
+ * options.defaultApiUrl   endpoint used when --api-url is omitted
+ */
+function registerProvider(name, ProviderClass, options = {}) {
+  registry.set(name.toLowerCase(), {
+    ProviderClass,
+    defaultModel: options.defaultModel || null,
+    requiresApiKey: options.requiresApiKey !== false,
+    defaultApiUrl: options.defaultApiUrl || null,
+  });
+}
+
+registerProvider("openai", OpenAIProvider, { defaultModel: "gpt-4o-mini" });
+registerProvider("claude", ClaudeProvider, { defaultModel: "claude-3-5-sonnet-20241022" });
+registerProvider("gemini", GeminiProvider, { defaultModel: "gemini-2.5-flash" });
+registerProvider("custom", CustomProvider, {
+  defaultModel: "llama3.2",
+  requiresApiKey: false,
+  defaultApiUrl: "http://localhost:11434/v1/chat/completions",
+});
+
+function getProviderNames() {
+  return [...registry.keys()];
+}
+
+function getProviderInfo(name) {
+  const entry = registry.get((name || "").toLowerCase());
+  if (!entry) {
+    throw new Error(`Unknown provider: ${name}. Available: ${getProviderNames().join(", ")}`);
+  }
+  return entry;
+}
+
+// Fill in the default model and API URL for a provider config
+function resolveProviderConfig(config) {
+  const info = getProviderInfo(config.provider);
+  return {
+    ...config,
+    provider: config.provider.toLowerCase(),
+    model: config.model || info.defaultModel,
+    apiUrl: config.apiUrl || info.defaultApiUrl,
+  };
+}
+
+// Returns an error message when the config is missing required settings.
+// requireApiKey: false skips the key check for runs that never call the API (--dry-run).
+function validateProviderConfig(config, { requireApiKey = true } = {}) {
+  let info;
+  try {
+    info = getProviderInfo(config.provider);
+  } catch (error) {
+    return error.message;
+  }
+
+  if (requireApiKey && info.requiresApiKey && !config.apiKey) {
+    return `--api-key is required for provider "${config.provider}"`;
+  }
+  if (!config.model && !info.defaultModel) {
+    return `--model is required for provider "${config.provider}"`;
+  }
+  return null;
+}
+
+function createProvider(config) {
+  const resolved = resolveProviderConfig(config);
+  const { ProviderClass } = getProviderInfo(resolved.provider);
+  return new ProviderClass(resolved);
+}
+
+module.exports = {
+  LLMProvider,
+  registerProvider,
+  createProvider,
+  resolveProviderConfig,
+  validateProviderConfig,
+  getProviderInfo,
+  getProviderNames,
+  parseJsonContent,
+  makeRequest,
+  makeRequestWithRetry,
+  HttpError,
+  DEFAULT_MAX_RETRIES,
+  DEFAULT_TIMEOUT_MS,
+};
@@ -0,0 +1,54 @@
+/**
+ * Metadata schema definitions
+ * Roles grouped by layer, each with the metadata fields the LLM may fill in.
+ * Shared by add-metadata.js and the RDF exporter.
+ */
+
+const METADATA_SCHEMA = {
+  backend: {
+    Service: ["domain", "responsibility", "usedBy", "stateless"],
+    Controller: ["framework", "basePath", "routes", "authRequired", "version"],
+    Repository: ["entity", "dbType", "operations", "transactional"],
+    DTO: ["fields", "usedIn", "validationRules"],
+    Entity: ["tableName", "fields", "primaryKey", "relations"],
+    API: ["httpMethod", "path", "requestDTO", "responseDTO", "statusCodes"]
+  },
+  frontend: {
+    Component: ["props", "stateUsed", "children", "hooksUsed"],
+    Page: ["route", "layout", "seo", "protected"],
+    Hook: ["returns", "sideEffects", "dependencies"],
+    Store: ["storeType", "stateShape", "actions", "persistence"],
+    EventEmitter: ["eventType", "target", "sideEffects"]
+  },
+  crossCutting: {
+    Utility: ["pure", "category", "reusedBy"],
+    Constants: ["values", "scope"],
+    Types: ["typeKind", "usedBy"],
+    Error: ["errorCode", "httpStatus", "recoverable"],
+    Test: ["testType", "covers", "mockedDependencies"]
+  }
+};
+
+// Framework annotations (Java) and attributes (C#) that decide a class's role
+// without asking the LLM. Spring's generic @Component has no matching role
+// and is left to the LLM.
+const ANNOTATION_ROLES = {
+  RestController: "Controller",
+  ApiController: "Controller",
+  Controller: "Controller",
+  Path: "Controller", // JAX-RS resource
+  Service: "Service",
+  Repository: "Repository",
+  Entity: "Entity"
+};
+
+// Flat list of every role name across all layers
+function getAllRoles() {
+  return Object.values(METADATA_SCHEMA).flatMap((roles) => Object.keys(roles));
+}
+
+module.exports = {
+  METADATA_SCHEMA,
+  ANNOTATION_ROLES,
+  getAllRoles,
+};
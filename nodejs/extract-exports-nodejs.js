@@ -0,0 +1,286 @@
+const Parser = require("tree-sitter");
+const JavaScript = require("tree-sitter-javascript");
+const fs = require("fs");
+
+// Declaration node types and the kind recorded for their exports
+const DECLARATION_KINDS = {
+  function_declaration: "function",
+  generator_function_declaration: "function",
+  function_signature: "function",
+  class_declaration: "class",
+  abstract_class_declaration: "class",
+  interface_declaration: "interface",
+  type_alias_declaration: "type",
+  enum_declaration: "enum",
+  internal_module: "namespace",
+  lexical_declaration: "variable",
+  variable_declaration: "variable"
+};
+
+// -------------------------------------------------------------
+// Export extraction
+// What a module exports, one entry per exported name:
+//   export function foo() {}           -> { name: "foo", kind: "function" }
+//   export { a as b }                  -> { name: "b", kind: "named", local: "a" }
+//   export default Foo                 -> { name: "default", kind: "default", local: "Foo" }
+//   export { a as b } from "./x"       -> { name: "b", kind: "reexport", imported: "a", source: "./x" }
+//   export * from "./x"                -> { name: "*", kind: "reexport", source: "./x" }
+//   export * as ns from "./x"          -> { name: "ns", kind: "reexport", imported: "*", source: "./x" }
+//   module.exports = { a, b: c }       -> { name: "a", kind: "commonjs" }, { name: "b", kind: "commonjs", local: "c" }
+//   module.exports = Foo / export = Foo -> { name: "default", kind: "commonjs", local: "Foo" }
+//   module.exports = require("./x")    -> { name: "*", kind: "reexport", source: "./x" }
+//   exports.foo = bar                  -> { name: "foo", kind: "commonjs", local: "bar" }
+// The mapper resolves re-export sources and resolveExports() follows them
+// to the declaring file.
+// -------------------------------------------------------------
+function extractExports(filePath, language = JavaScript) {
+  try {
+    const source = fs.readFileSync(filePath, "utf8");
+    const parser = new Parser();
+    parser.setLanguage(language);
+    const tree = parser.parse(source);
+    return extractExportsFromTree(tree.rootNode, source);
+  } catch (error) {
+    console.error(`Error extracting exports from ${filePath}:`, error);
+    return [];
+  }
+}
+
+function extractExportsFromTree(rootNode, source) {
+  const text = (node) => source.slice(node.startIndex, node.endIndex);
+  const unquote = (node) => text(node).replace(/^['"`]|['"`]$/g, "");
+  const exports = [];
+  const add = (entry, node) => exports.push({ ...entry, line: node.startPosition.row + 1 });
+
+  rootNode.namedChildren.forEach((node) => {
+    if (node.type === "export_statement") {
+      extractExportStatement(node, text, unquote, add);
+    } else if (node.type === "expression_statement") {
+      const expression = node.namedChild(0);
+      if (expression && expression.type === "assignment_expression") {
+        extractCommonJsExport(expression, node, text, unquote, add);
+      }
+    }
+  });
+
+  return exports;
+}
+
+function extractExportStatement(node, text, unquote, add) {
+  const sourceNode = node.childForFieldName("source");
+  const source = sourceNode ? unquote(sourceNode) : null;
+  const isDefault = node.children.some((child) => child.type === "default");
+
+  const clause = node.namedChildren.find((child) => child.type === "export_clause");
+  if (clause) {
+    clause.namedChildren
+      .filter((spec) => spec.type === "export_specifier")
+      .forEach((spec) => {
+        const nameNode = spec.childForFieldName("name");
+        const aliasNode = spec.childForFieldName("alias");
+        if (!nameNode) return;
+        const local = unquote(nameNode);
+        const name = aliasNode ? unquote(aliasNode) : local;
+        if (source) {
+          add({ name, kind: "reexport", imported: local, source }, spec);
+        } else {
+          add({ name, kind: "named", ...(local !== name && { local }) }, spec);
+        }
+      });
+    return;
+  }
+
+  const namespaceExport = node.namedChildren.find((child) => child.type === "namespace_export");
+  if (source) {
+    // export * from "./x" and export * as ns from "./x"
+    const nsName = namespaceExport && namespaceExport.namedChild(0);
+    add(nsName ? { name: text(nsName), kind: "reexport", imported: "*", source } : { name: "*", kind: "reexport", source }, node);
+    return;
+  }
+
+  const declaration = node.childForFieldName("declaration");
+  if (declaration) {
+    const kind = DECLARATION_KINDS[declaration.type] || "variable";
+    declaredNames(declaration, text).forEach((name) => {
+      add(isDefault ? { name: "default", kind: "default", local: name } : { name, kind }, declaration);
+    });
+    return;
+  }
+
+  // export default foo / export default () => {} / TypeScript export = foo
+  const value = node.childForFieldName("value") ||
+    (node.children.some((child) => child.type === "=") ? node.namedChildren[node.namedChildren.length - 1] : null);
+  if (isDefault || value) {
+    const local = value ? expressionName(value, text) : null;
+    const isExportAssignment = !isDefault;
+    add({ name: "default", kind: isExportAssignment ? "commonjs" : "default", ...(local && { local }) }, node);
+  }
+}
+
+// module.exports = ..., module.exports.foo = ..., exports.foo = ...
+function extractCommonJsExport(assignment, statement, text, unquote, add) {
+  const left = assignment.childForFieldName("left");
+  const right = assignment.childForFieldName("right");
+  if (!left || !right || left.type !== "member_expression") return;
+
+  const leftText = text(left);
+  if (leftText === "module.exports") {
+    const required = requiredSource(right, text, unquote);
+    if (required) {
+      add({ name: "*", kind: "reexport", source: required }, statement);
+    } else if (right.type === "object") {
+      right.namedChildren.forEach((prop) => {
+        if (prop.type === "shorthand_property_identifier") {
+          add({ name: text(prop), kind: "commonjs" }, prop);
+        } else if (prop.type === "pair") {
+          const key = prop.childForFieldName("key");
+          const value = prop.childForFieldName("value");
+          if (!key) return;
+          const name = unquote(key);
+          const local = value ? expressionName(value, text) : null;
+          add({ name, kind: "commonjs", ...(local && local !== name && { local }) }, prop);
+        } else if (prop.type === "method_definition") {
+          const key = prop.childForFieldName("name");
+          if (key) add({ name: text(key), kind: "commonjs" }, prop);
+        }
+      });
+    } else {
+      const local = expressionName(right, text);
+      add({ name: "default", kind: "commonjs", ...(local && { local }) }, statement);
+    }
+    return;
+  }
+
+  const match = leftText.match(/^(?:module\.)?exports\.([A-Za-z_$][\w$]*)$/);
+  if (match) {
+    const local = expressionName(right, text);
+    add({ name: match[1], kind: "commonjs", ...(local && local !== match[1] && { local }) }, statement);
+  }
+}
+
+// Names a declaration introduces: export const a = 1, b = 2 -> ["a", "b"]
+function declaredNames(declaration, text) {
+  if (declaration.type === "lexical_declaration" || declaration.type === "variable_declaration") {
+    return declaration.namedChildren
+      .filter((d) => d.type === "variable_declarator")
+      .map((d) => d.childForFieldName("name"))
+      .filter((n) => n && n.type === "identifier")
+      .map(text);
+  }
+  const nameNode = declaration.childForFieldName("name");
+  return nameNode ? [text(nameNode)] : [];
+}
+
+// The local name an exported expression refers to: Foo, class Foo {}, function foo() {}
+function expressionName(node, text) {
+  if (node.type === "identifier") return text(node);
+  const nameNode = ["class", "function", "function_expression", "class_declaration", "function_declaration"].includes(node.type)
+    ? node.childForFieldName("name")
+    : null;
+  return nameNode ? text(nameNode) : null;
+}
+
+function requiredSource(node, text, unquote) {
+  if (node.type !== "call_expression") return null;
+  const fn = node.childForFieldName("function");
+  const args = node.childForFieldName("arguments");
+  const first = args && args.namedChild(0);
+  return fn && text(fn) === "require" && first && first.type === "string" ? unquote(first) : null;
+}
+
+// -------------------------------------------------------------
+// Re-export resolution
+// Runs once every file is analyzed. Each entry's re-exports need a
+// `from` (repo-relative path of the source, null for packages), set by
+// the mapper. `export *` is expanded into the names it brings in, every
+// re-export gets declaredIn/declaredAs for the declaration it ends at,
+// and calls into a barrel are pointed at the declaring file.
+// -------------------------------------------------------------
+function resolveExports(results) {
+  const byPath = new Map(results.filter((entry) => entry.exports).map((entry) => [entry.path, entry]));
+
+  // { path, name } of the declaration `name` refers to when imported from filePath
+  const resolveExport = (filePath, name, seen = new Set()) => {
+    const key = `${filePath}#${name}`;
+    const entry = byPath.get(filePath);
+    if (!entry || seen.has(key)) return null;
+    seen.add(key);
+
+    const exported = entry.exports.find((e) => e.name === name && e.name !== "*");
+    if (exported) {
+      if (exported.kind !== "reexport") return { path: filePath, name: exported.local || name };
+      if (!exported.from) return null;
+      return exported.imported === "*"
+        ? { path: exported.from, name: "*" }
+        : resolveExport(exported.from, exported.imported, seen);
+    }
+
+    // export * never re-exports default
+    if (name === "default") return null;
+    for (const star of entry.exports.filter((e) => e.name === "*" && e.from)) {
+      const found = resolveExport(star.from, name, seen);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  // Names reachable through export * chains, without default
+  const starNames = (filePath, seen = new Set()) => {
+    const entry = byPath.get(filePath);
+    if (!entry || seen.has(filePath)) return [];
+    seen.add(filePath);
+    return entry.exports.flatMap((e) =>
+      e.name === "*" ? (e.from ? starNames(e.from, seen) : []) : e.name === "default" ? [] : [e.name]
+    );
+  };
+
+  results.forEach((entry) => {
+    if (!entry.exports) return;
+    const explicit = new Set(entry.exports.filter((e) => e.name !== "*").map((e) => e.name));
+    const expanded = [];
+
+    entry.exports.forEach((e) => {
+      if (e.name === "*" && e.from && byPath.has(e.from)) {
+        [...new Set(starNames(e.from))]
+          .filter((name) => !explicit.has(name))
+          .forEach((name) => {
+            explicit.add(name);
+            expanded.push({ name, kind: "reexport", imported: name, source: e.source, from: e.from, line: e.line });
+          });
+      } else {
+        expanded.push(e);
+      }
+    });
+
+    expanded
+      .filter((e) => e.kind === "reexport" && e.from && e.name !== "*")
+      .forEach((e) => {
+        const target = e.imported === "*" ? { path: e.from, name: "*" } : resolveExport(e.from, e.imported);
+        if (target) {
+          e.declaredIn = target.path;
+          e.declaredAs = target.name;
+        }
+      });
+
+    entry.exports = expanded;
+  });
+
+  // Calls resolved to a module point at the file declaring the called name;
+  // calls the type checker resolved (symbol set) are already exact
+  results.forEach((entry) => {
+    (entry.functions || []).forEach((func) => {
+      (func.calls || []).forEach((call) => {
+        const importedName = call.importedName;
+        delete call.importedName;
+        if (call.symbol || !call.path || !byPath.has(call.path)) return;
+
+        const target = resolveExport(call.path, importedName || call.name);
+        if (!target || target.name === "*") return;
+        call.path = target.path;
+        if (target.name !== call.name) call.symbol = target.name;
+      });
+    });
+  });
+}
+
+module.exports = { extractExports, resolveExports };
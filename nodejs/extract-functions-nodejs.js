@@ -102,7 +102,15 @@ function extractFunctionParams(node) {
     // Ignore inline callback / function parameters
     if (containsFunction(child)) continue;
 
-    params.push(extractParamName(child));
+    // Same shape as the typed languages; JavaScript never declares a type
+    const name = extractParamName(child);
+    const defaultValue = child.type === "assignment_pattern" ? child.childForFieldName("right") : null;
+    params.push({
+      name,
+      type: null,
+      optional: defaultValue !== null || name.startsWith("..."),
+      default: defaultValue ? defaultValue.text : null
+    });
   }
 
   return params;
@@ -274,6 +282,8 @@ function extractImports(filePath) {
       if (sourceNode) {
         const importSource = sourceNode.text.replace(/['"]/g, "");
         const importedNames = [];
+        // Local names bound to a differently named export: { fmt: "formatName", Api: "default" }
+        const aliases = {};
 
         // Get imported identifiers
         const importClause = node.namedChildren.find(n =>
@@ -286,13 +296,15 @@ function extractImports(filePath) {
               const name = n.childForFieldName("name");
               const alias = n.childForFieldName("alias");
               importedNames.push(alias ? alias.text : (name ? name.text : null));
+              if (alias && name) aliases[alias.text] = name.text;
             } else if (n.type === "identifier" && n.parent.type === "import_clause") {
               importedNames.push(n.text); // default import
+              aliases[n.text] = "default";
             }
           });
         }
 
-        imports.push({ source: importSource, imported: importedNames });
+        imports.push({ source: importSource, imported: importedNames, aliases });
       }
     }
 
@@ -308,6 +320,7 @@ function extractImports(filePath) {
             if (firstArg && firstArg.type === "string") {
               const importSource = firstArg.text.replace(/['"]/g, "");
               const importedNames = [];
+              const aliases = {};
 
               const name = node.childForFieldName("name");
               if (name) {
@@ -319,16 +332,18 @@ function extractImports(filePath) {
                     if (n.type === "shorthand_property_identifier_pattern") {
                       importedNames.push(n.text);
                     } else if (n.type === "pair_pattern") {
+                      const key = n.childForFieldName("key");
                       const value = n.childForFieldName("value");
                       if (value && value.type === "identifier") {
                         importedNames.push(value.text);
+                        if (key) aliases[value.text] = key.text;
                       }
                     }
                   });
                 }
               }
 
-              imports.push({ source: importSource, imported: importedNames });
+              imports.push({ source: importSource, imported: importedNames, aliases });
             }
           }
         }
@@ -372,6 +387,7 @@ function extractFuncitonAndItsCalls(filePath, repoPath) {
 
 
       const functionMap = new Map();
+      const importAliases = new Map();
       functions.forEach(func => {
         functionMap.set(func.name, func.path)
       })
@@ -379,12 +395,15 @@ function extractFuncitonAndItsCalls(filePath, repoPath) {
         imp.imported?.forEach(imported => {
           const resolvedPath = resolveImportPath(imp.source, filePath, repoPath)
           functionMap.set(imported, resolvedPath || imp.source)
+          if (imp.aliases?.[imported]) importAliases.set(imported, imp.aliases[imported])
         })
       })
       functions.forEach(func => {
         func.calls.forEach(call => {
           const path = functionMap.get(call.name) || functionMap.get(call.objectName);
           if(path) call.path = path;
+          // Exported name behind an import alias, for following barrel re-exports (removed by resolveExports)
+          if (path && importAliases.has(call.name)) call.importedName = importAliases.get(call.name);
           delete call.objectName;
           delete call.type;
         })
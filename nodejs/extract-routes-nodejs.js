@@ -0,0 +1,649 @@
+const Parser = require("tree-sitter");
+const JavaScript = require("tree-sitter-javascript");
+const fs = require("fs");
+const { joinRoutePath, joinMountPath } = require("../route-metadata");
+
+const HTTP_METHODS = ["get", "post", "put", "delete", "patch", "head", "options", "all"];
+const NEST_DECORATORS = {
+  Get: "GET",
+  Post: "POST",
+  Put: "PUT",
+  Delete: "DELETE",
+  Patch: "PATCH",
+  Head: "HEAD",
+  Options: "OPTIONS",
+  All: "ALL"
+};
+
+// -------------------------------------------------------------
+// Route extraction
+// Express / Koa / Fastify calls (app.get('/users', handler),
+// router.route('/x').post(h), fastify.route({ method, url, handler }))
+// and NestJS @Controller + @Get/@Post/... decorators. Returns
+// { routes, mounts, globalPrefix }: routes carry the path local to their
+// router (routerVar), mounts are app.use / router.use / fastify.register
+// calls that the mapper resolves into full paths across files.
+// -------------------------------------------------------------
+function extractRoutes(filePath, language = JavaScript) {
+  try {
+    const source = fs.readFileSync(filePath, "utf8");
+    const parser = new Parser();
+    parser.setLanguage(language);
+    const tree = parser.parse(source);
+    return extractRoutesFromTree(tree.rootNode, source);
+  } catch (error) {
+    console.error(`Error extracting routes from ${filePath}:`, error);
+    return { routes: [], mounts: [], globalPrefix: null };
+  }
+}
+
+function extractRoutesFromTree(rootNode, source) {
+  const text = (node) => source.slice(node.startIndex, node.endIndex);
+  const bindings = collectBindings(rootNode, text);
+  const framework = detectFramework(bindings);
+  const routerPrefixes = collectRouterPrefixes(rootNode, text);
+  const plugins = collectPlugins(rootNode, text);
+  const routerFor = (node, routerVar) => pluginRouter(plugins, node, routerVar);
+  const routes = [];
+  const mounts = [];
+  let globalPrefix = null;
+
+  traverse(rootNode, (node) => {
+    if (node.type === "class_declaration" || node.type === "abstract_class_declaration") {
+      routes.push(...extractNestRoutes(node, text));
+      return;
+    }
+    if (node.type !== "call_expression") return;
+
+    const fn = node.childForFieldName("function");
+    const args = node.childForFieldName("arguments");
+    if (!fn || !args || fn.type !== "member_expression") return;
+
+    const objectNode = fn.childForFieldName("object");
+    const propertyNode = fn.childForFieldName("property");
+    if (!objectNode || !propertyNode) return;
+    const property = text(propertyNode);
+    const argNodes = args.namedChildren.filter((n) => n.type !== "comment");
+
+    // app.setGlobalPrefix('api') (NestJS bootstrap)
+    if (property === "setGlobalPrefix" && argNodes[0]) {
+      globalPrefix = stringValue(argNodes[0], text) ?? globalPrefix;
+      return;
+    }
+
+    // app.use('/api', router) / app.use(router.routes()) / fastify.register(plugin, { prefix })
+    if (property === "use" || property === "register") {
+      const mount = extractMount(property, objectNode, argNodes, text, bindings, plugins);
+      if (mount) mounts.push({ ...mount, routerVar: routerFor(node, mount.routerVar) });
+      return;
+    }
+
+    // fastify.route({ method: 'GET', url: '/x', handler })
+    if (property === "route" && argNodes.length === 1 && argNodes[0].type === "object") {
+      routes.push(...extractRouteObject(node, routerFor(node, text(objectNode)), argNodes[0], text, bindings, framework));
+      return;
+    }
+
+    if (!HTTP_METHODS.includes(property)) return;
+
+    // router.route('/x').get(h).post(h2)
+    const chain = routeChainBase(objectNode, text);
+    const routerVar = routerFor(node, chain ? chain.routerVar : text(objectNode));
+    let routePath = chain ? chain.path : null;
+    let handlerArgs = argNodes;
+
+    if (!chain) {
+      // Koa named routes: router.get('user', '/users/:id', handler)
+      let pathIndex = 0;
+      if (argNodes.length >= 3 && stringValue(argNodes[1], text)?.startsWith("/") && !isRoutePath(stringValue(argNodes[0], text))) {
+        pathIndex = 1;
+      }
+      routePath = stringValue(argNodes[pathIndex], text);
+      // app.get('etag') with a single argument reads a setting
+      if (!isRoutePath(routePath) || argNodes.length < pathIndex + 2) return;
+      handlerArgs = argNodes.slice(pathIndex + 1);
+    }
+
+    const prefix = routerPrefixes.get(routerVar) || "";
+    const handler = describeHandler(handlerArgs[handlerArgs.length - 1], text, bindings);
+
+    routes.push({
+      method: property.toUpperCase(),
+      path: joinMountPath(prefix, routePath),
+      ...handler,
+      middleware: handlerArgs.slice(0, -1).map((n) => describeHandler(n, text, bindings).handler).filter(Boolean),
+      framework: framework || "express",
+      routerVar,
+      line: node.startPosition.row + 1
+    });
+  });
+
+  return { routes, mounts, globalPrefix };
+}
+
+// Framework from the imported packages; Express is the default for app.get() style code
+function detectFramework(bindings) {
+  const sources = new Set([...bindings.values()].map((b) => b.source).filter(Boolean));
+  if ([...sources].some((s) => s.startsWith("@nestjs/"))) return "nestjs";
+  if (sources.has("fastify")) return "fastify";
+  if (sources.has("koa") || sources.has("@koa/router") || sources.has("koa-router")) return "koa";
+  if (sources.has("express")) return "express";
+  return null;
+}
+
+// -------------------------------------------------------------
+// Imported bindings
+// localName -> { source, member }; member is the exported name
+// ("default" for default imports, null for the whole module)
+// -------------------------------------------------------------
+function collectBindings(rootNode, text) {
+  const bindings = new Map();
+
+  traverse(rootNode, (node) => {
+    if (node.type === "import_statement") {
+      const sourceNode = node.childForFieldName("source");
+      if (!sourceNode) return;
+      const moduleName = stringValue(sourceNode, text);
+
+      traverse(node, (child) => {
+        if (child.type === "identifier" && child.parent.type === "import_clause") {
+          bindings.set(text(child), { source: moduleName, member: "default" });
+        } else if (child.type === "namespace_import") {
+          const id = child.namedChildren.find((n) => n.type === "identifier");
+          if (id) bindings.set(text(id), { source: moduleName, member: null });
+        } else if (child.type === "import_specifier") {
+          const name = child.childForFieldName("name");
+          const alias = child.childForFieldName("alias");
+          if (name) bindings.set(text(alias || name), { source: moduleName, member: text(name) });
+        }
+      });
+      return;
+    }
+
+    // const x = require('m'), const { a, b: c } = require('m'), const y = require('m').y
+    if (node.type === "variable_declarator") {
+      const nameNode = node.childForFieldName("name");
+      const valueNode = node.childForFieldName("value");
+      const required = valueNode && requiredModule(valueNode, text);
+      if (!nameNode || !required) return;
+
+      if (nameNode.type === "identifier") {
+        bindings.set(text(nameNode), required);
+      } else if (nameNode.type === "object_pattern") {
+        nameNode.namedChildren.forEach((prop) => {
+          if (prop.type === "shorthand_property_identifier_pattern") {
+            bindings.set(text(prop), { source: required.source, member: text(prop) });
+          } else if (prop.type === "pair_pattern") {
+            const key = prop.childForFieldName("key");
+            const value = prop.childForFieldName("value");
+            if (key && value && value.type === "identifier") {
+              bindings.set(text(value), { source: required.source, member: text(key) });
+            }
+          }
+        });
+      }
+    }
+  });
+
+  return bindings;
+}
+
+// require('m') -> { source: 'm', member: null }; require('m').x -> { source: 'm', member: 'x' }
+function requiredModule(node, text) {
+  if (node.type === "member_expression") {
+    const inner = requiredModule(node.childForFieldName("object"), text);
+    const property = node.childForFieldName("property");
+    return inner && property && inner.member === null ? { source: inner.source, member: text(property) } : null;
+  }
+  if (node.type !== "call_expression") return null;
+
+  const fn = node.childForFieldName("function");
+  const args = node.childForFieldName("arguments");
+  if (!fn || fn.type !== "identifier" || text(fn) !== "require" || !args) return null;
+  const moduleName = args.namedChildren[0] && stringValue(args.namedChildren[0], text);
+  return moduleName ? { source: moduleName, member: null } : null;
+}
+
+// Koa: const router = new Router({ prefix: '/users' }) and router.prefix('/users')
+function collectRouterPrefixes(rootNode, text) {
+  const prefixes = new Map();
+
+  traverse(rootNode, (node) => {
+    if (node.type === "variable_declarator") {
+      const nameNode = node.childForFieldName("name");
+      const valueNode = node.childForFieldName("value");
+      if (!nameNode || !valueNode || nameNode.type !== "identifier" || valueNode.type !== "new_expression") return;
+
+      const args = valueNode.childForFieldName("arguments");
+      const options = args && args.namedChildren.find((n) => n.type === "object");
+      const prefix = options && objectString(options, "prefix", text);
+      if (prefix) prefixes.set(text(nameNode), prefix);
+    }
+
+    if (node.type === "call_expression") {
+      const fn = node.childForFieldName("function");
+      const args = node.childForFieldName("arguments");
+      if (!fn || fn.type !== "member_expression" || !args) return;
+      const property = fn.childForFieldName("property");
+      if (!property || text(property) !== "prefix") return;
+
+      const prefix = args.namedChildren[0] && stringValue(args.namedChildren[0], text);
+      if (prefix) prefixes.set(text(fn.childForFieldName("object")), prefix);
+    }
+  });
+
+  return prefixes;
+}
+
+// -------------------------------------------------------------
+// Fastify plugins
+// register(plugin, { prefix }) applies to routes declared on the instance
+// the plugin receives, so inside a plugin function declared or registered
+// in this file, its first parameter stands for the plugin itself: routes
+// on it get the plugin's name (plugin@<line> for inline plugins) as routerVar.
+// -------------------------------------------------------------
+const FUNCTION_TYPES = ["function_declaration", "function_expression", "function", "arrow_function"];
+
+function collectPlugins(rootNode, text) {
+  const localFunctions = new Map();
+  const registered = [];
+
+  traverse(rootNode, (node) => {
+    if (node.type === "function_declaration") {
+      const nameNode = node.childForFieldName("name");
+      if (nameNode) localFunctions.set(text(nameNode), node);
+    } else if (node.type === "variable_declarator") {
+      const nameNode = node.childForFieldName("name");
+      const valueNode = node.childForFieldName("value");
+      if (nameNode && valueNode && FUNCTION_TYPES.includes(valueNode.type)) localFunctions.set(text(nameNode), valueNode);
+    } else if (node.type === "call_expression") {
+      const fn = node.childForFieldName("function");
+      const args = node.childForFieldName("arguments");
+      const property = fn && fn.type === "member_expression" ? fn.childForFieldName("property") : null;
+      const first = args && args.namedChildren.find((n) => n.type !== "comment");
+      if (property && text(property) === "register" && first) registered.push(first);
+    }
+  });
+
+  return registered
+    .map((target) => {
+      if (target.type === "identifier") {
+        const fn = localFunctions.get(text(target));
+        return fn ? { fn, name: text(target) } : null;
+      }
+      return FUNCTION_TYPES.includes(target.type) ? { fn: target, name: `plugin@${target.startPosition.row + 1}` } : null;
+    })
+    .filter(Boolean)
+    .map(({ fn, name }) => {
+      const params = fn.childForFieldName("parameters");
+      const first = fn.childForFieldName("parameter") || (params && params.namedChildren[0]);
+      // TypeScript wraps typed parameters: (instance: FastifyInstance)
+      const id = first && (first.type === "identifier" ? first : first.childForFieldName("pattern"));
+      return id && id.type === "identifier"
+        ? { name, param: text(id), startIndex: fn.startIndex, endIndex: fn.endIndex }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+// The innermost plugin around node whose instance parameter is routerVar
+function pluginRouter(plugins, node, routerVar) {
+  const plugin = plugins
+    .filter((p) => p.param === routerVar && node.startIndex >= p.startIndex && node.endIndex <= p.endIndex)
+    .sort((a, b) => (a.endIndex - a.startIndex) - (b.endIndex - b.startIndex))[0];
+  return plugin ? plugin.name : routerVar;
+}
+
+// -------------------------------------------------------------
+// Handlers and mounts
+// -------------------------------------------------------------
+// { handler, handlerSource, handlerLine }: handlerSource is the import
+// specifier when the handler lives in another module, handlerLine is set
+// for inline functions so they can be matched to their function entry
+function describeHandler(node, text, bindings) {
+  if (!node) return { handler: null, handlerSource: null };
+
+  // [auth, handler] arrays and wrappers such as asyncHandler(controller.list)
+  if (node.type === "array") {
+    return describeHandler(node.namedChildren[node.namedChildren.length - 1], text, bindings);
+  }
+  if (node.type === "call_expression") {
+    const args = node.childForFieldName("arguments");
+    const inner = args && args.namedChildren.find((n) => isHandlerNode(n));
+    return inner ? describeHandler(inner, text, bindings) : { handler: null, handlerSource: null };
+  }
+
+  if (node.type === "identifier" || node.type === "shorthand_property_identifier") {
+    const binding = bindings.get(text(node));
+    if (binding) {
+      const member = binding.member && binding.member !== "default" ? binding.member : text(node);
+      return { handler: member, handlerSource: binding.source };
+    }
+    return { handler: text(node), handlerSource: null };
+  }
+
+  // usersController.list, this.service.find, UsersController.list
+  if (node.type === "member_expression") {
+    const objectNode = node.childForFieldName("object");
+    const property = node.childForFieldName("property");
+    const binding = objectNode && objectNode.type === "identifier" ? bindings.get(text(objectNode)) : null;
+    return { handler: property ? text(property) : null, handlerSource: binding ? binding.source : null };
+  }
+
+  // Inline (req, res) => {} or function (req, res) {}
+  if (["arrow_function", "function_expression", "function"].includes(node.type)) {
+    const nameNode = node.childForFieldName("name");
+    return {
+      handler: nameNode ? text(nameNode) : null,
+      handlerSource: null,
+      handlerLine: node.startPosition.row + 1
+    };
+  }
+
+  return { handler: null, handlerSource: null };
+}
+
+function isHandlerNode(node) {
+  return ["identifier", "member_expression", "arrow_function", "function_expression", "function"].includes(node.type);
+}
+
+// { routerVar, prefix, target: { name } | { source, member } }
+function extractMount(property, objectNode, argNodes, text, bindings, plugins) {
+  let prefix = "";
+  let targetNode;
+
+  if (property === "use") {
+    // app.use('/api', auth, router): the router is the last argument
+    const first = argNodes[0] && stringValue(argNodes[0], text);
+    if (isRoutePath(first)) {
+      prefix = first;
+      targetNode = argNodes[argNodes.length - 1];
+      if (argNodes.length < 2) return null;
+    } else {
+      targetNode = argNodes[argNodes.length - 1];
+    }
+  } else {
+    // fastify.register(plugin, { prefix: '/v1' })
+    targetNode = argNodes[0];
+    const options = argNodes[1] && argNodes[1].type === "object" ? argNodes[1] : null;
+    prefix = (options && objectString(options, "prefix", text)) || "";
+  }
+
+  // fastify.register(async (instance) => { ... }, { prefix })
+  const inlinePlugin = targetNode && plugins.find((p) => p.startIndex === targetNode.startIndex && p.endIndex === targetNode.endIndex);
+  const target = inlinePlugin ? { name: inlinePlugin.name } : mountTarget(targetNode, text, bindings);
+  return target ? { routerVar: text(objectNode), prefix, target } : null;
+}
+
+function mountTarget(node, text, bindings) {
+  if (!node) return null;
+
+  // router.routes() / router.middleware() (Koa)
+  if (node.type === "call_expression") {
+    const required = requiredModule(node, text);
+    if (required) return required;
+
+    const fn = node.childForFieldName("function");
+    if (fn && fn.type === "member_expression") {
+      const property = fn.childForFieldName("property");
+      if (property && ["routes", "middleware"].includes(text(property))) {
+        return mountTarget(fn.childForFieldName("object"), text, bindings);
+      }
+    }
+    return null;
+  }
+
+  if (node.type === "member_expression") {
+    const required = requiredModule(node, text);
+    if (required) return required;
+    const objectNode = node.childForFieldName("object");
+    const binding = objectNode && objectNode.type === "identifier" ? bindings.get(text(objectNode)) : null;
+    return binding ? { source: binding.source, member: text(node.childForFieldName("property")) } : null;
+  }
+
+  if (node.type === "identifier") {
+    const binding = bindings.get(text(node));
+    return binding ? { ...binding } : { name: text(node) };
+  }
+
+  return null;
+}
+
+// Walks back through router.route('/x').get(h).post(h2) to the route() call
+function routeChainBase(node, text) {
+  while (node && node.type === "call_expression") {
+    const fn = node.childForFieldName("function");
+    if (!fn || fn.type !== "member_expression") return null;
+    const property = text(fn.childForFieldName("property"));
+    const args = node.childForFieldName("arguments");
+
+    if (property === "route") {
+      const routePath = args && args.namedChildren[0] && stringValue(args.namedChildren[0], text);
+      return isRoutePath(routePath) ? { routerVar: text(fn.childForFieldName("object")), path: routePath } : null;
+    }
+    if (!HTTP_METHODS.includes(property)) return null;
+    node = fn.childForFieldName("object");
+  }
+  return null;
+}
+
+// fastify.route({ method: ['GET', 'HEAD'], url: '/x', handler })
+function extractRouteObject(node, routerVar, options, text, bindings, framework) {
+  const routePath = objectString(options, "url", text) ?? objectString(options, "path", text);
+  const methodNode = objectProperty(options, "method", text);
+  if (!isRoutePath(routePath) || !methodNode) return [];
+
+  const methods = methodNode.type === "array"
+    ? methodNode.namedChildren.map((n) => stringValue(n, text)).filter(Boolean)
+    : [stringValue(methodNode, text)].filter(Boolean);
+  const handler = describeHandler(objectProperty(options, "handler", text), text, bindings);
+
+  return methods.map((method) => ({
+    method: method.toUpperCase(),
+    path: joinRoutePath("", routePath),
+    ...handler,
+    middleware: [],
+    framework: framework || "fastify",
+    routerVar,
+    line: node.startPosition.row + 1
+  }));
+}
+
+// -------------------------------------------------------------
+// NestJS
+// -------------------------------------------------------------
+function extractNestRoutes(classNode, text) {
+  // Exported classes carry their decorators on the export statement
+  const classDecorators = [
+    ...classNode.namedChildren.filter((n) => n.type === "decorator"),
+    ...(classNode.parent && classNode.parent.type === "export_statement"
+      ? classNode.parent.namedChildren.filter((n) => n.type === "decorator")
+      : [])
+  ];
+  const controller = classDecorators.map((d) => decoratorCall(d, text)).find((d) => d && d.name === "Controller");
+  if (!controller) return [];
+
+  const controllerPath = decoratorPath(controller.args, text) || "";
+  const body = classNode.childForFieldName("body");
+  if (!body) return [];
+
+  const routes = [];
+  let pendingDecorators = [];
+
+  body.namedChildren.forEach((member) => {
+    if (member.type === "decorator") {
+      pendingDecorators.push(member);
+      return;
+    }
+    if (member.type !== "method_definition") {
+      pendingDecorators = [];
+      return;
+    }
+
+    const decorators = [...pendingDecorators, ...member.namedChildren.filter((n) => n.type === "decorator")];
+    pendingDecorators = [];
+    const nameNode = member.childForFieldName("name");
+
+    decorators.forEach((decorator) => {
+      const call = decoratorCall(decorator, text);
+      if (!call || !NEST_DECORATORS[call.name]) return;
+
+      routes.push({
+        method: NEST_DECORATORS[call.name],
+        path: joinRoutePath(joinRoutePath("", controllerPath), decoratorPath(call.args, text) || ""),
+        handler: nameNode ? text(nameNode) : null,
+        handlerSource: null,
+        handlerLine: member.startPosition.row + 1,
+        middleware: [],
+        framework: "nestjs",
+        routerVar: null,
+        line: decorator.startPosition.row + 1
+      });
+    });
+  });
+
+  return routes;
+}
+
+// @Get(':id') -> { name: 'Get', args: [...] }; @Get -> { name: 'Get', args: [] }
+function decoratorCall(decorator, text) {
+  const expression = decorator.namedChildren[0];
+  if (!expression) return null;
+  if (expression.type === "identifier") return { name: text(expression), args: [] };
+  if (expression.type !== "call_expression") return null;
+
+  const fn = expression.childForFieldName("function");
+  const args = expression.childForFieldName("arguments");
+  return fn && fn.type === "identifier" ? { name: text(fn), args: args ? args.namedChildren : [] } : null;
+}
+
+// @Controller('users') or @Controller({ path: 'users' })
+function decoratorPath(args, text) {
+  const first = args[0];
+  if (!first) return null;
+  if (first.type === "object") return objectString(first, "path", text);
+  return stringValue(first, text);
+}
+
+// -------------------------------------------------------------
+// Helpers
+// -------------------------------------------------------------
+// Plain string or substitution-free template literal, otherwise null
+function stringValue(node, text) {
+  if (!node || (node.type !== "string" && node.type !== "template_string")) return null;
+  if (node.namedChildren.some((n) => n.type === "template_substitution")) return null;
+  return node.namedChildren
+    .filter((n) => n.type === "string_fragment")
+    .map(text)
+    .join("");
+}
+
+function isRoutePath(value) {
+  return typeof value === "string" && (value.startsWith("/") || value === "*");
+}
+
+function objectProperty(objectNode, key, text) {
+  const pair = objectNode.namedChildren.find((n) => {
+    if (n.type !== "pair") return false;
+    const keyNode = n.childForFieldName("key");
+    return keyNode && text(keyNode).replace(/['"]/g, "") === key;
+  });
+  if (pair) return pair.childForFieldName("value");
+
+  // { handler } shorthand
+  const shorthand = objectNode.namedChildren.find(
+    (n) => n.type === "shorthand_property_identifier" && text(n) === key
+  );
+  return shorthand || null;
+}
+
+function objectString(objectNode, key, text) {
+  const value = objectProperty(objectNode, key, text);
+  return value ? stringValue(value, text) : null;
+}
+
+function traverse(node, cb) {
+  cb(node);
+  for (let i = 0; i < node.namedChildCount; i++) {
+    traverse(node.namedChild(i), cb);
+  }
+}
+
+// -------------------------------------------------------------
+// Mount prefixes (used by the JavaScript and TypeScript mappers)
+// routeIndex.mounts: { from, routerVar, prefix, to, toRouter } where toRouter
+// is null when a whole module is mounted (app.use('/api', require('./api'))).
+// A router gets the prefixes of the mounts that target it; a router that is
+// not mounted inside its own file inherits the mounts of the file itself.
+// -------------------------------------------------------------
+function createRouteIndex() {
+  return { mounts: [], globalPrefix: null };
+}
+
+// Resolves handler modules and mount targets to repo-relative paths;
+// resolve(specifier) returns the file an import points at, or null
+function resolveRoutes({ routes, mounts, globalPrefix }, relativePath, resolve, routeIndex) {
+  mounts.forEach((mount) => {
+    const to = mount.target.name ? relativePath : resolve(mount.target.source);
+    if (!to) return;
+    routeIndex.mounts.push({
+      from: relativePath,
+      routerVar: mount.routerVar,
+      prefix: mount.prefix,
+      to,
+      toRouter: mount.target.name || null
+    });
+  });
+  if (globalPrefix) routeIndex.globalPrefix = globalPrefix;
+
+  return routes.map(({ handlerSource, ...route }) => ({
+    ...route,
+    handlerPath: handlerSource ? resolve(handlerSource) : relativePath
+  }));
+}
+
+function applyMountPrefixes(results, routeIndex) {
+  const { mounts } = routeIndex;
+  const memo = new Map();
+
+  const prefixesFor = (filePath, routerVar, seen = new Set()) => {
+    const key = `${filePath}#${routerVar}`;
+    if (memo.has(key)) return memo.get(key);
+    if (seen.has(key)) return [""];
+
+    let incoming = mounts.filter((m) => m.to === filePath && m.toRouter === routerVar);
+    const mountedLocally = mounts.some((m) => m.from === filePath && m.to === filePath && m.toRouter === routerVar);
+    if (!mountedLocally) {
+      incoming = incoming.concat(mounts.filter((m) => m.to === filePath && m.toRouter === null));
+    }
+    if (incoming.length === 0) return [""];
+
+    seen.add(key);
+    const prefixes = [...new Set(
+      incoming.flatMap((m) => prefixesFor(m.from, m.routerVar, seen).map((p) => joinRoutePath(p, m.prefix)))
+    )];
+    seen.delete(key);
+    memo.set(key, prefixes);
+    return prefixes;
+  };
+
+  results.forEach((entry) => {
+    if (!entry.routes || entry.routes.length === 0) return;
+
+    entry.routes = entry.routes.flatMap((route) => {
+      const prefixes = route.framework === "nestjs"
+        ? [routeIndex.globalPrefix ? joinRoutePath("", routeIndex.globalPrefix) : ""]
+        : prefixesFor(entry.path, route.routerVar);
+      const { routerVar, ...rest } = route;
+      return prefixes.map((prefix) => ({ ...rest, path: joinMountPath(prefix, route.path) }));
+    });
+  });
+}
+
+module.exports = {
+  extractRoutes,
+  extractRoutesFromTree,
+  createRouteIndex,
+  resolveRoutes,
+  applyMountPrefixes
+};
@@ -11,6 +11,9 @@ const Parser = require("tree-sitter");
 const JavaScript = require("tree-sitter-javascript");
 const { extractFuncitonAndItsCalls } = require("./extract-functions-nodejs");
 const { extractClasses } = require("./extract-classes-nodejs");
+const { extractRoutes, resolveRoutes, createRouteIndex, applyMountPrefixes } = require("./extract-routes-nodejs");
+const { extractExports, resolveExports } = require("./extract-exports-nodejs");
+const { linkRouteHandlers } = require("../route-metadata");
 
 if (process.argv.length < 4) {
   console.error(
@@ -64,8 +67,8 @@ function extractImports(filePath) {
   const libPaths = [];
 
   traverse(tree.rootNode, (node) => {
-    // ES6 imports
-    if (node.type === "import_statement") {
+    // ES6 imports and re-exports (export { a } from "./x")
+    if (node.type === "import_statement" || (node.type === "export_statement" && node.childForFieldName("source"))) {
       const moduleNode = node.namedChildren.find((n) => n.type === "string");
       if (moduleNode) {
         imports.push(getNodeText(moduleNode, sourceText).replace(/['"]/g, ""));
@@ -121,10 +124,99 @@ function getJsFiles () {
 });
 }
 
+// -------------------------------------------------------------
+// Resolve an import specifier to a repo-relative file, or null for packages
+// -------------------------------------------------------------
+function tryResolveWithExtensions(basePath) {
+  // If already has extension and exists, return it
+  if (path.extname(basePath) && fs.existsSync(basePath)) {
+    return basePath;
+  }
+
+  // Try with different JavaScript extensions
+  const extensions = ['.js', '.jsx', '.mjs', '.cjs', '.json'];
+  for (const ext of extensions) {
+    const pathWithExt = basePath + ext;
+    if (fs.existsSync(pathWithExt)) {
+      return pathWithExt;
+    }
+  }
+
+  // Try as directory with index file
+  if (fs.existsSync(basePath) && fs.statSync(basePath).isDirectory()) {
+    for (const ext of extensions) {
+      const indexPath = path.join(basePath, 'index' + ext);
+      if (fs.existsSync(indexPath)) {
+        return indexPath;
+      }
+    }
+  }
+
+  // If no extension worked, return null
+  return null;
+}
+
+function resolveImport(imp, file, mapper) {
+  let resolvedPath = null;
+
+  // Handle relative imports (./file or ../file)
+  if (imp.startsWith(".")) {
+    resolvedPath = path.resolve(path.dirname(file), imp);
+  }
+  // Handle absolute imports (/src/file or /lib/file)
+  else if (imp.startsWith("/")) {
+    resolvedPath = path.join(repoPath, imp);
+  }
+  // Try to resolve as a local module (might be a path alias or local module)
+  else if (!imp.startsWith('@')) {
+    // Check if it's a local file path (not a package name)
+    if (imp.includes('/')) {
+      // Try to resolve relative to repo root
+      resolvedPath = path.join(repoPath, imp);
+    } else if (mapper[imp]) {
+      // Try the mapper for simple package names
+      const mappedPath = path.join(repoPath, mapper[imp]);
+      return fs.existsSync(mappedPath) ? mapper[imp] : null;
+    } else {
+      // Could be a local file without path, try common patterns
+      const possiblePaths = [
+        path.join(repoPath, 'src', imp),
+        path.join(repoPath, 'lib', imp),
+        path.join(repoPath, imp)
+      ];
+
+      for (const possiblePath of possiblePaths) {
+        const testPath = tryResolveWithExtensions(possiblePath);
+        if (testPath) {
+          resolvedPath = testPath;
+          break;
+        }
+      }
+    }
+  }
+
+  // If we have a potential path, try to resolve it with extensions
+  if (resolvedPath) {
+    const finalPath = tryResolveWithExtensions(resolvedPath);
+
+    if (finalPath && fs.existsSync(finalPath)) {
+      const relativePath = path.relative(repoPath, finalPath);
+      // Make sure it's within the repo (not outside)
+      if (!relativePath.startsWith('..') && !path.isAbsolute(relativePath)) {
+        return relativePath;
+      }
+    }
+  }
+
+  return null;
+}
+
 // -------------------------------------------------------------
 // Step 4: Analyze imports
+// routeIndex collects router mounts so the caller can resolve full
+// route paths once every file has been analyzed
 // -------------------------------------------------------------
-function analyzeImports(repoPath, mapper) {
+function analyzeImports(repoPath, mapper, routeIndex = createRouteIndex()) {
   console.log("strted woring*******************************")
   const jsFiles = getJsFiles()
 
@@ -151,113 +243,42 @@ function analyzeImports(repoPath, mapper) {
       const { imports } = extractImports(file);
       const importFiles = [];
       const externalImports = [];
-
-      // Helper function to try resolving a path with different extensions
-      function tryResolveWithExtensions(basePath) {
-        // If already has extension and exists, return it
-        if (path.extname(basePath) && fs.existsSync(basePath)) {
-          return basePath;
-        }
-
-        // Try with different JavaScript extensions
-        const extensions = ['.js', '.jsx', '.mjs', '.cjs', '.json'];
-        for (const ext of extensions) {
-          const pathWithExt = basePath + ext;
-          if (fs.existsSync(pathWithExt)) {
-            return pathWithExt;
-          }
-        }
-
-        // Try as directory with index file
-        if (fs.existsSync(basePath) && fs.statSync(basePath).isDirectory()) {
-          for (const ext of extensions) {
-            const indexPath = path.join(basePath, 'index' + ext);
-            if (fs.existsSync(indexPath)) {
-              return indexPath;
-            }
-          }
-        }
-
-        // If no extension worked, return null
-        return null;
-      }
-
-      for (let imp of imports) {
-        let resolvedPath = null;
-        let isResolved = false;
-
-        // Handle relative imports (./file or ../file)
-        if (imp.startsWith(".")) {
-          resolvedPath = path.resolve(path.dirname(file), imp);
-        }
-        // Handle absolute imports (/src/file or /lib/file)
-        else if (imp.startsWith("/")) {
-          resolvedPath = path.join(repoPath, imp);
-        }
-        // Try to resolve as a local module (might be a path alias or local module)
-        else if (!imp.startsWith('@')) {
-          // Check if it's a local file path (not a package name)
-          if (imp.includes('/')) {
-            // Try to resolve relative to repo root
-            resolvedPath = path.join(repoPath, imp);
-          } else if (mapper[imp]) {
-            // Try the mapper for simple package names
-            const mappedPath = path.join(repoPath, mapper[imp]);
-            if (fs.existsSync(mappedPath)) {
-              importFiles.push(mapper[imp]);
-              isResolved = true;
-              continue;
-            }
-          } else {
-            // Could be a local file without path, try common patterns
-            const possiblePaths = [
-              path.join(repoPath, 'src', imp),
-              path.join(repoPath, 'lib', imp),
-              path.join(repoPath, imp)
-            ];
-
-            for (const possiblePath of possiblePaths) {
-              const testPath = tryResolveWithExtensions(possiblePath);
-              if (testPath) {
-                resolvedPath = testPath;
-                break;
-              }
-            }
-          }
-        }
-
-        // If we have a potential path, try to resolve it with extensions
-        if (resolvedPath && !isResolved) {
-          const finalPath = tryResolveWithExtensions(resolvedPath);
-
-          if (finalPath && fs.existsSync(finalPath)) {
-            const relativePath = path.relative(repoPath, finalPath);
-            // Make sure it's within the repo (not outside)
-            if (!relativePath.startsWith('..') && !path.isAbsolute(relativePath)) {
-              importFiles.push(relativePath);
-              isResolved = true;
-              continue;
-            }
-          }
-        }
-
-        // If we couldn't resolve it as a local file, it's an external import
-        if (!isResolved) {
+      const resolvedSources = new Map();
+
+      for (const imp of imports) {
+        const resolved = resolveImport(imp, file, mapper);
+        if (resolved) {
+          importFiles.push(resolved);
+          resolvedSources.set(imp, resolved);
+        } else {
           externalImports.push(imp); // NPM imports
         }
       }
 
+      // Extract framework routes; handlers and mounted routers may live in other modules
+      const relativePath = path.relative(repoPath, file);
+      const routes = resolveRoutes(extractRoutes(file), relativePath, (imp) => resolveImport(imp, file, mapper), routeIndex);
+
       // Extract functions for this file
       const functions = extractFuncitonAndItsCalls(file, repoPath);
+      // Calls into modules the extractor could not resolve (./lib -> lib/index.js) point at the resolved file
+      (functions || []).forEach((func) => func.calls.forEach((call) => {
+        if (resolvedSources.has(call.path)) call.path = resolvedSources.get(call.path);
+      }));
 
       const classes = extractClasses(file, repoPath)
 
+      // Re-export sources resolve like imports; resolveExports follows them once every file is read
+      const exports = extractExports(file).map((e) => (e.source ? { ...e, from: resolveImport(e.source, file, mapper) } : e));
+
       results.push({
-        path: path.relative(repoPath, file),
+        path: relativePath,
         importFiles: [...new Set(importFiles)],
         externalImports: [...new Set(externalImports)],
+        exports,
         functions: functions,
-        classes
+        classes,
+        routes
       });
     } catch (e) {
       process.stdout.write('\n');
@@ -272,6 +293,17 @@ function analyzeImports(repoPath, mapper) {
   return results;
 }
 
+// -------------------------------------------------------------
+// Step 5: Full route paths and API metadata on handlers
+// -------------------------------------------------------------
+function finalizeRoutes(results, routeIndex) {
+  applyMountPrefixes(results, routeIndex);
+  linkRouteHandlers(results);
+
+  const routeCount = results.reduce((sum, entry) => sum + (entry.routes || []).length, 0);
+  if (routeCount > 0) console.log(`🛣️  Found ${routeCount} routes`);
+}
+
 // -------------------------------------------------------------
 // EXPORTS (for use in TypeScript file-tree-mapper)
 // -------------------------------------------------------------
@@ -280,7 +312,8 @@ module.exports = {
   traverse,
   getNodeText,
   buildPackageMapper,
-  analyzeImports
+  analyzeImports,
+  finalizeRoutes
 };
 
 // -------------------------------------------------------------
@@ -294,7 +327,10 @@ if (require.main === module) {
     fs.writeFileSync(mapperOutput, JSON.stringify(mapper, null, 2));
     console.log(`🛠️  Temporary mapper saved → ${mapperOutput}`);
 
-    const analysis = analyzeImports(repoPath, mapper);
+    const routeIndex = createRouteIndex();
+    const analysis = analyzeImports(repoPath, mapper, routeIndex);
+    resolveExports(analysis);
+    finalizeRoutes(analysis, routeIndex);
     fs.writeFileSync(importsOutput, JSON.stringify(analysis, null, 2));
     console.log(`✅ Final output written to → ${importsOutput}`);
 
@@ -0,0 +1,260 @@
+/**
+ * Ontology Graph
+ * Builds a node/relationship graph from a *-imports.json ontology.
+ * Shared by the Neo4j and RDF exporters.
+ */
+
+const path = require("path");
+
+// -------------------------------------------------------------
+// Node identifiers
+// -------------------------------------------------------------
+function fileId(filePath) {
+  return `file:${filePath}`;
+}
+
+function classId(filePath, className) {
+  return filePath ? `class:${filePath}#${className}` : `class:external#${className}`;
+}
+
+function functionId(filePath, func) {
+  return `function:${filePath}#${func.name}@${func.startLine}`;
+}
+
+function packageId(name) {
+  return `package:${name}`;
+}
+
+// -------------------------------------------------------------
+// Graph construction
+// -------------------------------------------------------------
+function createGraph() {
+  return {
+    nodes: new Map(),   // id -> { id, label, props }
+    edges: new Map(),   // "from|type|to" -> { from, to, type }
+  };
+}
+
+function addNode(graph, id, label, props) {
+  if (!graph.nodes.has(id)) {
+    graph.nodes.set(id, { id, label, props });
+  }
+  return id;
+}
+
+function addEdge(graph, from, type, to) {
+  if (!from || !to) return;
+  const key = `${from}|${type}|${to}`;
+  if (!graph.edges.has(key)) {
+    graph.edges.set(key, { from, to, type });
+  }
+}
+
+// Class names may be strings or arrays depending on the extractor
+function toNameList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).filter(Boolean);
+}
+
+// Strip generic arguments and qualifiers: "Base<T>" -> "Base", "pkg.Base" -> "Base"
+function simpleTypeName(name) {
+  const withoutGenerics = String(name).replace(/<.*$/, "").replace(/\[.*$/, "");
+  const parts = withoutGenerics.split(/\.|::/);
+  return parts[parts.length - 1].trim();
+}
+
+function buildGraph(ontology) {
+  const graph = createGraph();
+  const classesByName = new Map();   // simple name -> [{ id, file }]
+
+  const ensureFile = (filePath) =>
+    addNode(graph, fileId(filePath), "File", { path: filePath, name: path.basename(filePath) });
+
+  // Pass 1: files, classes and functions
+  for (const entry of ontology) {
+    const id = fileId(entry.path);
+    graph.nodes.set(id, {
+      id,
+      label: "File",
+      props: {
+        path: entry.path,
+        name: entry.name || path.basename(entry.path),
+        language: entry.language,
+        loc: entry.loc,
+        description: entry.description,
+        roles: entry.roles,
+        metadata: entry.metadata,
+      },
+    });
+
+    for (const cls of entry.classes || []) {
+      if (!cls.name) continue;
+      const cid = addNode(graph, classId(entry.path, cls.name), "Class", {
+        name: cls.name,
+        file: entry.path,
+        type: cls.type,
+        visibility: cls.visibility,
+        isAbstract: cls.isAbstract,
+        external: false,
+        startLine: cls.startLine,
+        endLine: cls.endLine,
+        description: cls.description,
+        roles: cls.roles,
+        metadata: cls.metadata,
+      });
+      addEdge(graph, id, "DEFINES", cid);
+
+      if (!classesByName.has(cls.name)) classesByName.set(cls.name, []);
+      classesByName.get(cls.name).push({ id: cid, file: entry.path });
+    }
+  }
+
+  // Functions come after every class is known: Go receiver methods can be
+  // declared in a different file from their struct
+  for (const entry of ontology) {
+    for (const func of entry.functions || []) {
+      if (!func.name) continue;
+      const owner = findOwningClass(entry, func, classesByName);
+      addNode(graph, functionId(entry.path, func), "Function", {
+        name: func.name,
+        file: entry.path,
+        className: owner ? owner.name : undefined,
+        type: func.type,
+        visibility: func.visibility,
+        kind: func.kind,
+        params: func.params,
+        returnType: func.returnType,
+        startLine: func.startLine,
+        endLine: func.endLine,
+        description: func.description,
+        roles: func.roles,
+        metadata: func.metadata,
+      });
+    }
+  }
+
+  const functionsByFile = new Map();
+  for (const entry of ontology) {
+    functionsByFile.set(entry.path, entry.functions || []);
+  }
+
+  // Pass 2: relationships
+  for (const entry of ontology) {
+    const id = fileId(entry.path);
+
+    for (const imported of entry.importFiles || []) {
+      addEdge(graph, id, "IMPORTS", ensureFile(imported));
+    }
+
+    for (const pkg of entry.externalImports || []) {
+      const pid = addNode(graph, packageId(pkg), "ExternalPackage", { name: pkg });
+      addEdge(graph, id, "IMPORTS", pid);
+    }
+
+    for (const func of entry.functions || []) {
+      if (!func.name) continue;
+      const fid = functionId(entry.path, func);
+      const owner = findOwningClass(entry, func, classesByName);
+      addEdge(graph, owner ? owner.id : id, "DEFINES", fid);
+
+      for (const call of func.calls || []) {
+        const target = resolveCallTarget(call, entry, functionsByFile, graph);
+        addEdge(graph, fid, "CALLS", target);
+      }
+    }
+
+    for (const cls of entry.classes || []) {
+      if (!cls.name) continue;
+      const cid = classId(entry.path, cls.name);
+
+      // Languages with multiple inheritance list every parent in superclasses;
+      // markerBases (Python ABC / Protocol / Generic) are not parents
+      const interfaces = toNameList(cls.implements);
+      const markers = toNameList(cls.markerBases);
+      const bases = [...new Set([...toNameList(cls.extends), ...toNameList(cls.superclasses)])]
+        .filter((base) => !interfaces.includes(base) && !markers.includes(base));
+      for (const base of bases) {
+        addEdge(graph, cid, "EXTENDS", resolveClass(base, entry, classesByName, graph));
+      }
+      // Go structs list interfaces only their pointer type satisfies separately
+      for (const iface of [...toNameList(cls.implements), ...toNameList(cls.pointerImplements)]) {
+        addEdge(graph, cid, "IMPLEMENTS", resolveClass(iface, entry, classesByName, graph));
+      }
+    }
+  }
+
+  return graph;
+}
+
+// { id, name } of the class a function belongs to. A function naming its class
+// (Go func.receiver, or func.className) belongs to that class in its own file
+// or, for Go, elsewhere in its package directory. Otherwise the class must
+// list it and its lines must fall inside the class.
+function findOwningClass(entry, func, classesByName) {
+  const declaredOwner = func.receiver || func.className;
+  if (declaredOwner) {
+    const candidates = classesByName.get(declaredOwner) || [];
+    const owner =
+      candidates.find((c) => c.file === entry.path) ||
+      candidates.find((c) => path.dirname(c.file) === path.dirname(entry.path));
+    return owner ? { id: owner.id, name: declaredOwner } : null;
+  }
+
+  const cls = (entry.classes || []).find(
+    (c) =>
+      c.name &&
+      (c.methods || []).includes(func.name) &&
+      (!c.startLine || !func.startLine ||
+        (func.startLine >= c.startLine && func.endLine <= c.endLine))
+  );
+  return cls ? { id: classId(entry.path, cls.name), name: cls.name } : null;
+}
+
+function resolveCallTarget(call, entry, functionsByFile, graph) {
+  if (!call.path) return null;
+
+  // Calls resolved to a file in the ontology link to the named function in that file
+  const targetFunctions = functionsByFile.get(call.path);
+  if (targetFunctions) {
+    // --semantic calls carry the declared symbol, which survives import aliases
+    const name = call.symbol ? call.symbol.split(".").pop() : call.name;
+    const target = targetFunctions.find((f) => f.name === name);
+    return target ? functionId(call.path, target) : fileId(call.path);
+  }
+
+  // Calls resolved to an external import link to the package
+  if ((entry.externalImports || []).includes(call.path)) {
+    return packageId(call.path);
+  }
+
+  return graph.nodes.has(fileId(call.path)) ? fileId(call.path) : null;
+}
+
+// Resolve a base class/interface name: same file, then imported files, then anywhere
+function resolveClass(name, entry, classesByName, graph) {
+  const simpleName = simpleTypeName(name);
+  const candidates = classesByName.get(simpleName) || [];
+
+  const match =
+    candidates.find((c) => c.file === entry.path) ||
+    candidates.find((c) => (entry.importFiles || []).includes(c.file)) ||
+    (candidates.length === 1 ? candidates[0] : null);
+
+  if (match) return match.id;
+
+  return addNode(graph, classId(null, simpleName), "Class", {
+    name: simpleName,
+    external: true,
+  });
+}
+
+// -------------------------------------------------------------
+// EXPORTS
+// -------------------------------------------------------------
+module.exports = {
+  buildGraph,
+  fileId,
+  classId,
+  functionId,
+  packageId,
+};
@@ -0,0 +1,258 @@
+const Parser = require("tree-sitter");
+const Perl = require("tree-sitter-perl");
+const fs = require("fs");
+
+// parsed: { tree, source } when the caller has already parsed the file
+function extractClasses(filePath, repoPath, parsed = null) {
+  try {
+    const { tree, source } = parsed || parseFile(filePath);
+
+    const packages = collectPackages(tree.rootNode, source);
+    const subs = collectSubs(tree.rootNode, source, packages);
+
+    return packages
+      .filter((pkg) => pkg.name)
+      .map((pkg) => extractPackageInfo(pkg, tree.rootNode, source, packages, subs));
+  } catch (error) {
+    console.error(`Error extracting classes from ${filePath}:`, error);
+    return [];
+  }
+}
+
+function parseFile(filePath) {
+  const source = fs.readFileSync(filePath, "utf8").replace(/\0/g, "");
+  const parser = new Parser();
+  parser.setLanguage(Perl);
+  return { tree: parser.parse(source), source };
+}
+
+// -------------------------------------------------------------
+// Package scopes
+// A "package Foo { ... }" covers its block; a "package Foo;" statement
+// covers everything up to the next package statement in the same block.
+// -------------------------------------------------------------
+function collectPackages(rootNode, source) {
+  const packages = [];
+
+  traverse(rootNode, (node) => {
+    if (node.type !== "package_statement") return;
+
+    const nameNode = node.childForFieldName("name");
+    const name = nameNode ? source.slice(nameNode.startIndex, nameNode.endIndex).trim() : null;
+    const block = node.namedChildren.find((n) => n.type === "block");
+
+    let endNode = block || node.parent;
+    let endIndex = endNode.endIndex;
+    let endRow = endNode.endPosition.row;
+
+    if (!block) {
+      // Flat package statement: scope ends at the next flat package statement
+      let sibling = node.nextNamedSibling;
+      while (sibling) {
+        if (sibling.type === "package_statement" && !sibling.namedChildren.some((n) => n.type === "block")) {
+          endIndex = sibling.startIndex;
+          endRow = sibling.startPosition.row - 1;
+          break;
+        }
+        sibling = sibling.nextNamedSibling;
+      }
+    }
+
+    packages.push({
+      name,
+      startIndex: node.startIndex,
+      endIndex,
+      startLine: node.startPosition.row + 1,
+      endLine: Math.max(node.startPosition.row, endRow) + 1
+    });
+  });
+
+  return packages;
+}
+
+// Innermost package whose scope contains the given source offset
+function packageAt(packages, index) {
+  let match = null;
+  for (const pkg of packages) {
+    if (index >= pkg.startIndex && index < pkg.endIndex) {
+      if (!match || pkg.endIndex - pkg.startIndex < match.endIndex - match.startIndex) {
+        match = pkg;
+      }
+    }
+  }
+  return match;
+}
+
+function collectSubs(rootNode, source, packages) {
+  const subs = [];
+
+  traverse(rootNode, (node) => {
+    if (node.type !== "subroutine_declaration_statement") return;
+
+    const nameNode = node.childForFieldName("name");
+    if (!nameNode) return;
+
+    let name = source.slice(nameNode.startIndex, nameNode.endIndex);
+    let packageName = packageAt(packages, node.startIndex)?.name || "main";
+
+    // sub Foo::Bar::baz { } belongs to Foo::Bar
+    if (name.includes("::")) {
+      const parts = name.split("::");
+      name = parts.pop();
+      packageName = parts.join("::");
+    }
+
+    subs.push({ name, packageName, node });
+  });
+
+  return subs;
+}
+
+// -------------------------------------------------------------
+// Package (class) info
+// -------------------------------------------------------------
+function extractPackageInfo(pkg, rootNode, source, packages, subs) {
+  const ownSubs = subs.filter((s) => s.packageName === pkg.name);
+  const methods = [...new Set(ownSubs.map((s) => s.name))];
+
+  const constructor = ownSubs.find((s) => s.name === "new");
+  const constructorParams = constructor ? extractSubParams(constructor.node, source).params : [];
+
+  const superclasses = extractParents(pkg, rootNode, source, packages);
+
+  return {
+    name: pkg.name,
+    type: "class",
+    visibility: "public",
+    isAbstract: false,
+    extends: superclasses.length > 0 ? superclasses[0] : null,
+    superclasses,
+    implements: [], // Perl has no interfaces
+    constructorParams,
+    methods,
+    startLine: pkg.startLine,
+    endLine: pkg.endLine
+  };
+}
+
+// Parents from "use parent", "use base", "@ISA = (...)" and "push @ISA, ..."
+function extractParents(pkg, rootNode, source, packages) {
+  const parents = [];
+  const inPackage = (node) => packageAt(packages, node.startIndex) === pkg;
+
+  traverse(rootNode, (node) => {
+    if (node.type === "use_statement" && inPackage(node)) {
+      const moduleNode = node.childForFieldName("module");
+      const moduleName = moduleNode ? source.slice(moduleNode.startIndex, moduleNode.endIndex) : null;
+      if (moduleName === "parent" || moduleName === "base") {
+        node.namedChildren
+          .filter((n) => n !== moduleNode)
+          .forEach((n) => parents.push(...collectStrings(n, source)));
+      }
+    }
+
+    if (node.type === "assignment_expression" && inPackage(node)) {
+      // The "right" field of "@ISA = (...)" is the opening paren, so read
+      // every named child after the left-hand side instead
+      const left = node.childForFieldName("left");
+      if (left && isIsaArray(left, source)) {
+        node.namedChildren
+          .filter((n) => n.startIndex >= left.endIndex)
+          .forEach((n) => parents.push(...collectStrings(n, source)));
+      }
+    }
+
+    if (node.type === "ambiguous_function_call_expression" && inPackage(node)) {
+      const fn = node.childForFieldName("function");
+      const args = node.childForFieldName("arguments");
+      if (fn && args && source.slice(fn.startIndex, fn.endIndex) === "push") {
+        const [target, ...rest] = args.namedChildren;
+        if (target && isIsaArray(target, source)) {
+          rest.forEach((n) => parents.push(...collectStrings(n, source)));
+        }
+      }
+    }
+  });
+
+  return [...new Set(parents)];
+}
+
+function isIsaArray(node, source) {
+  let found = false;
+  traverse(node, (n) => {
+    if (n.type === "array") {
+      const varname = n.namedChildren.find((c) => c.type === "varname");
+      if (varname && source.slice(varname.startIndex, varname.endIndex) === "ISA") {
+        found = true;
+      }
+    }
+  });
+  return found;
+}
+
+// String values from literals and qw() lists, skipping pragmas like -norequire
+function collectStrings(node, source) {
+  const values = [];
+
+  traverse(node, (n) => {
+    if (n.type !== "string_content") return;
+    const text = source.slice(n.startIndex, n.endIndex);
+    const words = n.parent && n.parent.type === "quoted_word_list" ? text.split(/\s+/) : [text];
+    words
+      .map((w) => w.trim())
+      .filter((w) => w && !w.startsWith("-"))
+      .forEach((w) => values.push(w));
+  });
+
+  return values;
+}
+
+// -------------------------------------------------------------
+// Sub parameters
+// Reads a signature, or the leading "my (...) = @_;" / "my $x = shift;" statements
+// -------------------------------------------------------------
+function extractSubParams(subNode, source) {
+  const names = [];
+
+  const signature = subNode.namedChildren.find((n) => n.type === "signature");
+  if (signature) {
+    signature.namedChildren.forEach((param) => {
+      const variable = param.namedChildren.find((n) => ["scalar", "array", "hash"].includes(n.type));
+      if (variable) names.push(source.slice(variable.startIndex, variable.endIndex));
+    });
+  } else {
+    const body = subNode.childForFieldName("body");
+    const statements = body ? body.namedChildren : [];
+
+    for (const statement of statements) {
+      const assignment = statement.namedChildren[0];
+      if (!assignment || assignment.type !== "assignment_expression") break;
+
+      const left = assignment.childForFieldName("left");
+      const right = assignment.childForFieldName("right");
+      if (!left || !right || left.type !== "variable_declaration") break;
+
+      const rightText = source.slice(right.startIndex, right.endIndex).trim();
+      if (rightText !== "@_" && rightText !== "shift" && rightText !== "shift @_" && rightText !== "shift(@_)") break;
+
+      left.namedChildren
+        .filter((n) => ["scalar", "array", "hash"].includes(n.type))
+        .forEach((n) => names.push(source.slice(n.startIndex, n.endIndex)));
+    }
+  }
+
+  const isMethod = names.length > 0 && (names[0] === "$self" || names[0] === "$class");
+  return {
+    params: names.filter((n) => n !== "$self" && n !== "$class"),
+    isMethod
+  };
+}
+
+function traverse(node, cb) {
+  cb(node);
+  for (let i = 0; i < node.childCount; i++) {
+    traverse(node.child(i), cb);
+  }
+}
+
+module.exports = { extractClasses, parseFile, collectPackages, collectSubs, packageAt, extractSubParams };
@@ -0,0 +1,158 @@
+const path = require("path");
+const { parseFile, collectPackages, collectSubs, extractSubParams } = require("./extract-classes-perl");
+
+function extractFunctionsWithCalls(tree, source) {
+  const packages = collectPackages(tree.rootNode, source);
+  const subs = collectSubs(tree.rootNode, source, packages);
+
+  const functions = subs.map((sub) => {
+    const { params, isMethod } = extractSubParams(sub.node, source);
+
+    return {
+      name: sub.name,
+      type: sub.node.type,
+      visibility: sub.name.startsWith("_") ? "private" : "public",
+      kind: isMethod ? "method" : "function",
+      params,
+      startLine: sub.node.startPosition.row + 1,
+      endLine: sub.node.endPosition.row + 1,
+      calls: extractDirectCalls(sub.node, source, sub.packageName)
+    };
+  });
+
+  return { functions, packages };
+}
+
+function extractDirectCalls(subNode, source, packageName) {
+  const calls = [];
+
+  traverse(subNode, (node) => {
+    // foo(), &foo, Foo::Bar::baz(), foo $x
+    if (node.type === "function_call_expression" || node.type === "ambiguous_function_call_expression") {
+      const fn = node.childForFieldName("function");
+      if (!fn) return;
+
+      const fullName = source.slice(fn.startIndex, fn.endIndex).replace(/^&/, "");
+      const parts = fullName.split("::");
+      const name = parts.pop();
+
+      calls.push({
+        name,
+        objectName: parts.length > 0 ? parts.join("::") : null,
+        path: null
+      });
+    }
+
+    // $self->foo(), Foo::Bar->new(), $obj->SUPER::foo()
+    if (node.type === "method_call_expression") {
+      const methodNode = node.childForFieldName("method");
+      const invocant = node.childForFieldName("invocant");
+      if (!methodNode) return;
+
+      const methodName = source.slice(methodNode.startIndex, methodNode.endIndex);
+      const name = methodName.split("::").pop();
+
+      let objectName = null;
+      if (invocant && invocant.type === "bareword") {
+        objectName = source.slice(invocant.startIndex, invocant.endIndex);
+      } else if (invocant) {
+        const invocantText = source.slice(invocant.startIndex, invocant.endIndex);
+        if (invocantText === "$self" || invocantText === "$class" || invocantText === "__PACKAGE__") {
+          objectName = packageName;
+        }
+      }
+
+      calls.push({
+        name,
+        objectName,
+        isSuper: methodName.startsWith("SUPER::"),
+        path: null
+      });
+    }
+  });
+
+  return calls;
+}
+
+// Names imported by "use Foo qw(bar baz)" / "use Foo 'bar'", mapped to their package
+function extractImportedNames(rootNode, source) {
+  const imported = new Map();
+
+  traverse(rootNode, (node) => {
+    if (node.type !== "use_statement") return;
+
+    const moduleNode = node.childForFieldName("module");
+    if (!moduleNode) return;
+    const moduleName = source.slice(moduleNode.startIndex, moduleNode.endIndex);
+
+    traverse(node, (n) => {
+      if (n.type !== "string_content") return;
+      const text = source.slice(n.startIndex, n.endIndex);
+      const words = n.parent && n.parent.type === "quoted_word_list" ? text.split(/\s+/) : [text];
+      words
+        .map((w) => w.trim().replace(/^&/, ""))
+        .filter((w) => /^\w+$/.test(w))
+        .forEach((w) => imported.set(w, moduleName));
+    });
+  });
+
+  return imported;
+}
+
+function traverse(node, cb) {
+  cb(node);
+  for (let i = 0; i < node.childCount; i++) {
+    traverse(node.child(i), cb);
+  }
+}
+
+// resolveModule: package name -> relative file path, using the file's @INC (see file-tree-mapper.js)
+// parsed: { tree, source } when the caller has already parsed the file
+function extractFunctionsAndCalls(filePath, repoPath, resolveModule = () => null, parsed = null) {
+  try {
+    const { tree, source } = parsed || parseFile(filePath);
+
+    const { functions, packages } = extractFunctionsWithCalls(tree, source);
+    const currentFile = path.relative(repoPath, filePath);
+    const importedNames = extractImportedNames(tree.rootNode, source);
+    const localPackages = new Set(packages.map((p) => p.name));
+    const localSubs = new Set(functions.map((f) => f.name));
+
+    const resolvePackage = (pkg) => {
+      if (localPackages.has(pkg)) return currentFile;
+      return resolveModule(pkg);
+    };
+
+    // Resolve call paths
+    functions.forEach((func) => {
+      func.calls.forEach((call) => {
+        let resolvedPath = null;
+
+        if (call.objectName && !call.isSuper) {
+          // Method calls on our own package only resolve locally if the sub exists here
+          resolvedPath = localPackages.has(call.objectName)
+            ? (localSubs.has(call.name) ? currentFile : null)
+            : resolvePackage(call.objectName);
+        } else if (!call.objectName && localSubs.has(call.name)) {
+          resolvedPath = currentFile;
+        } else if (!call.objectName && importedNames.has(call.name)) {
+          resolvedPath = resolvePackage(importedNames.get(call.name));
+        }
+
+        if (resolvedPath) {
+          call.path = resolvedPath;
+        }
+
+        delete call.objectName;
+        delete call.isSuper;
+      });
+    });
+
+    return functions;
+  } catch (error) {
+    console.error(`Error processing ${filePath}:`, error);
+    return [];
+  }
+}
+
+module.exports = { extractFunctionsAndCalls };
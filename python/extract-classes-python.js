@@ -10,13 +10,26 @@ function extractClasses(filePath, repoPath) {
     const tree = parser.parse(source);
 
     const classes = [];
+    const classNodes = [];
 
     traverse(tree.rootNode, (node) => {
       if (node.type === "class_definition") {
-        const classInfo = extractClassInfo(node, source);
-        if (classInfo.name) {
-          classes.push(classInfo);
-        }
+        classNodes.push(node);
+      }
+    });
+
+    // Protocols declared in this file, so subclasses can list them under implements;
+    // the mapper does the same for Protocols imported from other modules
+    const protocolNames = new Set(
+      classNodes
+        .filter((node) => parseBases(node, source).bases.some((b) => PROTOCOL_BASES.has(b.name)))
+        .map((node) => source.slice(node.childForFieldName("name").startIndex, node.childForFieldName("name").endIndex))
+    );
+
+    classNodes.forEach((node) => {
+      const classInfo = extractClassInfo(node, source, protocolNames);
+      if (classInfo.name) {
+        classes.push(classInfo);
       }
     });
 
@@ -27,7 +40,77 @@ function extractClasses(filePath, repoPath) {
   }
 }
 
-function extractClassInfo(node, source) {
+// -------------------------------------------------------------
+// Base classes
+// ABC / Protocol / Generic are markers rather than parents: ABC makes a
+// class abstract, Protocol makes it an interface, Generic only adds type
+// parameters. Everything else is a real (possibly mixin) superclass.
+// -------------------------------------------------------------
+const ABC_BASES = new Set(["ABC", "abc.ABC"]);
+const ABC_METACLASSES = new Set(["ABCMeta", "abc.ABCMeta"]);
+const PROTOCOL_BASES = new Set(["Protocol", "typing.Protocol", "typing_extensions.Protocol"]);
+const GENERIC_BASES = new Set(["Generic", "typing.Generic"]);
+const ABSTRACT_DECORATORS = new Set([
+  "abstractmethod",
+  "abstractproperty",
+  "abstractclassmethod",
+  "abstractstaticmethod"
+]);
+
+// Returns { bases: [{ name, typeParameters }], metaclass }
+function parseBases(node, source) {
+  const bases = [];
+  let metaclass = null;
+
+  const superclassNode = node.childForFieldName("superclasses");
+  if (!superclassNode) return { bases, metaclass };
+
+  superclassNode.namedChildren.forEach((child) => {
+    if (child.type === "identifier" || child.type === "attribute") {
+      bases.push({ name: source.slice(child.startIndex, child.endIndex), typeParameters: [] });
+    } else if (child.type === "subscript") {
+      // Generic[T], Protocol[T_co], Base[int]
+      const valueNode = child.childForFieldName("value");
+      if (valueNode) {
+        bases.push({
+          name: source.slice(valueNode.startIndex, valueNode.endIndex),
+          typeParameters: child
+            .childrenForFieldName("subscript")
+            .map((n) => source.slice(n.startIndex, n.endIndex))
+        });
+      }
+    } else if (child.type === "keyword_argument") {
+      const keyNode = child.childForFieldName("name");
+      const valueNode = child.childForFieldName("value");
+      if (keyNode && valueNode && source.slice(keyNode.startIndex, keyNode.endIndex) === "metaclass") {
+        metaclass = source.slice(valueNode.startIndex, valueNode.endIndex);
+      }
+    }
+  });
+
+  return { bases, metaclass };
+}
+
+// Methods declared directly in the class body, with or without decorators
+function getMethodNodes(bodyNode) {
+  const methods = [];
+  bodyNode.namedChildren.forEach((child) => {
+    if (child.type === "function_definition") {
+      methods.push({ node: child, decorators: [] });
+    } else if (child.type === "decorated_definition") {
+      const definition = child.childForFieldName("definition");
+      if (definition && definition.type === "function_definition") {
+        methods.push({
+          node: definition,
+          decorators: child.namedChildren.filter((n) => n.type === "decorator")
+        });
+      }
+    }
+  });
+  return methods;
+}
+
+function extractClassInfo(node, source, protocolNames = new Set()) {
   const nameNode = node.childForFieldName("name");
   const name = nameNode ? source.slice(nameNode.startIndex, nameNode.endIndex) : null;
 
@@ -35,73 +118,88 @@ function extractClassInfo(node, source) {
   const endLine = node.endPosition.row + 1;
 
   // Extract superclasses
-  const superclasses = [];
-  const superclassNode = node.childForFieldName("superclasses");
-  if (superclassNode) {
-    traverse(superclassNode, (child) => {
-      if (child.type === "identifier" && child.parent.type === "argument_list") {
-        superclasses.push(source.slice(child.startIndex, child.endIndex));
-      } else if (child.type === "attribute") {
-        superclasses.push(source.slice(child.startIndex, child.endIndex));
-      }
-    });
-  }
+  const { bases, metaclass } = parseBases(node, source);
+  const isProtocol = bases.some((b) => PROTOCOL_BASES.has(b.name));
+  const isMarker = (baseName) =>
+    ABC_BASES.has(baseName) || PROTOCOL_BASES.has(baseName) || GENERIC_BASES.has(baseName) || baseName === "object";
+
+  const superclasses = bases.map((b) => b.name).filter((b) => b !== "object");
+  const implementsList = superclasses.filter((b) => protocolNames.has(b) && !isProtocol);
+  const parents = superclasses.filter((b) => !isMarker(b) && !implementsList.includes(b));
+  const typeParameters = [
+    ...new Set(bases.filter((b) => GENERIC_BASES.has(b.name) || PROTOCOL_BASES.has(b.name)).flatMap((b) => b.typeParameters))
+  ];
 
   // Extract methods (names only, matching TypeScript format)
   const methods = [];
+  const abstractMethods = [];
   let constructorParams = [];
   const bodyNode = node.childForFieldName("body");
   if (bodyNode) {
-    traverse(bodyNode, (child) => {
-      if (child.type === "function_definition" && child.parent === bodyNode) {
-        const methodNameNode = child.childForFieldName("name");
-        const methodName = methodNameNode ? source.slice(methodNameNode.startIndex, methodNameNode.endIndex) : null;
-        if (methodName) {
-          methods.push(methodName);
-          
-          // Extract constructor params from __init__ method
-          if (methodName === "__init__") {
-            const paramsNode = child.childForFieldName("parameters");
-            if (paramsNode) {
-              traverse(paramsNode, (paramChild) => {
-                if (paramChild.type === "identifier" && paramChild.parent.type === "parameters") {
-                  const paramName = source.slice(paramChild.startIndex, paramChild.endIndex);
+    getMethodNodes(bodyNode).forEach(({ node: child, decorators }) => {
+      const methodNameNode = child.childForFieldName("name");
+      const methodName = methodNameNode ? source.slice(methodNameNode.startIndex, methodNameNode.endIndex) : null;
+      if (methodName) {
+        methods.push(methodName);
+
+        if (decorators.some((d) => ABSTRACT_DECORATORS.has(extractDecoratorName(d, source)))) {
+          abstractMethods.push(methodName);
+        }
+
+        // Extract constructor params from __init__ method
+        if (methodName === "__init__") {
+          const paramsNode = child.childForFieldName("parameters");
+          if (paramsNode) {
+            traverse(paramsNode, (paramChild) => {
+              if (paramChild.type === "identifier" && paramChild.parent.type === "parameters") {
+                const paramName = source.slice(paramChild.startIndex, paramChild.endIndex);
+                if (paramName !== "self" && paramName !== "cls") {
+                  constructorParams.push(paramName);
+                }
+              } else if (paramChild.type === "default_parameter") {
+                const pNameNode = paramChild.childForFieldName("name");
+                if (pNameNode) {
+                  const paramName = source.slice(pNameNode.startIndex, pNameNode.endIndex);
                   if (paramName !== "self" && paramName !== "cls") {
                     constructorParams.push(paramName);
                   }
-                } else if (paramChild.type === "default_parameter") {
-                  const pNameNode = paramChild.childForFieldName("name");
-                  if (pNameNode) {
-                    const paramName = source.slice(pNameNode.startIndex, pNameNode.endIndex);
-                    if (paramName !== "self" && paramName !== "cls") {
-                      constructorParams.push(paramName);
-                    }
-                  }
-                } else if (paramChild.type === "typed_parameter" || paramChild.type === "typed_default_parameter") {
-                  const pNameNode = paramChild.childForFieldName("name");
-                  if (pNameNode) {
-                    const paramName = source.slice(pNameNode.startIndex, pNameNode.endIndex);
-                    if (paramName !== "self" && paramName !== "cls") {
-                      constructorParams.push(paramName);
-                    }
+                }
+              } else if (paramChild.type === "typed_parameter" || paramChild.type === "typed_default_parameter") {
+                const pNameNode = paramChild.childForFieldName("name");
+                if (pNameNode) {
+                  const paramName = source.slice(pNameNode.startIndex, pNameNode.endIndex);
+                  if (paramName !== "self" && paramName !== "cls") {
+                    constructorParams.push(paramName);
                   }
                 }
-              });
-            }
+              }
+            });
           }
         }
       }
     });
   }
 
-  // Match TypeScript format
+  const isAbstract =
+    isProtocol ||
+    abstractMethods.length > 0 ||
+    bases.some((b) => ABC_BASES.has(b.name)) ||
+    ABC_METACLASSES.has(metaclass);
+
+  // Match TypeScript format; superclasses keeps every base in declaration order,
+  // markerBases the ABC / Protocol / Generic ones that are not parents
   return {
     name,
-    type: "class",
+    type: isProtocol ? "interface" : "class",
     visibility: "public",
-    isAbstract: false, // Python ABC checking would be complex, defaulting to false
-    extends: superclasses.length > 0 ? superclasses[0] : null, // Python supports multiple inheritance, take first
-    implements: [], // Python doesn't have interfaces like TypeScript
+    isAbstract,
+    extends: parents.length > 0 ? parents[0] : null,
+    superclasses,
+    markerBases: superclasses.filter(isMarker),
+    implements: implementsList,
+    metaclass,
+    typeParameters,
+    abstractMethods,
     constructorParams,
     methods, // Now array of strings instead of objects
     startLine,
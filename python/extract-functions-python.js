@@ -29,6 +29,7 @@ function extractFunctionInfo(node, filePath, repoPath, source) {
 
   const name = getFunctionName(node, source);
   const params = extractFunctionParams(node, source);
+  const returnTypeNode = node.childForFieldName("return_type");
   const calls = extractDirectCalls(node, source);
 
   // Check if it's a method (inside a class)
@@ -57,6 +58,7 @@ function extractFunctionInfo(node, filePath, repoPath, source) {
     visibility,
     kind,
     params,
+    returnType: returnTypeNode ? source.slice(returnTypeNode.startIndex, returnTypeNode.endIndex) : null,
     startLine,
     endLine,
     calls
@@ -68,45 +70,50 @@ function getFunctionName(node, source) {
   return nameNode ? source.slice(nameNode.startIndex, nameNode.endIndex) : null;
 }
 
+// { name, type, optional, default } per parameter; type comes from annotations
+// when present. self and cls are left out, splats keep their * prefix
 function extractFunctionParams(node, source) {
   const paramsNode = node.childForFieldName("parameters");
   if (!paramsNode) return [];
 
+  const text = (n) => (n ? source.slice(n.startIndex, n.endIndex) : null);
+  const splatName = (n) => {
+    if (n.type === "list_splat_pattern") return "*" + text(n.namedChild(0));
+    if (n.type === "dictionary_splat_pattern") return "**" + text(n.namedChild(0));
+    return text(n);
+  };
+
   const params = [];
-  
-  traverse(paramsNode, (child) => {
-    if (child.type === "identifier" && child.parent.type === "parameters") {
-      const paramName = source.slice(child.startIndex, child.endIndex);
-      if (paramName !== "self" && paramName !== "cls") {
-        params.push(paramName);
-      }
+
+  paramsNode.namedChildren.forEach((child) => {
+    let paramName = null;
+    let typeNode = null;
+    let valueNode = null;
+
+    if (child.type === "identifier" || child.type === "list_splat_pattern" || child.type === "dictionary_splat_pattern") {
+      paramName = splatName(child);
     } else if (child.type === "default_parameter") {
-      const nameNode = child.childForFieldName("name");
-      if (nameNode) {
-        const paramName = source.slice(nameNode.startIndex, nameNode.endIndex);
-        if (paramName !== "self" && paramName !== "cls") {
-          params.push(paramName);
-        }
-      }
-    } else if (child.type === "typed_parameter" || child.type === "typed_default_parameter") {
-      const nameNode = child.childForFieldName("name");
-      if (nameNode) {
-        const paramName = source.slice(nameNode.startIndex, nameNode.endIndex);
-        if (paramName !== "self" && paramName !== "cls") {
-          params.push(paramName);
-        }
-      }
-    } else if (child.type === "list_splat_pattern") {
-      const nameNode = child.namedChild(0);
-      if (nameNode) {
-        params.push("*" + source.slice(nameNode.startIndex, nameNode.endIndex));
-      }
-    } else if (child.type === "dictionary_splat_pattern") {
-      const nameNode = child.namedChild(0);
-      if (nameNode) {
-        params.push("**" + source.slice(nameNode.startIndex, nameNode.endIndex));
-      }
+      paramName = text(child.childForFieldName("name"));
+      valueNode = child.childForFieldName("value");
+    } else if (child.type === "typed_parameter") {
+      // b: int and *args: str have no name field
+      const nameNode = child.namedChildren.find((n) => n.type !== "type");
+      paramName = nameNode ? splatName(nameNode) : null;
+      typeNode = child.childForFieldName("type");
+    } else if (child.type === "typed_default_parameter") {
+      paramName = text(child.childForFieldName("name"));
+      typeNode = child.childForFieldName("type");
+      valueNode = child.childForFieldName("value");
     }
+
+    if (!paramName || paramName === "self" || paramName === "cls") return;
+
+    params.push({
+      name: paramName,
+      type: text(typeNode),
+      optional: valueNode !== null || paramName.startsWith("*"),
+      default: text(valueNode)
+    });
   });
 
   return params;
@@ -208,25 +215,30 @@ function extractImports(filePath) {
         }
       }
       
+      // imported: local names bound by the import; members: the names as defined in the module
       const importedNames = [];
-      traverse(node, (n) => {
-        if (n.type === "dotted_name" && n.parent.parent && n.parent.parent.type === "import_from_statement") {
-          importedNames.push(source.slice(n.startIndex, n.endIndex));
-        } else if (n.type === "aliased_import") {
+      const members = [];
+      node.childrenForFieldName("name").forEach((n) => {
+        if (n.type === "aliased_import") {
           const nameNode = n.childForFieldName("name");
           const aliasNode = n.childForFieldName("alias");
           if (nameNode) {
-            importedNames.push(
-              aliasNode ? source.slice(aliasNode.startIndex, aliasNode.endIndex) : source.slice(nameNode.startIndex, nameNode.endIndex)
-            );
+            const name = source.slice(nameNode.startIndex, nameNode.endIndex);
+            importedNames.push(aliasNode ? source.slice(aliasNode.startIndex, aliasNode.endIndex) : name);
+            members.push(name);
           }
+        } else {
+          const name = source.slice(n.startIndex, n.endIndex);
+          importedNames.push(name);
+          members.push(name);
         }
       });
 
       if (moduleName || importedNames.length > 0) {
         imports.push({
           source: moduleName,
-          imported: importedNames
+          imported: importedNames,
+          members
         });
       }
     }
@@ -235,6 +247,12 @@ function extractImports(filePath) {
   return imports;
 }
 
+// "pkg" + "mod" -> "pkg.mod", "." + "mod" -> ".mod"
+function joinModule(moduleName, member) {
+  if (!moduleName) return member;
+  return moduleName.endsWith(".") ? `${moduleName}${member}` : `${moduleName}.${member}`;
+}
+
 function traverse(node, cb) {
   cb(node);
   for (let i = 0; i < node.childCount; i++) {
@@ -242,7 +260,8 @@ function traverse(node, cb) {
   }
 }
 
-function extractFunctionsAndCalls(filePath, repoPath) {
+// resolveModule: module name (absolute or relative) -> relative file path, see file-tree-mapper-python.js
+function extractFunctionsAndCalls(filePath, repoPath, resolveModule = () => null) {
   try {
     const functions = extractFunctionsWithCalls(filePath, repoPath);
     const imports = extractImports(filePath);
@@ -256,9 +275,14 @@ function extractFunctionsAndCalls(filePath, repoPath) {
 
     // Map imports
     imports.forEach(imp => {
-      imp.imported?.forEach(imported => {
-        // For Python, we'll store the module path as-is
-        functionMap.set(imported, imp.source);
+      imp.imported?.forEach((imported, i) => {
+        // "from pkg import module" binds a submodule; otherwise the name lives in imp.source.
+        // Unresolved (third-party) modules keep the module name as-is.
+        const member = imp.members?.[i];
+        const resolved =
+          (member && resolveModule(joinModule(imp.source, member))) ||
+          resolveModule(imp.source);
+        functionMap.set(imported, resolved || imp.source);
       });
     });
 
@@ -286,5 +310,5 @@ function extractFunctionsAndCalls(filePath, repoPath) {
   }
 }
 
-module.exports = { extractFunctionsAndCalls, extractImports };
+module.exports = { extractFunctionsAndCalls, extractImports, joinModule };
 
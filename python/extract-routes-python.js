@@ -0,0 +1,279 @@
+const Parser = require("tree-sitter");
+const Python = require("tree-sitter-python");
+const fs = require("fs");
+const { joinRoutePath } = require("../route-metadata");
+
+const HTTP_METHODS = ["get", "post", "put", "delete", "patch", "head", "options", "trace"];
+const DJANGO_ROUTE_FUNCTIONS = new Set(["path", "re_path", "url"]);
+
+// -------------------------------------------------------------
+// Route extraction
+// Flask/FastAPI decorators (@app.get, @router.post, @bp.route) and
+// Django urlpatterns entries (path, re_path, url). Returns
+// { routes, includes, routers, mounts }: decorator routes carry the path
+// local to their router (routerVar), routers maps a router variable to
+// the prefix it was constructed with, mounts are include_router /
+// register_blueprint calls and includes are Django include() entries.
+// The mapper resolves mounts and includes across files into full paths.
+// -------------------------------------------------------------
+function extractRoutes(filePath) {
+  try {
+    const source = fs.readFileSync(filePath, "utf8");
+    const parser = new Parser();
+    parser.setLanguage(Python);
+    const tree = parser.parse(source);
+
+    const framework = detectFramework(source);
+    const routers = collectRouterPrefixes(tree.rootNode, source);
+    const routes = [];
+    const includes = [];
+    const mounts = [];
+
+    traverse(tree.rootNode, (node) => {
+      if (node.type === "decorated_definition") {
+        routes.push(...extractDecoratorRoutes(node, source, framework));
+      }
+
+      if (node.type === "call") {
+        const mount = extractMount(node, source);
+        if (mount) mounts.push(mount);
+      }
+
+      if (node.type === "call" && isInsideUrlPatterns(node, source)) {
+        const entry = extractDjangoEntry(node, source);
+        if (entry && entry.include) {
+          includes.push(entry);
+        } else if (entry) {
+          routes.push(entry);
+        }
+      }
+    });
+
+    return { routes, includes, routers: Object.fromEntries(routers), mounts };
+  } catch (error) {
+    console.error(`Error extracting routes from ${filePath}:`, error);
+    return { routes: [], includes: [], routers: {}, mounts: [] };
+  }
+}
+
+function detectFramework(source) {
+  if (/^\s*(from|import)\s+fastapi\b/m.test(source)) return "fastapi";
+  if (/^\s*(from|import)\s+flask\b/m.test(source)) return "flask";
+  if (/^\s*(from|import)\s+django\b/m.test(source)) return "django";
+  return null;
+}
+
+// router = APIRouter(prefix="/items") / bp = Blueprint("x", __name__, url_prefix="/x")
+function collectRouterPrefixes(rootNode, source) {
+  const prefixes = new Map();
+
+  traverse(rootNode, (node) => {
+    if (node.type !== "assignment") return;
+    const left = node.childForFieldName("left");
+    const right = node.childForFieldName("right");
+    if (!left || !right || left.type !== "identifier" || right.type !== "call") return;
+
+    const args = right.childForFieldName("arguments");
+    const prefix = args && keywordString(args, ["prefix", "url_prefix"], source);
+    if (prefix) {
+      prefixes.set(source.slice(left.startIndex, left.endIndex), prefix);
+    }
+  });
+
+  return prefixes;
+}
+
+// app.include_router(users.router, prefix="/v1") / app.register_blueprint(bp, url_prefix="/api")
+// A url_prefix given to register_blueprint replaces the blueprint's own prefix;
+// an include_router prefix goes in front of the router's own prefix.
+function extractMount(node, source) {
+  const fn = node.childForFieldName("function");
+  if (!fn || fn.type !== "attribute") return null;
+
+  const attrNode = fn.childForFieldName("attribute");
+  const method = attrNode ? source.slice(attrNode.startIndex, attrNode.endIndex) : null;
+  if (method !== "include_router" && method !== "register_blueprint") return null;
+
+  const args = node.childForFieldName("arguments");
+  const target = args && args.namedChildren.find((n) => n.type !== "keyword_argument");
+  if (!target || !["identifier", "attribute"].includes(target.type)) return null;
+
+  const objectNode = fn.childForFieldName("object");
+  const prefix = keywordString(args, [method === "include_router" ? "prefix" : "url_prefix"], source);
+  return {
+    routerVar: source.slice(objectNode.startIndex, objectNode.endIndex),
+    target: source.slice(target.startIndex, target.endIndex),
+    prefix: prefix || "",
+    replacesPrefix: method === "register_blueprint" && prefix !== null
+  };
+}
+
+// -------------------------------------------------------------
+// Flask / FastAPI
+// -------------------------------------------------------------
+function extractDecoratorRoutes(node, source, framework) {
+  const definition = node.childForFieldName("definition");
+  if (!definition || definition.type !== "function_definition") return [];
+
+  const nameNode = definition.childForFieldName("name");
+  const handler = nameNode ? source.slice(nameNode.startIndex, nameNode.endIndex) : null;
+  const routes = [];
+
+  node.namedChildren
+    .filter((n) => n.type === "decorator")
+    .forEach((decorator) => {
+      const call = decorator.namedChildren.find((n) => n.type === "call");
+      const fn = call && call.childForFieldName("function");
+      if (!fn || fn.type !== "attribute") return;
+
+      const objectNode = fn.childForFieldName("object");
+      const attrNode = fn.childForFieldName("attribute");
+      const objectName = objectNode ? source.slice(objectNode.startIndex, objectNode.endIndex) : null;
+      const decoratorName = attrNode ? source.slice(attrNode.startIndex, attrNode.endIndex) : null;
+      const args = call.childForFieldName("arguments");
+      if (!args) return;
+
+      let methods;
+      if (HTTP_METHODS.includes(decoratorName)) {
+        methods = [decoratorName.toUpperCase()];
+      } else if (decoratorName === "route" || decoratorName === "api_route") {
+        methods = keywordStringList(args, "methods", source) || ["GET"];
+      } else if (decoratorName === "websocket") {
+        methods = ["WEBSOCKET"];
+      } else {
+        return;
+      }
+
+      const routePath = positionalString(args, source) ?? keywordString(args, ["path", "rule"], source);
+      if (routePath === null) return;
+
+      methods.forEach((method) => {
+        routes.push({
+          method: method.toUpperCase(),
+          path: joinRoutePath("", routePath),
+          handler,
+          framework: framework || (decoratorName === "route" ? "flask" : "fastapi"),
+          routerVar: objectName,
+          line: definition.startPosition.row + 1
+        });
+      });
+    });
+
+  return routes;
+}
+
+// -------------------------------------------------------------
+// Django
+// -------------------------------------------------------------
+function isInsideUrlPatterns(node, source) {
+  let parent = node.parent;
+  while (parent) {
+    if (parent.type === "assignment" || parent.type === "augmented_assignment") {
+      const left = parent.childForFieldName("left");
+      return Boolean(left && source.slice(left.startIndex, left.endIndex) === "urlpatterns");
+    }
+    parent = parent.parent;
+  }
+  return false;
+}
+
+function extractDjangoEntry(node, source) {
+  const fn = node.childForFieldName("function");
+  if (!fn || fn.type !== "identifier") return null;
+  const fnName = source.slice(fn.startIndex, fn.endIndex);
+  if (!DJANGO_ROUTE_FUNCTIONS.has(fnName)) return null;
+
+  const args = node.childForFieldName("arguments");
+  const positional = args ? args.namedChildren.filter((n) => n.type !== "keyword_argument") : [];
+  const routePath = positional[0] ? stringValue(positional[0], source) : null;
+  const view = positional[1];
+  if (routePath === null || !view) return null;
+
+  const pattern = fnName === "path" ? routePath : routePath.replace(/^\^/, "");
+
+  // path("api/", include("api.urls"))
+  if (view.type === "call") {
+    const viewFn = view.childForFieldName("function");
+    const viewFnName = viewFn ? source.slice(viewFn.startIndex, viewFn.endIndex) : null;
+
+    if (viewFnName === "include") {
+      const includeArgs = view.childForFieldName("arguments");
+      const target = includeArgs && includeArgs.namedChildren[0];
+      const moduleName = target ? stringValue(target, source) : null;
+      return moduleName ? { include: moduleName, prefix: pattern } : null;
+    }
+
+    // SomeView.as_view()
+    if (viewFn && viewFn.type === "attribute") {
+      const objectNode = viewFn.childForFieldName("object");
+      return djangoRoute(pattern, objectNode ? source.slice(objectNode.startIndex, objectNode.endIndex) : null, node);
+    }
+    return null;
+  }
+
+  if (view.type === "identifier" || view.type === "attribute") {
+    return djangoRoute(pattern, source.slice(view.startIndex, view.endIndex), node);
+  }
+
+  return null;
+}
+
+function djangoRoute(pattern, handler, node) {
+  if (!handler) return null;
+  return {
+    method: "ANY",
+    path: joinRoutePath("", pattern),
+    handler,
+    framework: "django",
+    line: node.startPosition.row + 1
+  };
+}
+
+// -------------------------------------------------------------
+// Helpers
+// -------------------------------------------------------------
+// Plain string literal value, or null for f-strings and other expressions
+function stringValue(node, source) {
+  if (node.type !== "string") return null;
+  if (node.namedChildren.some((n) => n.type === "interpolation")) return null;
+  return node.namedChildren
+    .filter((n) => n.type === "string_content")
+    .map((n) => source.slice(n.startIndex, n.endIndex))
+    .join("");
+}
+
+function positionalString(args, source) {
+  const first = args.namedChildren.find((n) => n.type !== "keyword_argument");
+  return first ? stringValue(first, source) : null;
+}
+
+function keywordArgument(args, names, source) {
+  return args.namedChildren.find((n) => {
+    if (n.type !== "keyword_argument") return false;
+    const nameNode = n.childForFieldName("name");
+    return nameNode && names.includes(source.slice(nameNode.startIndex, nameNode.endIndex));
+  });
+}
+
+function keywordString(args, names, source) {
+  const kw = keywordArgument(args, names, source);
+  const value = kw && kw.childForFieldName("value");
+  return value ? stringValue(value, source) : null;
+}
+
+function keywordStringList(args, name, source) {
+  const kw = keywordArgument(args, [name], source);
+  const value = kw && kw.childForFieldName("value");
+  if (!value || !["list", "tuple", "set"].includes(value.type)) return null;
+  const items = value.namedChildren.map((n) => stringValue(n, source)).filter((v) => v !== null);
+  return items.length > 0 ? items : null;
+}
+
+function traverse(node, cb) {
+  cb(node);
+  for (let i = 0; i < node.childCount; i++) {
+    traverse(node.child(i), cb);
+  }
+}
+
+module.exports = { extractRoutes };
@@ -7,8 +7,10 @@
 const fs = require("fs");
 const path = require("path");
 const glob = require("glob");
-const { extractFunctionsAndCalls, extractImports } = require("./extract-functions-python");
+const { extractFunctionsAndCalls, extractImports, joinModule } = require("./extract-functions-python");
 const { extractClasses } = require("./extract-classes-python");
+const { extractRoutes } = require("./extract-routes-python");
+const { joinRoutePath, linkRouteHandlers } = require("../route-metadata");
 
 if (process.argv.length < 4) {
   console.error(
@@ -23,67 +25,288 @@ const importsOutput = path.resolve(process.argv[3]);
 // -------------------------------------------------------------
 // Get Python files
 // -------------------------------------------------------------
+const IGNORE_PATTERNS = [
+  `${repoPath}/**/venv/**`,
+  `${repoPath}/**/.venv/**`,
+  `${repoPath}/**/env/**`,
+  `${repoPath}/**/__pycache__/**`,
+  `${repoPath}/**/node_modules/**`,
+  `${repoPath}/**/build/**`,
+  `${repoPath}/**/dist/**`,
+  `${repoPath}/**/.eggs/**`,
+  `${repoPath}/**/*.egg-info/**`
+];
+
 function getPythonFiles() {
-  return glob.sync(`${repoPath}/**/*.py`, {
-    ignore: [
-      `${repoPath}/**/venv/**`,
-      `${repoPath}/**/.venv/**`,
-      `${repoPath}/**/env/**`,
-      `${repoPath}/**/__pycache__/**`,
-      `${repoPath}/**/node_modules/**`,
-      `${repoPath}/**/build/**`,
-      `${repoPath}/**/dist/**`,
-      `${repoPath}/**/.eggs/**`,
-      `${repoPath}/**/*.egg-info/**`
-    ]
+  return glob.sync(`${repoPath}/**/*.py`, { ignore: IGNORE_PATTERNS });
+}
+
+// -------------------------------------------------------------
+// Package roots
+// The repo root and src/ are always searched; pyproject.toml, setup.cfg
+// and setup.py anywhere in the repo add their own directory plus any
+// package directories they declare (package-dir, where=, from=).
+// Django's manage.py adds its directory as well.
+// -------------------------------------------------------------
+// manage.py marks a Django project root, which is where its apps are imported from
+const PROJECT_FILES = ["pyproject.toml", "setup.cfg", "setup.py", "manage.py"];
+
+function parsePackageDirs(projectFile, content) {
+  const dirs = [];
+  const add = (dir) => dir && dirs.push(dir.replace(/^\.\//, "").replace(/\/$/, ""));
+  const name = path.basename(projectFile);
+
+  if (name === "pyproject.toml") {
+    // [tool.setuptools] package-dir = {"" = "src"}
+    for (const m of content.matchAll(/package-dir\s*=\s*\{[^}]*?""\s*=\s*"([^"]+)"/g)) add(m[1]);
+    // [tool.setuptools.packages.find] where = ["src"]
+    for (const m of content.matchAll(/^\s*where\s*=\s*\[([^\]]*)\]/gm)) {
+      for (const d of m[1].matchAll(/"([^"]+)"|'([^']+)'/g)) add(d[1] || d[2]);
+    }
+    // [tool.poetry] packages = [{ include = "app", from = "src" }]
+    for (const m of content.matchAll(/\bfrom\s*=\s*"([^"]+)"/g)) add(m[1]);
+    // [tool.hatch.build.targets.wheel] packages = ["src/app"]
+    const hatch = content.match(/\[tool\.hatch\.build\.targets\.wheel\][^[]*?packages\s*=\s*\[([^\]]*)\]/);
+    if (hatch) {
+      for (const d of hatch[1].matchAll(/"([^"]+)"/g)) add(path.dirname(d[1]) === "." ? "" : path.dirname(d[1]));
+    }
+  } else if (name === "setup.cfg") {
+    // [options] package_dir = =src   /   [options.packages.find] where = src
+    for (const m of content.matchAll(/^\s*package_dir\s*=\s*\n?\s*=\s*(\S+)/gm)) add(m[1]);
+    for (const m of content.matchAll(/^\s*where\s*=\s*(\S+)/gm)) add(m[1]);
+  } else if (name === "setup.py") {
+    // setup(package_dir={"": "src"}, packages=find_packages("src") / find_packages(where="src"))
+    for (const m of content.matchAll(/package_dir\s*=\s*\{\s*["']{2}\s*:\s*["']([^"']+)["']/g)) add(m[1]);
+    for (const m of content.matchAll(/find(?:_namespace)?_packages\(\s*(?:where\s*=\s*)?["']([^"']+)["']/g)) add(m[1]);
+  }
+
+  return dirs;
+}
+
+function findPackageRoots() {
+  const roots = new Set([repoPath]);
+  if (fs.existsSync(path.join(repoPath, "src"))) roots.add(path.join(repoPath, "src"));
+
+  const projectFiles = glob.sync(`${repoPath}/**/{${PROJECT_FILES.join(",")}}`, {
+    ignore: IGNORE_PATTERNS
   });
+
+  projectFiles.forEach((projectFile) => {
+    const projectDir = path.dirname(projectFile);
+    roots.add(projectDir);
+
+    let content = "";
+    try {
+      content = fs.readFileSync(projectFile, "utf8");
+    } catch (e) {
+      return;
+    }
+
+    parsePackageDirs(projectFile, content).forEach((dir) => {
+      const root = path.resolve(projectDir, dir);
+      if ((root === repoPath || root.startsWith(repoPath + path.sep)) && fs.existsSync(root)) roots.add(root);
+    });
+  });
+
+  return [...roots];
+}
+
+// Top-level package and module names under each root; imports of these are first-party
+function collectFirstPartyNames(roots, pyFiles) {
+  const names = new Set();
+
+  pyFiles.forEach((file) => {
+    roots.forEach((root) => {
+      const rel = path.relative(root, file);
+      if (rel === ".." || rel.startsWith(".." + path.sep) || path.isAbsolute(rel)) return;
+      const top = rel.split(path.sep)[0].replace(/\.py$/, "");
+      if (top && top !== "__init__" && top !== "setup" && /^[A-Za-z_]\w*$/.test(top)) names.add(top);
+    });
+  });
+
+  return names;
+}
+
+// Roots containing the file come first (deepest first), then the rest
+function rootsFor(filePath, roots) {
+  const containing = roots
+    .filter((root) => filePath.startsWith(root + path.sep))
+    .sort((a, b) => b.length - a.length);
+  return [...containing, ...roots.filter((root) => !containing.includes(root))];
 }
 
 // -------------------------------------------------------------
 // Resolve Python import paths
 // -------------------------------------------------------------
-function resolveImportPath(importSource, currentFilePath, repoPath) {
-  // External package (not relative)
-  if (!importSource.startsWith(".")) {
-    return null;
-  }
+function resolveModuleFile(baseDir, moduleParts) {
+  const resolvedPath = path.resolve(baseDir, ...moduleParts);
 
-  // Relative import
-  const currentDir = path.dirname(currentFilePath);
-  
-  // Convert dots to path segments
-  let relativePathParts = importSource.split(".");
-  let levelsUp = 0;
-  
-  // Count leading dots for relative imports
-  while (relativePathParts[0] === "") {
-    levelsUp++;
-    relativePathParts.shift();
-  }
-  
-  // Start from current directory or go up directories
-  let targetDir = currentDir;
-  for (let i = 0; i < levelsUp - 1; i++) {
-    targetDir = path.dirname(targetDir);
-  }
-  
-  // Build the potential file path
-  const modulePath = relativePathParts.join("/");
-  let resolvedPath = path.resolve(targetDir, modulePath);
-  
   // Try as a .py file
-  if (fs.existsSync(resolvedPath + ".py")) {
+  if (moduleParts.length > 0 && fs.existsSync(resolvedPath + ".py")) {
     return path.relative(repoPath, resolvedPath + ".py");
   }
-  
+
   // Try as a directory with __init__.py
   if (fs.existsSync(path.join(resolvedPath, "__init__.py"))) {
     return path.relative(repoPath, path.join(resolvedPath, "__init__.py"));
   }
-  
+
+  return null;
+}
+
+function resolveImportPath(importSource, currentFilePath, roots) {
+  if (!importSource) return null;
+
+  // Relative import: one leading dot is the current package, each extra dot goes up a level
+  if (importSource.startsWith(".")) {
+    const levelsUp = importSource.match(/^\.+/)[0].length;
+    const rest = importSource.slice(levelsUp);
+
+    let targetDir = path.dirname(currentFilePath);
+    for (let i = 0; i < levelsUp - 1; i++) {
+      targetDir = path.dirname(targetDir);
+    }
+
+    return resolveModuleFile(targetDir, rest ? rest.split(".") : []);
+  }
+
+  // Absolute import against each package root
+  for (const root of rootsFor(currentFilePath, roots)) {
+    const resolved = resolveModuleFile(root, importSource.split("."));
+    if (resolved) return resolved;
+  }
+
   return null;
 }
 
+// -------------------------------------------------------------
+// Imported Protocols
+// A base imported from a module that declares it as a Protocol is
+// implemented rather than extended. importedBases: [{ cls, base, definedIn }]
+// -------------------------------------------------------------
+function applyImportedProtocols(results, importedBases) {
+  const byPath = new Map(results.map((entry) => [entry.path, entry]));
+
+  importedBases.forEach(({ cls, base, definedIn }) => {
+    const name = base.split(".").pop();
+    const declared = (byPath.get(definedIn)?.classes || []).find((c) => c.name === name);
+    if (!declared || declared.type !== "interface" || cls.type === "interface") return;
+
+    cls.implements = [...new Set([...cls.implements, base])];
+    const parents = cls.superclasses.filter((b) => !cls.markerBases.includes(b) && !cls.implements.includes(b));
+    cls.extends = parents.length > 0 ? parents[0] : null;
+  });
+}
+
+// -------------------------------------------------------------
+// Routes
+// -------------------------------------------------------------
+
+// "views.detail" -> file of the imported views module, "detail" -> file it was imported from
+function resolveHandlerPath(handler, imports, resolveModule, currentPath) {
+  const parts = handler.split(".");
+  const name = parts.pop();
+  const objectName = parts.join(".");
+
+  if (!objectName) {
+    const imp = imports.find((i) => (i.imported || []).includes(name));
+    return imp ? resolveModule(imp.source) : currentPath;
+  }
+
+  const imp = imports.find((i) => (i.imported || []).includes(objectName));
+  if (imp) {
+    const member = imp.members?.[imp.imported.indexOf(objectName)];
+    return (member && resolveModule(joinModule(imp.source, member))) || resolveModule(imp.source);
+  }
+  return resolveModule(objectName);
+}
+
+// "users.router" / "users_router" (from .users import router as users_router) / "router"
+// -> { to, toRouter }: the file that defines the router and its variable name there
+function resolveMountTarget(target, imports, resolveModule, currentPath) {
+  const parts = target.split(".");
+  const name = parts.pop();
+  const objectName = parts.join(".");
+
+  if (!objectName) {
+    const imp = imports.find((i) => (i.imported || []).includes(name));
+    if (!imp) return { to: currentPath, toRouter: name };
+    const member = imp.members?.[imp.imported.indexOf(name)];
+    return { to: resolveModule(imp.source), toRouter: member || name };
+  }
+
+  const imp = imports.find((i) => (i.imported || []).includes(objectName));
+  if (imp) {
+    const member = imp.members?.[imp.imported.indexOf(objectName)];
+    const to = (member && resolveModule(joinModule(imp.source, member))) || resolveModule(imp.source);
+    return { to, toRouter: name };
+  }
+  return { to: resolveModule(objectName), toRouter: name };
+}
+
+// FastAPI / Flask routers: a router's routes are served under its own prefix and,
+// through include_router / register_blueprint, under the prefixes of every router
+// it is mounted on. routeIndex: { routers: Map("file#var" -> prefix), mounts: [{ from, routerVar, to, toRouter, prefix, replacesPrefix }] }
+function applyRouterPrefixes(results, routeIndex) {
+  const { routers, mounts } = routeIndex;
+  const memo = new Map();
+
+  const prefixesFor = (filePath, routerVar, seen = new Set()) => {
+    const key = `${filePath}#${routerVar}`;
+    if (memo.has(key)) return memo.get(key);
+
+    const own = routers.get(key) || "";
+    const incoming = mounts.filter((m) => m.to === filePath && m.toRouter === routerVar);
+    if (incoming.length === 0 || seen.has(key)) return [own];
+
+    seen.add(key);
+    const prefixes = [...new Set(
+      incoming.flatMap((m) => {
+        const mounted = m.replacesPrefix ? m.prefix : joinRoutePath(m.prefix, own);
+        return prefixesFor(m.from, m.routerVar, seen).map((p) => joinRoutePath(p, mounted));
+      })
+    )];
+    seen.delete(key);
+    memo.set(key, prefixes);
+    return prefixes;
+  };
+
+  results.forEach((entry) => {
+    entry.routes = entry.routes.flatMap((route) => {
+      const { routerVar, ...rest } = route;
+      if (!routerVar) return [rest];
+      return prefixesFor(entry.path, routerVar).map((prefix) => ({ ...rest, path: joinRoutePath(prefix, route.path) }));
+    });
+  });
+}
+
+// Django include(): routes in an included urls.py are served under the including path
+function applyIncludePrefixes(results, routeIncludes) {
+  const memo = new Map();
+
+  const prefixesFor = (filePath, seen = new Set()) => {
+    if (memo.has(filePath)) return memo.get(filePath);
+    const incoming = routeIncludes.filter((inc) => inc.to === filePath && !seen.has(inc.from));
+    if (incoming.length === 0) return [""];
+
+    seen.add(filePath);
+    const prefixes = [...new Set(
+      incoming.flatMap((inc) => prefixesFor(inc.from, seen).map((p) => joinRoutePath(p, inc.prefix)))
+    )];
+    seen.delete(filePath);
+    memo.set(filePath, prefixes);
+    return prefixes;
+  };
+
+  results.forEach((entry) => {
+    if (!routeIncludes.some((inc) => inc.to === entry.path)) return;
+    const prefixes = prefixesFor(entry.path);
+    entry.routes = entry.routes.flatMap((route) =>
+      prefixes.map((prefix) => ({ ...route, path: joinRoutePath(prefix, route.path) }))
+    );
+  });
+}
+
 // -------------------------------------------------------------
 // Analyze files with functions and classes
 // -------------------------------------------------------------
@@ -92,6 +315,13 @@ function analyzeFiles() {
   const results = [];
   const totalFiles = pyFiles.length;
 
+  const packageRoots = findPackageRoots();
+  const routeIncludes = [];
+  const importedBases = [];
+  const routeIndex = { routers: new Map(), mounts: [] };
+  const firstPartyNames = collectFirstPartyNames(packageRoots, pyFiles);
+  console.log(`📦 Package roots: ${packageRoots.map((root) => path.relative(repoPath, root) || ".").join(", ")}`);
+
   const spinnerFrames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
   let spinnerIndex = 0;
 
@@ -111,33 +341,77 @@ function analyzeFiles() {
       const imports = extractImports(file);
       const importFiles = [];
       const externalImports = [];
+      const unresolvedImports = [];
+      const resolveModule = (moduleName) => resolveImportPath(moduleName, file, packageRoots);
 
       // Resolve imports
       imports.forEach(imp => {
         const importSource = imp.source;
+        if (!importSource) return;
 
-        if (importSource.startsWith(".")) {
-          // Relative import
-          const resolvedPath = resolveImportPath(importSource, file, repoPath);
-          if (resolvedPath) {
-            importFiles.push(resolvedPath);
-          }
-        } else if (importSource) {
-          // External/absolute import
+        // "from pkg import module" imports submodules as well as names
+        const submodules = (imp.members || [])
+          .map((member) => resolveModule(joinModule(importSource, member)))
+          .filter(Boolean);
+        const resolvedPath = resolveModule(importSource);
+
+        if (resolvedPath || submodules.length > 0) {
+          if (resolvedPath) importFiles.push(resolvedPath);
+          importFiles.push(...submodules);
+        } else if (importSource.startsWith(".") || firstPartyNames.has(importSource.split(".")[0])) {
+          // First-party module we could not locate (generated, compiled or namespace package)
+          unresolvedImports.push(importSource);
+        } else {
+          // Third-party or standard library
           externalImports.push(importSource);
         }
       });
 
       // Extract functions and classes
-      const functions = extractFunctionsAndCalls(file, repoPath);
+      const functions = extractFunctionsAndCalls(file, repoPath, resolveModule);
       const classes = extractClasses(file, repoPath);
+      const relativePath = path.relative(repoPath, file);
+      classes.forEach((cls) => {
+        cls.superclasses
+          .filter((base) => !cls.markerBases.includes(base) && !cls.implements.includes(base))
+          .forEach((base) => {
+            const definedIn = resolveHandlerPath(base, imports, resolveModule, relativePath);
+            if (definedIn && definedIn !== relativePath) importedBases.push({ cls, base, definedIn });
+          });
+      });
+
+      // Extract framework routes; Django views and include() targets live in other modules
+      const { routes, includes, routers, mounts } = extractRoutes(file);
+      routes.forEach((route) => {
+        if (route.framework === "django") {
+          route.handlerPath = resolveHandlerPath(route.handler, imports, resolveModule, relativePath);
+        } else {
+          // Decorator routes sit on the handler itself
+          route.handlerPath = relativePath;
+          route.handlerLine = route.line;
+        }
+        route.handler = route.handler.split(".").pop();
+      });
+      routeIncludes.push(
+        ...includes
+          .map((inc) => ({ from: relativePath, to: resolveModule(inc.include), prefix: inc.prefix }))
+          .filter((inc) => inc.to)
+      );
+      Object.entries(routers).forEach(([routerVar, prefix]) => routeIndex.routers.set(`${relativePath}#${routerVar}`, prefix));
+      mounts.forEach((mount) => {
+        const { to, toRouter } = resolveMountTarget(mount.target, imports, resolveModule, relativePath);
+        if (!to) return;
+        routeIndex.mounts.push({ from: relativePath, routerVar: mount.routerVar, to, toRouter, prefix: mount.prefix, replacesPrefix: mount.replacesPrefix });
+      });
 
       results.push({
-        path: path.relative(repoPath, file),
+        path: relativePath,
         importFiles: [...new Set(importFiles)],
         externalImports: [...new Set(externalImports)],
+        unresolvedImports: [...new Set(unresolvedImports)],
         functions,
-        classes
+        classes,
+        routes
       });
     } catch (e) {
       process.stdout.write('\n');
@@ -148,6 +422,14 @@ function analyzeFiles() {
   process.stdout.write('\r' + ' '.repeat(150) + '\r');
   console.log(`✅ Completed processing ${totalFiles} files\n`);
 
+  applyImportedProtocols(results, importedBases);
+  applyRouterPrefixes(results, routeIndex);
+  applyIncludePrefixes(results, routeIncludes);
+  linkRouteHandlers(results);
+
+  const routeCount = results.reduce((sum, entry) => sum + entry.routes.length, 0);
+  if (routeCount > 0) console.log(`🛣️  Found ${routeCount} routes`);
+
   return results;
 }
 
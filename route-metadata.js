@@ -0,0 +1,83 @@
+/**
+ * Route Metadata
+ * Shared helpers for the framework route extractors. Mappers emit a `routes`
+ * list per file entry ({ method, path, handler, handlerPath, handlerLine?, framework, line });
+ * linkRouteHandlers() ties each route to its handler node and pre-fills the
+ * API / Controller roles from metadata-schema.js. Routes flagged minimalApi
+ * (ASP.NET Core app.MapGet in Program.cs) don't make their file a Controller.
+ */
+
+// "/items" + "/{id}" -> "/items/{id}"; trailing slashes of the route are kept
+function joinRoutePath(prefix, routePath) {
+  const base = (prefix || "").replace(/\/+$/, "");
+  if (!routePath) return base || "/";
+  return `${base}/${routePath.replace(/^\/+/, "")}`;
+}
+
+// router.get('/') mounted at '/users' serves '/users', not '/users/'
+function joinMountPath(prefix, routePath) {
+  return routePath === "/" && prefix ? joinRoutePath(prefix, "") : joinRoutePath(prefix, routePath);
+}
+
+function addRole(node, role, metadata) {
+  node.roles = [...new Set([...(node.roles || []), role])];
+  node.metadata = { ...(node.metadata || {}), [role]: { ...((node.metadata || {})[role] || {}), ...metadata } };
+}
+
+// The handler is a function (or, for class-based views, a class) in route.handlerPath.
+// handlerLine, when known, disambiguates same-named functions in one file.
+function findHandler(target, route) {
+  if (!route.handler) return null;
+  return (
+    (target.functions || []).find(
+      (f) => f.name === route.handler && (!route.handlerLine || f.startLine === route.handlerLine)
+    ) ||
+    (target.classes || []).find((c) => c.name === route.handler) ||
+    null
+  );
+}
+
+// Pre-fill API metadata on handlers and Controller metadata on files that declare routes,
+// so add-metadata.js starts from facts instead of guesses
+function linkRouteHandlers(results) {
+  const entriesByPath = new Map(results.map((entry) => [entry.path, entry]));
+  const routesByHandler = new Map();
+
+  results.forEach((entry) => {
+    const routes = entry.routes || [];
+
+    routes.forEach((route) => {
+      const target = entriesByPath.get(route.handlerPath);
+      const handler = target ? findHandler(target, route) : null;
+      if (!handler) return;
+
+      route.handlerLine = handler.startLine;
+      if (!routesByHandler.has(handler)) routesByHandler.set(handler, []);
+      routesByHandler.get(handler).push(route);
+    });
+
+    const controllerRoutes = routes.filter((route) => !route.minimalApi);
+    if (controllerRoutes.length > 0) {
+      addRole(entry, "Controller", {
+        framework: controllerRoutes[0].framework,
+        routes: controllerRoutes.map((route) => `${route.method} ${route.path}`)
+      });
+    }
+  });
+
+  routesByHandler.forEach((routes, handler) => {
+    const methods = [...new Set(routes.map((r) => r.method))];
+    const paths = [...new Set(routes.map((r) => r.path))];
+    addRole(handler, "API", {
+      httpMethod: methods.length === 1 ? methods[0] : methods,
+      path: paths.length === 1 ? paths[0] : paths
+    });
+  });
+}
+
+module.exports = {
+  joinRoutePath,
+  joinMountPath,
+  addRole,
+  linkRouteHandlers,
+};
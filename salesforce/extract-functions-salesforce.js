@@ -45,6 +45,7 @@ function extractFunctionInfo(node, filePath, repoPath = null, source) {
     kind,
     annotations,
     params,
+    returnType: node.type === "method_declaration" ? nodeText(node.childForFieldName("type"), source) : null,
     startLine,
     endLine,
     calls
@@ -104,7 +105,13 @@ function extractFunctionParams(node, source) {
     if (child.type === "formal_parameter") {
       const nameNode = child.childForFieldName("name");
       if (nameNode) {
-        params.push(source.slice(nameNode.startIndex, nameNode.endIndex));
+        // Apex has no optional parameters or defaults
+        params.push({
+          name: source.slice(nameNode.startIndex, nameNode.endIndex),
+          type: nodeText(child.childForFieldName("type"), source),
+          optional: false,
+          default: null
+        });
       }
     }
   }
@@ -112,6 +119,10 @@ function extractFunctionParams(node, source) {
   return params;
 }
 
+function nodeText(node, source) {
+  return node ? source.slice(node.startIndex, node.endIndex) : null;
+}
+
 function getFunctionName(node, source) {
   const nameNode = node.childForFieldName("name");
   return nameNode ? source.slice(nameNode.startIndex, nameNode.endIndex) : null;
@@ -3,6 +3,9 @@ const TS = require("tree-sitter-typescript").typescript;
 const fs = require("fs");
 const path = require("path");
 
+const CLASS_TYPES = ["class_declaration", "abstract_class_declaration", "interface_declaration"];
+const NAMESPACE_TYPES = ["internal_module", "module"];
+
 function extractClasses(filePath, repoPath = null) {
   const source = fs.readFileSync(filePath, "utf8");
 
@@ -13,23 +16,34 @@ function extractClasses(filePath, repoPath = null) {
 
   const classes = [];
 
-  traverse(tree.rootNode, (node) => {
-    if (node.type === "class_declaration" || node.type === "interface_declaration") {
-      const classInfo = extractClassInfo(node, filePath, repoPath, source);
-      if (classInfo?.name) {
-        classes.push(classInfo);
-      }
+  // Declarations inside `namespace A.B {}` record the namespace they belong to
+  const visit = (node, namespace) => {
+    let info = null;
+    if (CLASS_TYPES.includes(node.type)) {
+      info = extractClassInfo(node, filePath, repoPath, source);
+    } else if (node.type === "type_alias_declaration") {
+      info = extractTypeAliasInfo(node, source);
+    } else if (node.type === "enum_declaration") {
+      info = extractEnumInfo(node, source);
+    } else if (NAMESPACE_TYPES.includes(node.type)) {
+      info = extractNamespaceInfo(node, source);
     }
-  });
 
-  return classes;
-}
+    if (info?.name) {
+      if (namespace) info.namespace = namespace;
+      classes.push(info);
+    }
 
-function traverse(node, cb) {
-  cb(node);
-  for (let i = 0; i < node.childCount; i++) {
-    traverse(node.child(i), cb);
-  }
+    const inner = NAMESPACE_TYPES.includes(node.type) && info?.name
+      ? (namespace ? `${namespace}.${info.name}` : info.name)
+      : namespace;
+    for (let i = 0; i < node.childCount; i++) {
+      visit(node.child(i), inner);
+    }
+  };
+  visit(tree.rootNode, null);
+
+  return classes;
 }
 
 function extractClassInfo(node, filePath, repoPath = null, source) {
@@ -37,14 +51,17 @@ function extractClassInfo(node, filePath, repoPath = null, source) {
   const endLine = node.endPosition.row + 1;
 
   const name = getClassName(node, source);
-  const superClass = getSuperClassName(node, source);
-  const interfaces = getImplementedInterfaces(node, source);
   const isInterface = node.type === "interface_declaration";
+  // Interfaces may extend several interfaces; superclasses lists them all
+  const superclasses = isInterface ? getExtendedInterfaces(node, source) : [];
+  const superClass = isInterface ? superclasses[0] || null : getSuperClassName(node, source);
+  const interfaces = getImplementedInterfaces(node, source);
 
   const {
     constructorParams,
     methods,
-    // properties
+    abstractMethods,
+    properties
   } = extractClassMembers(node, source, isInterface);
 
   const { visibility, isAbstract } = getClassModifiers(node, source);
@@ -55,22 +72,147 @@ function extractClassInfo(node, filePath, repoPath = null, source) {
     visibility,
     isAbstract,
     extends: superClass,
+    ...(superclasses.length > 1 && { superclasses }),
     implements: interfaces,
+    typeParameters: getTypeParameters(node, source),
     constructorParams,
     methods,
-    // properties,
+    ...(abstractMethods.length > 0 && { abstractMethods }),
+    properties,
     startLine,
     endLine
   };
 }
 
+// type Page<T> = { items: T[] } -> members of object types become properties and methods
+function extractTypeAliasInfo(node, source) {
+  const valueNode = node.childForFieldName("value");
+  const members = valueNode && valueNode.type === "object_type"
+    ? extractClassMembers(node, source, true, valueNode)
+    : { methods: [], properties: [] };
+
+  return {
+    name: getClassName(node, source),
+    type: "type",
+    visibility: "public",
+    isAbstract: false,
+    extends: null,
+    implements: [],
+    typeParameters: getTypeParameters(node, source),
+    definition: valueNode ? source.slice(valueNode.startIndex, valueNode.endIndex) : null,
+    constructorParams: [],
+    methods: members.methods,
+    properties: members.properties,
+    startLine: node.startPosition.row + 1,
+    endLine: node.endPosition.row + 1
+  };
+}
+
+// Enum members are listed as properties, like C# enums, with their initializer as value
+function extractEnumInfo(node, source) {
+  const body = node.childForFieldName("body");
+  const properties = [];
+
+  (body ? body.namedChildren : []).forEach((member) => {
+    const nameNode = member.type === "enum_assignment" ? member.childForFieldName("name") : member;
+    if (!nameNode || !["property_identifier", "string", "number"].includes(nameNode.type)) return;
+    const valueNode = member.type === "enum_assignment" ? member.childForFieldName("value") : null;
+
+    properties.push({
+      name: source.slice(nameNode.startIndex, nameNode.endIndex).replace(/^['"]|['"]$/g, ""),
+      type: "enum_member",
+      value: valueNode ? source.slice(valueNode.startIndex, valueNode.endIndex) : null,
+      visibility: "public",
+      isStatic: true,
+      isFinal: true,
+      hasDefault: valueNode !== null
+    });
+  });
+
+  return {
+    name: getClassName(node, source),
+    type: "enum",
+    visibility: "public",
+    isAbstract: false,
+    isConst: node.children.some((child) => child.type === "const"),
+    extends: null,
+    implements: [],
+    constructorParams: [],
+    methods: [],
+    properties,
+    startLine: node.startPosition.row + 1,
+    endLine: node.endPosition.row + 1
+  };
+}
+
+// namespace A.B { ... } and declare module "express" { ... }; methods are the
+// functions declared directly inside, members every other declaration
+function extractNamespaceInfo(node, source) {
+  const nameNode = node.childForFieldName("name");
+  if (!nameNode) return null;
+
+  const body = node.childForFieldName("body");
+  const methods = [];
+  const members = [];
+
+  (body ? body.namedChildren : []).forEach((child) => {
+    const declaration = child.type === "export_statement" ? child.childForFieldName("declaration") : child;
+    if (!declaration) return;
+
+    if (declaration.type === "function_declaration" || declaration.type === "function_signature") {
+      const fnName = declaration.childForFieldName("name");
+      if (fnName) methods.push(source.slice(fnName.startIndex, fnName.endIndex));
+    } else if (declaration.type === "lexical_declaration" || declaration.type === "variable_declaration") {
+      declaration.namedChildren
+        .filter((d) => d.type === "variable_declarator")
+        .forEach((d) => {
+          const varName = d.childForFieldName("name");
+          if (varName) members.push(source.slice(varName.startIndex, varName.endIndex));
+        });
+    } else {
+      const memberName = declaration.childForFieldName("name");
+      if (memberName) members.push(source.slice(memberName.startIndex, memberName.endIndex));
+    }
+  });
+
+  return {
+    name: source.slice(nameNode.startIndex, nameNode.endIndex).replace(/^['"]|['"]$/g, ""),
+    type: "namespace",
+    visibility: "public",
+    isAbstract: false,
+    isAmbient: node.parent?.type === "ambient_declaration",
+    extends: null,
+    implements: [],
+    constructorParams: [],
+    methods,
+    members,
+    startLine: node.startPosition.row + 1,
+    endLine: node.endPosition.row + 1
+  };
+}
+
+// <T extends Base, K = string> -> ["T extends Base", "K = string"]
+function getTypeParameters(node, source) {
+  const typeParams = node.childForFieldName("type_parameters");
+  return typeParams
+    ? typeParams.namedChildren
+      .filter((p) => p.type === "type_parameter")
+      .map((p) => source.slice(p.startIndex, p.endIndex))
+    : [];
+}
+
 function getClassName(node, source) {
   const nameNode = node.childForFieldName("name");
   return nameNode ? source.slice(nameNode.startIndex, nameNode.endIndex) : null;
 }
 
+// class_heritage is a plain child of the class, not a field
+function getHeritage(node) {
+  return node.childForFieldName("heritage") || node.namedChildren.find((child) => child.type === "class_heritage");
+}
+
 function getSuperClassName(node, source) {
-  const heritageNode = node.childForFieldName("heritage");
+  const heritageNode = getHeritage(node);
   if (!heritageNode) return null;
 
   // Look for extends clause
@@ -87,8 +229,15 @@ function getSuperClassName(node, source) {
   return null;
 }
 
+// interface Store<T> extends Base, Other<T> -> ["Base", "Other"]
+function getExtendedInterfaces(node, source) {
+  const clause = node.namedChildren.find((child) => child.type === "extends_type_clause");
+  return clause ? clause.namedChildren.map((typeNode) => typeName(typeNode, source)) : [];
+}
+
+// implements Store<T>, api.Handler -> ["Store", "api.Handler"]; type arguments are dropped
 function getImplementedInterfaces(node, source) {
-  const heritageNode = node.childForFieldName("heritage");
+  const heritageNode = getHeritage(node);
   if (!heritageNode) return [];
 
   const interfaces = [];
@@ -96,17 +245,18 @@ function getImplementedInterfaces(node, source) {
   for (let i = 0; i < heritageNode.childCount; i++) {
     const child = heritageNode.child(i);
     if (child.type === "implements_clause") {
-      traverse(child, (n) => {
-        if (n.type === "type_identifier") {
-          interfaces.push(source.slice(n.startIndex, n.endIndex));
-        }
-      });
+      child.namedChildren.forEach((typeNode) => interfaces.push(typeName(typeNode, source)));
     }
   }
 
   return interfaces;
 }
 
+function typeName(typeNode, source) {
+  const nameNode = typeNode.type === "generic_type" ? typeNode.childForFieldName("name") || typeNode : typeNode;
+  return source.slice(nameNode.startIndex, nameNode.endIndex);
+}
+
 function getClassModifiers(node, source) {
   let visibility = "public"; // TypeScript default
   let isAbstract = false;
@@ -126,14 +276,15 @@ function getClassModifiers(node, source) {
   return { visibility, isAbstract };
 }
 
-function extractClassMembers(classNode, source, isInterface) {
-  const body = classNode.childForFieldName("body");
+function extractClassMembers(classNode, source, isInterface, bodyNode = null) {
+  const body = bodyNode || classNode.childForFieldName("body");
   if (!body) {
-    return { constructorParams: [], methods: [], properties: [] };
+    return { constructorParams: [], methods: [], abstractMethods: [], properties: [] };
   }
 
   const methods = [];
-  // const properties = [];
+  const abstractMethods = [];
+  const properties = [];
   let constructorParams = [];
 
   for (let i = 0; i < body.childCount; i++) {
@@ -144,10 +295,9 @@ function extractClassMembers(classNode, source, isInterface) {
     if (member.type === "method_definition") {
       const nameNode = member.childForFieldName("name");
       if (nameNode && source.slice(nameNode.startIndex, nameNode.endIndex) === "constructor") {
-        const fnNode = member.childForFieldName("value");
-        if (fnNode) {
-          constructorParams = extractParameterNames(fnNode, source);
-        }
+        constructorParams = extractParameterNames(member, source);
+        // constructor(private http: HttpClient) also declares a field
+        properties.push(...extractParameterProperties(member, source));
         continue;
       }
 
@@ -157,24 +307,28 @@ function extractClassMembers(classNode, source, isInterface) {
       }
     }
 
-    // Method signature (interface)
-    if (member.type === "method_signature") {
+    // Method signature (interface) and abstract methods; overload signatures share a name
+    if (member.type === "method_signature" || member.type === "abstract_method_signature") {
       const nameNode = member.childForFieldName("name");
-      if (nameNode) {
-        methods.push(source.slice(nameNode.startIndex, nameNode.endIndex));
+      const methodName = nameNode ? source.slice(nameNode.startIndex, nameNode.endIndex) : null;
+      if (methodName && !methods.includes(methodName)) {
+        methods.push(methodName);
+      }
+      if (methodName && member.type === "abstract_method_signature") {
+        abstractMethods.push(methodName);
       }
     }
 
     // Properties/fields
-    // if (member.type === "public_field_definition" || member.type === "property_signature") {
-    //   const fieldInfo = extractFieldInfo(member, source);
-    //   if (fieldInfo) {
-    //     properties.push(fieldInfo);
-    //   }
-    // }
+    if (member.type === "public_field_definition" || member.type === "property_signature") {
+      const fieldInfo = extractFieldInfo(member, source);
+      if (fieldInfo) {
+        properties.push(fieldInfo);
+      }
+    }
   }
 
-  return { constructorParams, methods };
+  return { constructorParams, methods, abstractMethods, properties };
 }
 
 function extractParameterNames(node, source) {
@@ -230,6 +384,7 @@ function extractFieldInfo(node, source) {
   let visibility = "public";
   let isStatic = false;
   let isReadonly = false;
+  let isOptional = false;
 
   for (let i = 0; i < node.childCount; i++) {
     const child = node.child(i);
@@ -245,6 +400,8 @@ function extractFieldInfo(node, source) {
       isStatic = true;
     } else if (text === "readonly") {
       isReadonly = true;
+    } else if (text === "?") {
+      isOptional = true;
     }
   }
 
@@ -253,10 +410,12 @@ function extractFieldInfo(node, source) {
   if (!nameNode) return null;
 
   const name = source.slice(nameNode.startIndex, nameNode.endIndex);
+  if (nameNode.type === "private_property_identifier") {
+    visibility = "private";
+  }
 
-  // Get type
-  const typeNode = node.childForFieldName("type");
-  const fieldType = typeNode ? source.slice(typeNode.startIndex, typeNode.endIndex) : "any";
+  // Get type, with generic arguments as written: Map<string, User[]>
+  const fieldType = annotationType(node.childForFieldName("type"), source) || "any";
 
   // Check if has default value
   const valueNode = node.childForFieldName("value");
@@ -268,8 +427,40 @@ function extractFieldInfo(node, source) {
     visibility,
     isStatic,
     isFinal: isReadonly,
+    isOptional,
     hasDefault
   };
 }
 
+// Constructor parameters with an accessibility modifier or readonly become fields
+function extractParameterProperties(constructorNode, source) {
+  const paramsNode = constructorNode.childForFieldName("parameters");
+  if (!paramsNode) return [];
+
+  return paramsNode.namedChildren
+    .filter((param) => param.type === "required_parameter" || param.type === "optional_parameter")
+    .filter((param) => param.children.some((c) => c.type === "accessibility_modifier" || c.type === "readonly"))
+    .map((param) => {
+      const nameNode = param.childForFieldName("pattern");
+      const modifier = param.children.find((c) => c.type === "accessibility_modifier");
+      return {
+        name: nameNode ? source.slice(nameNode.startIndex, nameNode.endIndex) : null,
+        type: annotationType(param.childForFieldName("type"), source) || "any",
+        visibility: modifier ? source.slice(modifier.startIndex, modifier.endIndex) : "public",
+        isStatic: false,
+        isFinal: param.children.some((c) => c.type === "readonly"),
+        isOptional: param.type === "optional_parameter",
+        hasDefault: param.childForFieldName("value") !== null
+      };
+    })
+    .filter((property) => property.name);
+}
+
+// ": Array<T>" -> "Array<T>"
+function annotationType(typeNode, source) {
+  if (!typeNode) return null;
+  const inner = typeNode.type === "type_annotation" ? typeNode.namedChild(0) : typeNode;
+  return inner ? source.slice(inner.startIndex, inner.endIndex) : null;
+}
+
 module.exports = { extractClasses };
@@ -0,0 +1,9 @@
+const { typescript: TS, tsx: TSX } = require("tree-sitter-typescript");
+const { extractExports: extractExportsWithLanguage } = require("../nodejs/extract-exports-nodejs");
+
+// Same ESM / CommonJS export extraction as JavaScript, parsed with the TypeScript grammar
+function extractExports(filePath) {
+  return extractExportsWithLanguage(filePath, filePath.endsWith(".tsx") ? TSX : TS);
+}
+
+module.exports = { extractExports };
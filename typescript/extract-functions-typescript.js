@@ -47,6 +47,7 @@ function extractFunctionInfo(node, filePath, repoPath = null, source) {
     visibility,
     kind,
     params,
+    returnType: annotationText(node.childForFieldName("return_type"), source),
     startLine,
     endLine,
     calls
@@ -121,15 +122,39 @@ function extractFunctionParams(node, source) {
     // Ignore callback functions
     if (containsFunction(child)) continue;
 
-    const paramName = extractParamName(child, source);
-    if (paramName) {
-      params.push(paramName);
+    const param = extractParam(child, source);
+    if (param) {
+      params.push(param);
     }
   }
 
   return params;
 }
 
+// { name, type, optional, default }; type and default are null when not written
+function extractParam(node, source) {
+  const name = extractParamName(node, source);
+  if (!name) return null;
+
+  const isParameter = node.type === "required_parameter" || node.type === "optional_parameter";
+  const typeNode = isParameter ? node.childForFieldName("type") : null;
+  const valueNode = isParameter ? node.childForFieldName("value") : null;
+
+  return {
+    name,
+    type: annotationText(typeNode, source),
+    optional: node.type === "optional_parameter" || valueNode !== null || name.startsWith("..."),
+    default: valueNode ? source.slice(valueNode.startIndex, valueNode.endIndex) : null
+  };
+}
+
+// ": Promise<User>" -> "Promise<User>"
+function annotationText(typeNode, source) {
+  if (!typeNode) return null;
+  const inner = typeNode.type === "type_annotation" ? typeNode.namedChild(0) : typeNode;
+  return inner ? source.slice(inner.startIndex, inner.endIndex) : null;
+}
+
 function containsFunction(node) {
   if (
     node.type === "arrow_function" ||
@@ -162,6 +187,8 @@ function extractParamName(node, source) {
           return "{...}";
         } else if (nameNode.type === "array_pattern") {
           return "[...]";
+        } else if (nameNode.type === "rest_pattern") {
+          return extractParamName(nameNode, source);
         }
       }
       return null;
@@ -230,11 +257,12 @@ function extractDirectCalls(funcNode, source) {
     const fn = node.childForFieldName("function");
     if (!fn) return;
 
-    // identifier call: foo()
+    // identifier call: foo(); end locates the call for --semantic resolution
     if (fn.type === "identifier") {
       calls.push({
         name: source.slice(fn.startIndex, fn.endIndex),
-        path: null
+        path: null,
+        end: node.endIndex
       });
       return;
     }
@@ -260,7 +288,8 @@ function extractDirectCalls(funcNode, source) {
       calls.push({
         name: propNode ? source.slice(propNode.startIndex, propNode.endIndex) : null,
         objectName: finalObjectName,
-        path: null
+        path: null,
+        end: node.endIndex
       });
     }
   });
@@ -290,6 +319,8 @@ function extractImports(filePath) {
       if (sourceNode) {
         const importSource = source.slice(sourceNode.startIndex, sourceNode.endIndex).replace(/['"]/g, "");
         const importedNames = [];
+        // Local names bound to a differently named export: { fmt: "formatName", Api: "default" }
+        const aliases = {};
 
         const importClause = node.namedChildren.find(n =>
           n.type === "import_clause" || n.type === "named_imports"
@@ -301,13 +332,29 @@ function extractImports(filePath) {
               const name = n.childForFieldName("name");
               const alias = n.childForFieldName("alias");
               importedNames.push(alias ? source.slice(alias.startIndex, alias.endIndex) : (name ? source.slice(name.startIndex, name.endIndex) : null));
+              if (alias && name) {
+                aliases[source.slice(alias.startIndex, alias.endIndex)] = source.slice(name.startIndex, name.endIndex);
+              }
             } else if (n.type === "identifier" && n.parent.type === "import_clause") {
               importedNames.push(source.slice(n.startIndex, n.endIndex));
+              aliases[source.slice(n.startIndex, n.endIndex)] = "default";
             }
           });
         }
 
-        imports.push({ source: importSource, imported: importedNames });
+        imports.push({ source: importSource, imported: importedNames, aliases });
+      }
+    }
+
+    // Re-exports depend on their source like imports: export { a } from "./x", export * from "./y"
+    if (node.type === "export_statement") {
+      const sourceNode = node.childForFieldName("source");
+      if (sourceNode) {
+        imports.push({
+          source: source.slice(sourceNode.startIndex, sourceNode.endIndex).replace(/['"]/g, ""),
+          imported: [],
+          aliases: {}
+        });
       }
     }
 
@@ -323,6 +370,7 @@ function extractImports(filePath) {
             if (firstArg && firstArg.type === "string") {
               const importSource = source.slice(firstArg.startIndex, firstArg.endIndex).replace(/['"]/g, "");
               const importedNames = [];
+              const aliases = {};
 
               const name = node.childForFieldName("name");
               if (name) {
@@ -333,16 +381,18 @@ function extractImports(filePath) {
                     if (n.type === "shorthand_property_identifier_pattern") {
                       importedNames.push(source.slice(n.startIndex, n.endIndex));
                     } else if (n.type === "pair_pattern") {
+                      const key = n.childForFieldName("key");
                       const value = n.childForFieldName("value");
                       if (value && value.type === "identifier") {
                         importedNames.push(source.slice(value.startIndex, value.endIndex));
+                        if (key) aliases[source.slice(value.startIndex, value.endIndex)] = source.slice(key.startIndex, key.endIndex);
                       }
                     }
                   });
                 }
               }
 
-              imports.push({ source: importSource, imported: importedNames });
+              imports.push({ source: importSource, imported: importedNames, aliases });
             }
           }
         }
@@ -380,12 +430,15 @@ function resolveImportPath(importSource, currentFilePath, repoPath) {
   return null;
 }
 
-function extractFunctionsAndCalls(filePath, repoPath) {
+// semanticResolver (from semantic-resolver.js) resolves calls with the type
+// checker; name matching remains the fallback for calls it cannot resolve
+function extractFunctionsAndCalls(filePath, repoPath, semanticResolver = null) {
   try {
     const functions = extractFunctionsWithCalls(filePath, repoPath);
     const imports = extractImports(filePath);
 
     const functionMap = new Map();
+    const importAliases = new Map();
 
     // Map local functions
     functions.forEach(func => {
@@ -397,12 +450,23 @@ function extractFunctionsAndCalls(filePath, repoPath) {
       imp.imported?.forEach(imported => {
         const resolvedPath = resolveImportPath(imp.source, filePath, repoPath);
         functionMap.set(imported, resolvedPath || imp.source);
+        if (imp.aliases?.[imported]) importAliases.set(imported, imp.aliases[imported]);
       });
     });
 
     // Resolve call paths
     functions.forEach(func => {
       func.calls.forEach(call => {
+        const resolved = semanticResolver && semanticResolver.resolveCall(filePath, call.end);
+        delete call.end;
+
+        if (resolved) {
+          call.path = resolved.path;
+          call.symbol = resolved.symbol;
+          delete call.objectName;
+          return;
+        }
+
         let resolvedPath = functionMap.get(call.name);
 
         if (!resolvedPath && call.objectName) {
@@ -411,6 +475,8 @@ function extractFunctionsAndCalls(filePath, repoPath) {
 
         if (resolvedPath) {
           call.path = resolvedPath;
+          // Exported name behind an import alias, for following barrel re-exports (removed by resolveExports)
+          if (importAliases.has(call.name)) call.importedName = importAliases.get(call.name);
         }
 
         delete call.objectName;
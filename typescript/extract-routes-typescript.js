@@ -0,0 +1,9 @@
+const { typescript: TS, tsx: TSX } = require("tree-sitter-typescript");
+const { extractRoutes: extractRoutesWithLanguage } = require("../nodejs/extract-routes-nodejs");
+
+// Same Express / Koa / Fastify / NestJS extraction as JavaScript, parsed with the TypeScript grammar
+function extractRoutes(filePath) {
+  return extractRoutesWithLanguage(filePath, filePath.endsWith(".tsx") ? TSX : TS);
+}
+
+module.exports = { extractRoutes };
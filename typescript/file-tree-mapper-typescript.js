@@ -2,7 +2,8 @@
 /**
  * TypeScript/JavaScript Import Analyzer
  * Analyzes both TypeScript (.ts, .tsx) and JavaScript (.js, .jsx) files
- * Usage: node file-tree-mapper-typescript.js <repoPath> <importsOutput.json>
+ * Usage: node file-tree-mapper-typescript.js <repoPath> <importsOutput.json> [--semantic]
+ * --semantic resolves calls with the TypeScript type checker instead of name matching
  */
 
 const fs = require("fs");
@@ -12,12 +13,17 @@ const { extractFunctionsAndCalls, extractImports: extractImportsTS } = require("
 const { extractClasses } = require("./extract-classes-typescript");
 
 // Import JavaScript parsers for .js/.jsx files
-const { buildPackageMapper: buildPackageMapperJs,analyzeImports: analyzeImportsJs } = require("../nodejs/file-tree-mapper-nodejs");
-const { loadPathAliases, resolveWithAlias } = require("./resolve-path-aliases");
+const { buildPackageMapper: buildPackageMapperJs,analyzeImports: analyzeImportsJs, finalizeRoutes } = require("../nodejs/file-tree-mapper-nodejs");
+const { createRouteIndex, resolveRoutes } = require("../nodejs/extract-routes-nodejs");
+const { extractRoutes } = require("./extract-routes-typescript");
+const { loadTsConfigs, resolveWithAlias } = require("./resolve-path-aliases");
+const { createSemanticResolver } = require("./semantic-resolver");
+const { extractExports } = require("./extract-exports-typescript");
+const { resolveExports } = require("../nodejs/extract-exports-nodejs");
 
 if (process.argv.length < 4) {
   console.error(
-    "Usage: node typescript/file-tree-mapper-typescript.js <repoPath> <importsOutput.json>"
+    "Usage: node typescript/file-tree-mapper-typescript.js <repoPath> <importsOutput.json> [--semantic]"
   );
   process.exit(1);
 }
@@ -25,9 +31,10 @@ if (process.argv.length < 4) {
 const repoPath = path.resolve(process.argv[2]);
 const importsOutput = path.resolve(process.argv[3]);
 const mapperOutput = "mapper.json";   // TEMP FILE
+const semantic = process.argv.slice(4).includes("--semantic");
 
-// Load path aliases from tsconfig.json
-const pathAliases = loadPathAliases(repoPath);
+// Every tsconfig in the repo; each file resolves aliases with the one governing it
+const tsConfigs = loadTsConfigs(repoPath);
 
 // -------------------------------------------------------------
 // Get TypeScript files only
@@ -55,13 +62,106 @@ function getJsFilesOnly() {
   });
 }
 
+// -------------------------------------------------------------
+// Resolve an import specifier to a repo-relative file, or null for packages
+// -------------------------------------------------------------
+function tryResolveWithExtensions(basePath) {
+  // If already has extension and exists, return it
+  if (path.extname(basePath) && fs.existsSync(basePath)) {
+    return basePath;
+  }
+
+  // Try with different extensions
+  const extensions = ['.ts', '.tsx', '.js', '.jsx'];
+  for (const ext of extensions) {
+    const pathWithExt = basePath + ext;
+    if (fs.existsSync(pathWithExt)) {
+      return pathWithExt;
+    }
+  }
+
+  // Try as directory with index file
+  if (fs.existsSync(basePath) && fs.statSync(basePath).isDirectory()) {
+    for (const ext of extensions) {
+      const indexPath = path.join(basePath, 'index' + ext);
+      if (fs.existsSync(indexPath)) {
+        return indexPath;
+      }
+    }
+  }
+
+  // If no extension worked, return null
+  return null;
+}
+
+function resolveImport(importSource, file) {
+  let resolvedPath = null;
+
+  // 1. Try path aliases first (e.g., @services/api.service)
+  if (tsConfigs.length > 0) {
+    resolvedPath = resolveWithAlias(importSource, file, tsConfigs, repoPath);
+    if (resolvedPath) {
+      return resolvedPath;
+    }
+  }
+
+  // Handle relative imports (./file or ../file)
+  if (importSource.startsWith(".")) {
+    resolvedPath = path.resolve(path.dirname(file), importSource);
+  }
+  // Handle absolute imports (/src/file or /lib/file)
+  else if (importSource.startsWith("/")) {
+    resolvedPath = path.join(repoPath, importSource);
+  }
+  // Try to resolve as a local module (might be a path alias or local module)
+  else if (!importSource.startsWith('@')) {
+    // Check if it's a local file path (not a package name)
+    // Package names typically don't contain "/" or are scoped (@org/package)
+    if (importSource.includes('/')) {
+      // Try to resolve relative to repo root
+      resolvedPath = path.join(repoPath, importSource);
+    } else {
+      // Could be a local file without path, try common patterns
+      const possiblePaths = [
+        path.join(repoPath, 'src', importSource),
+        path.join(repoPath, 'lib', importSource),
+        path.join(repoPath, importSource)
+      ];
+
+      for (const possiblePath of possiblePaths) {
+        const testPath = tryResolveWithExtensions(possiblePath);
+        if (testPath) {
+          resolvedPath = testPath;
+          break;
+        }
+      }
+    }
+  }
+
+  // If we have a potential path, try to resolve it with extensions
+  if (resolvedPath) {
+    const finalPath = tryResolveWithExtensions(resolvedPath);
+
+    if (finalPath && fs.existsSync(finalPath)) {
+      const relativePath = path.relative(repoPath, finalPath);
+      // Make sure it's within the repo (not outside)
+      if (!relativePath.startsWith('..') && !path.isAbsolute(relativePath)) {
+        return relativePath;
+      }
+    }
+  }
+
+  return null;
+}
+
 // -------------------------------------------------------------
 // Analyze TypeScript files (.ts, .tsx)
 // -------------------------------------------------------------
-function analyzeTypeScriptFiles() {
+function analyzeTypeScriptFiles(routeIndex) {
   const tsFiles = getTsFilesOnly();
   const results = [];
   const totalFiles = tsFiles.length;
+  const semanticResolver = semantic ? createSemanticResolver(repoPath, tsFiles, tsConfigs) : null;
 
   const spinnerFrames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
   let spinnerIndex = 0;
@@ -84,115 +184,40 @@ function analyzeTypeScriptFiles() {
       const externalImports = [];
 
       // Resolve imports
+      const resolvedSources = new Map();
       imports.forEach(imp => {
-        const importSource = imp.source;
-        let resolvedPath = null;
-        let isResolved = false;
-
-         // 1. Try path aliases first (e.g., @services/api.service)
-        if (Object.keys(pathAliases).length > 0) {
-          resolvedPath = resolveWithAlias(importSource, pathAliases, repoPath);
-          if (resolvedPath) {
-            importFiles.push(resolvedPath);
-            isResolved = true;
-            return;
-          }
-        }
-
-        // Handle relative imports (./file or ../file)
-        if (importSource.startsWith(".")) {
-          resolvedPath = path.resolve(path.dirname(file), importSource);
-        }
-        // Handle absolute imports (/src/file or /lib/file)
-        else if (importSource.startsWith("/")) {
-          resolvedPath = path.join(repoPath, importSource);
-        }
-        // Try to resolve as a local module (might be a path alias or local module)
-        else if (!importSource.startsWith('@')) {
-          // Check if it's a local file path (not a package name)
-          // Package names typically don't contain "/" or are scoped (@org/package)
-          if (importSource.includes('/')) {
-            // Try to resolve relative to repo root
-            resolvedPath = path.join(repoPath, importSource);
-          } else {
-            // Could be a local file without path, try common patterns
-            const possiblePaths = [
-              path.join(repoPath, 'src', importSource),
-              path.join(repoPath, 'lib', importSource),
-              path.join(repoPath, importSource)
-            ];
-
-            for (const possiblePath of possiblePaths) {
-              const testPath = tryResolveWithExtensions(possiblePath);
-              if (testPath) {
-                resolvedPath = testPath;
-                break;
-              }
-            }
-          }
-        }
-
-        // If we have a potential path, try to resolve it with extensions
-        if (resolvedPath && !isResolved) {
-          const finalPath = tryResolveWithExtensions(resolvedPath);
-
-          if (finalPath && fs.existsSync(finalPath)) {
-            const relativePath = path.relative(repoPath, finalPath);
-            // Make sure it's within the repo (not outside)
-            if (!relativePath.startsWith('..') && !path.isAbsolute(relativePath)) {
-              importFiles.push(relativePath);
-              isResolved = true;
-              return;
-            }
-          }
-        }
-
-        // If we couldn't resolve it as a local file, it's an external import
-        if (!isResolved) {
-          externalImports.push(importSource);
+        const resolved = resolveImport(imp.source, file);
+        if (resolved) {
+          importFiles.push(resolved);
+          resolvedSources.set(imp.source, resolved);
+        } else {
+          externalImports.push(imp.source);
         }
       });
 
-      // Helper function to try resolving a path with different extensions
-      function tryResolveWithExtensions(basePath) {
-        // If already has extension and exists, return it
-        if (path.extname(basePath) && fs.existsSync(basePath)) {
-          return basePath;
-        }
-
-        // Try with different extensions
-        const extensions = ['.ts', '.tsx', '.js', '.jsx'];
-        for (const ext of extensions) {
-          const pathWithExt = basePath + ext;
-          if (fs.existsSync(pathWithExt)) {
-            return pathWithExt;
-          }
-        }
-
-        // Try as directory with index file
-        if (fs.existsSync(basePath) && fs.statSync(basePath).isDirectory()) {
-          for (const ext of extensions) {
-            const indexPath = path.join(basePath, 'index' + ext);
-            if (fs.existsSync(indexPath)) {
-              return indexPath;
-            }
-          }
-        }
-
-        // If no extension worked, return null
-        return null;
-      }
-
       // Extract functions and classes
-      const functions = extractFunctionsAndCalls(file, repoPath);
+      const functions = extractFunctionsAndCalls(file, repoPath, semanticResolver);
+      // Calls into aliased modules (@app/services) point at the resolved file
+      functions.forEach((func) => func.calls.forEach((call) => {
+        if (resolvedSources.has(call.path)) call.path = resolvedSources.get(call.path);
+      }));
       const classes = extractClasses(file, repoPath);
 
+      // Extract framework routes; handlers and mounted routers may live in other modules
+      const relativePath = path.relative(repoPath, file);
+      const routes = resolveRoutes(extractRoutes(file), relativePath, (imp) => resolveImport(imp, file), routeIndex);
+
+      // Re-export sources resolve like imports; resolveExports follows them once every file is read
+      const exports = extractExports(file).map((e) => (e.source ? { ...e, from: resolveImport(e.source, file) } : e));
+
       results.push({
-        path: path.relative(repoPath, file),
+        path: relativePath,
         importFiles: [...new Set(importFiles)],
         externalImports: [...new Set(externalImports)],
+        exports,
         functions,
-        classes
+        classes,
+        routes
       });
     } catch (e) {
       process.stdout.write('\n');
@@ -209,12 +234,12 @@ function analyzeTypeScriptFiles() {
 // -------------------------------------------------------------
 // Analyze JavaScript files (.js, .jsx)
 // -------------------------------------------------------------
-function analyzeJavaScriptFiles() {
+function analyzeJavaScriptFiles(routeIndex) {
    const mapperForJs = buildPackageMapperJs(repoPath);
       fs.writeFileSync(mapperOutput, JSON.stringify(mapperForJs, null, 2));
       console.log(`🛠️  Temporary mapper saved → ${mapperOutput}`);
 
-      const analysis = analyzeImportsJs(repoPath, mapperForJs);
+      const analysis = analyzeImportsJs(repoPath, mapperForJs, routeIndex);
 
       // DELETE TEMP FILE
       fs.unlinkSync(mapperOutput);
@@ -228,14 +253,19 @@ function analyzeJavaScriptFiles() {
 (() => {
   console.log(`📂 Scanning TypeScript/JavaScript repo: ${repoPath}`);
 
+  // Router mounts can cross between TypeScript and JavaScript files
+  const routeIndex = createRouteIndex();
+
   // Analyze TypeScript files
-  const tsResults = analyzeTypeScriptFiles();
+  const tsResults = analyzeTypeScriptFiles(routeIndex);
 
   // Analyze JavaScript files
-  const jsResults = analyzeJavaScriptFiles();
+  const jsResults = analyzeJavaScriptFiles(routeIndex);
 
   // Merge results
   const mergedResults = [...tsResults, ...jsResults];
+  resolveExports(mergedResults);
+  finalizeRoutes(mergedResults, routeIndex);
 
   console.log(`\n📊 Summary:`);
   console.log(`   TypeScript files: ${tsResults.length}`);
@@ -1,59 +1,107 @@
 const fs = require("fs");
 const path = require("path");
-
-/**
- * Load and parse tsconfig.json to extract path aliases
- */
+const glob = require("glob");
 const ts = require("typescript");
 
-function loadPathAliases(repoPath) {
-  const configPath = ts.findConfigFile(
-    repoPath,
-    ts.sys.fileExists,
-    "tsconfig.json"
-  );
-
-  if (!configPath) return {};
+// -------------------------------------------------------------
+// tsconfig discovery
+// Every tsconfig.json in the repo plus the configs their `references`
+// point at (tsconfig.app.json, packages/*/tsconfig.lib.json, ...), parsed
+// with `extends` chains merged. Sorted deepest directory first so the
+// package config wins over a root config that also includes the file.
+// -------------------------------------------------------------
+function loadTsConfigs(repoPath) {
+  const queue = glob.sync("**/tsconfig.json", {
+    cwd: repoPath,
+    absolute: true,
+    ignore: ["**/node_modules/**", "**/build/**", "**/dist/**"]
+  });
+  const seen = new Set();
+  const configs = [];
+
+  while (queue.length > 0) {
+    const configPath = path.resolve(queue.shift());
+    if (seen.has(configPath) || !fs.existsSync(configPath)) continue;
+    seen.add(configPath);
+
+    const parsed = ts.getParsedCommandLineOfConfigFile(configPath, {}, {
+      ...ts.sys,
+      onUnRecoverableConfigFileDiagnostic: () => {}
+    });
+    if (!parsed) {
+      console.error(`❌ Failed to read ${path.relative(repoPath, configPath)}`);
+      continue;
+    }
 
-  const configFile = ts.readConfigFile(configPath, ts.sys.readFile);
+    (parsed.projectReferences || []).forEach((ref) => queue.push(ts.resolveProjectReferencePath(ref)));
 
-  if (configFile.error) {
-    console.error("❌ Failed to read tsconfig.json");
-    return {};
+    configs.push({
+      configPath,
+      dir: path.dirname(configPath),
+      options: parsed.options,
+      fileNames: new Set(parsed.fileNames.map((f) => path.resolve(f))),
+      aliases: pathAliases(parsed.options, path.dirname(configPath))
+    });
   }
 
-  const options = configFile.config.compilerOptions || {};
-  const paths = options.paths || {};
-  const baseUrl = options.baseUrl || ".";
-
-  const aliases = {};
-
-  for (const [alias, targets] of Object.entries(paths)) {
-    const cleanAlias = alias.replace(/\/\*$/, "");
-    const target = targets[0].replace(/\/\*$/, "");
-    aliases[cleanAlias] = path.join(repoPath, baseUrl, target);
-  }
+  return configs.sort((a, b) => b.dir.length - a.dir.length);
+}
 
-  return aliases;
+// compilerOptions.paths as { prefix, suffix, targets }; suffix is null for
+// patterns without a wildcard. Targets are absolute and kept in order so
+// each fallback can be tried. Without baseUrl, paths are relative to the
+// config that declares them (pathsBasePath).
+function pathAliases(options, configDir) {
+  const base = options.baseUrl || options.pathsBasePath || configDir;
+
+  return Object.entries(options.paths || {}).map(([pattern, targets]) => {
+    const star = pattern.indexOf("*");
+    return {
+      prefix: star >= 0 ? pattern.slice(0, star) : pattern,
+      suffix: star >= 0 ? pattern.slice(star + 1) : null,
+      targets: targets.map((target) => path.resolve(base, target))
+    };
+  });
 }
 
+// The config whose files include this file, else the nearest config above it
+function configForFile(file, configs) {
+  const absolute = path.resolve(file);
+  return configs.find((config) => config.fileNames.has(absolute)) ||
+    configs.find((config) => !path.relative(config.dir, absolute).startsWith("..")) ||
+    null;
+}
 
 /**
- * Resolve an import using path aliases
+ * Resolve an import using the path aliases of the tsconfig governing the importing file.
+ * Like tsc, an exact pattern wins, then the wildcard pattern with the longest prefix;
+ * its targets are tried in order until one exists.
  */
-function resolveWithAlias(importSource, pathAliases, repoPath) {
-  // Check each alias to see if it matches
-  for (const [alias, targetPath] of Object.entries(pathAliases)) {
-    if (importSource === alias || importSource.startsWith(alias + '/')) {
-      // Replace alias with actual path
-      const relativePart = importSource.slice(alias.length);
-      const resolvedPath = path.join(targetPath, relativePart);
-      
-      // Try with extensions
-      return tryResolveWithExtensions(resolvedPath, repoPath);
-    }
+function resolveWithAlias(importSource, file, configs, repoPath) {
+  const config = configForFile(file, configs);
+  if (!config) return null;
+
+  let match = config.aliases.find((alias) => alias.suffix === null && alias.prefix === importSource);
+  let wildcard = "";
+  if (!match) {
+    config.aliases
+      .filter((alias) =>
+        alias.suffix !== null &&
+        importSource.length >= alias.prefix.length + alias.suffix.length &&
+        importSource.startsWith(alias.prefix) &&
+        importSource.endsWith(alias.suffix))
+      .forEach((alias) => {
+        if (!match || alias.prefix.length > match.prefix.length) match = alias;
+      });
+    if (!match) return null;
+    wildcard = importSource.slice(match.prefix.length, importSource.length - match.suffix.length);
   }
-  
+
+  for (const target of match.targets) {
+    const resolved = tryResolveWithExtensions(target.replace("*", wildcard), repoPath);
+    if (resolved) return resolved;
+  }
+
   return null;
 }
 
@@ -88,4 +136,4 @@ function tryResolveWithExtensions(basePath, repoPath) {
   return null;
 }
 
-module.exports = { loadPathAliases, resolveWithAlias };
\ No newline at end of file
+module.exports = { loadTsConfigs, configForFile, resolveWithAlias };
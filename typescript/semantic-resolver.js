@@ -0,0 +1,118 @@
+const path = require("path");
+const ts = require("typescript");
+const { configForFile } = require("./resolve-path-aliases");
+
+/**
+ * Semantic call resolution (--semantic)
+ * Builds a ts.Program from the repo's tsconfigs and asks the type checker
+ * which declaration each call expression resolves to. Unlike name matching
+ * this follows injected class instances (this.userService.find()), import
+ * aliases, re-exports through barrels and picks the matching overload.
+ */
+
+const DEFAULT_OPTIONS = {
+  target: ts.ScriptTarget.ES2020,
+  module: ts.ModuleKind.CommonJS,
+  moduleResolution: ts.ModuleResolutionKind.Node10,
+  experimentalDecorators: true,
+  allowJs: true,
+  jsx: ts.JsxEmit.Preserve
+};
+
+// One program per tsconfig, built with that config's merged options when a file
+// it governs is first resolved; files no config governs share a default program
+function createSemanticResolver(repoPath, files, configs = []) {
+  const groups = new Map();
+  files.forEach((file) => {
+    const config = configForFile(file, configs);
+    if (!groups.has(config)) groups.set(config, []);
+    groups.get(config).push(path.resolve(file));
+  });
+
+  const programs = new Map();
+  const programFor = (config) => {
+    if (programs.has(config)) return programs.get(config);
+
+    const label = config ? path.relative(repoPath, config.configPath) : "default compiler options";
+    console.log(`\n🧠 Building TypeScript program for semantic resolution (${label})...`);
+    const program = ts.createProgram({
+      rootNames: [...new Set([...(config ? config.fileNames : []), ...(groups.get(config) || [])])],
+      options: { ...(config ? config.options : DEFAULT_OPTIONS), noEmit: true }
+    });
+    const entry = { program, checker: program.getTypeChecker() };
+    programs.set(config, entry);
+    return entry;
+  };
+
+  const callsByFile = new Map();
+
+  // Call expressions by end offset; tree-sitter and TypeScript agree on offsets, and
+  // unlike start offsets, ends tell a.b() apart from a.b().c()
+  const callsIn = (filePath) => {
+    const fileName = path.resolve(filePath);
+    if (callsByFile.has(fileName)) return callsByFile.get(fileName);
+
+    const { program, checker } = programFor(configForFile(fileName, configs));
+    const calls = new Map();
+    const sourceFile = program.getSourceFile(fileName);
+    if (sourceFile) {
+      const visit = (node) => {
+        if (ts.isCallExpression(node)) calls.set(node.getEnd(), { node, checker });
+        ts.forEachChild(node, visit);
+      };
+      visit(sourceFile);
+    }
+    callsByFile.set(fileName, calls);
+    return calls;
+  };
+
+  // { path, symbol } for the call ending at endIndex, or null when the checker cannot tell
+  function resolveCall(filePath, endIndex) {
+    const call = callsIn(filePath).get(endIndex);
+    if (!call) return null;
+
+    const declaration = calledDeclaration(call.node, call.checker);
+    if (!declaration) return null;
+
+    return {
+      path: declarationPath(declaration.getSourceFile().fileName, repoPath),
+      symbol: symbolName(declaration)
+    };
+  }
+
+  function calledDeclaration(call, checker) {
+    // The resolved signature picks the overload that matches the arguments
+    const signature = checker.getResolvedSignature(call);
+    const declaration = signature && signature.getDeclaration();
+    if (declaration && !ts.isJSDocSignature(declaration)) return declaration;
+
+    // Calls through any-typed values still name a symbol, possibly an import alias
+    const callee = ts.isPropertyAccessExpression(call.expression) ? call.expression.name : call.expression;
+    let symbol = checker.getSymbolAtLocation(callee);
+    if (symbol && symbol.flags & ts.SymbolFlags.Alias) symbol = checker.getAliasedSymbol(symbol);
+    return symbol ? symbol.valueDeclaration || (symbol.declarations || [])[0] || null : null;
+  }
+
+  return { resolveCall };
+}
+
+// Repo files as repo-relative paths, packages as their name, the standard library as null
+function declarationPath(fileName, repoPath) {
+  if (/[\\/]typescript[\\/]lib[\\/]lib\..*\.d\.ts$/.test(fileName)) return null;
+  const packageMatch = fileName.match(/[\\/]node_modules[\\/]((?:@[^\\/]+[\\/])?[^\\/]+)/);
+  if (packageMatch) return packageMatch[1].replace(/\\/g, "/").replace(/^@types\//, "");
+  return path.relative(repoPath, fileName);
+}
+
+// UserService.findAll, formatDate, Validators.required
+function symbolName(declaration) {
+  const name = declaration.name && ts.isIdentifier(declaration.name) ? declaration.name.text : null;
+  const owner = declaration.parent;
+  const ownerName = owner && (ts.isClassLike(owner) || ts.isInterfaceDeclaration(owner)) && owner.name
+    ? owner.name.text
+    : null;
+  if (!name) return ownerName;
+  return ownerName ? `${ownerName}.${name}` : name;
+}
+
+module.exports = { createSemanticResolver };